@@ -20,9 +20,11 @@ class BaseAIProvider {
     /**
      * Analyzuje textový vstup
      * @param {string} prompt - Prompt pro AI
+     * @param {AbortController} abortController - Pro zrušení požadavku (optional)
+     * @param {Object} options - Volby požadavku, např. { schema } pro structured output (optional)
      * @returns {Promise<Object>} - Odpověď AI s výživovými údaji
      */
-    async analyzeText(prompt) {
+    async analyzeText(prompt, abortController = null, options = {}) {
         throw new Error('analyzeText() musí být implementována v potomkovi');
     }
 
@@ -30,9 +32,11 @@ class BaseAIProvider {
      * Analyzuje obrázek s textem
      * @param {string} prompt - Prompt pro AI
      * @param {string} imageBase64 - Base64 zakódovaný obrázek
+     * @param {AbortController} abortController - Pro zrušení požadavku (optional)
+     * @param {Object} options - Volby požadavku, např. { schema } pro structured output (optional)
      * @returns {Promise<Object>} - Odpověď AI s výživovými údaji
      */
-    async analyzeImage(prompt, imageBase64) {
+    async analyzeImage(prompt, imageBase64, abortController = null, options = {}) {
         if (!this.supportsImages()) {
             throw new Error(`${this.name} nepodporuje analýzu obrázků`);
         }
@@ -43,9 +47,11 @@ class BaseAIProvider {
      * Analyzuje audio vstup
      * @param {string} prompt - Prompt pro AI
      * @param {string} audioBase64 - Base64 zakódované audio
+     * @param {AbortController} abortController - Pro zrušení požadavku (optional)
+     * @param {Object} options - Volby požadavku, např. { schema } pro structured output (optional)
      * @returns {Promise<Object>} - Odpověď AI s výživovými údaji
      */
-    async analyzeAudio(prompt, audioBase64) {
+    async analyzeAudio(prompt, audioBase64, abortController = null, options = {}) {
         if (!this.supportsAudio()) {
             throw new Error(`${this.name} nepodporuje analýzu audia`);
         }
@@ -76,6 +82,14 @@ class BaseAIProvider {
         return this.config.capabilities?.text || true;
     }
 
+    /**
+     * Vrací, zda provider běží lokálně (data neopouštějí zařízení/síť)
+     * @returns {boolean}
+     */
+    isLocal() {
+        return this.config.local || false;
+    }
+
     /**
      * Kontrola dostupnosti API
      * @returns {Promise<boolean>}
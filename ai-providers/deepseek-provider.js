@@ -30,8 +30,9 @@ class DeepSeekProvider extends BaseAIProvider {
 
     /**
      * Analyzuje textový vstup
+     * DeepSeek nepodporuje JSON Schema, vynucuje pouze json_object (schéma je popsané v promptu)
      */
-    async analyzeText(prompt, abortController = null) {
+    async analyzeText(prompt, abortController = null, options = {}) {
         return await this._callDeepSeekAPI(prompt, abortController);
     }
 
@@ -39,7 +40,7 @@ class DeepSeekProvider extends BaseAIProvider {
      * Analyzuje obrázek - NEPODPOROVÁNO
      * @throws {Error} - DeepSeek nepodporuje obrázky
      */
-    async analyzeImage(prompt, imageBase64, abortController = null) {
+    async analyzeImage(prompt, imageBase64, abortController = null, options = {}) {
         throw new Error('DeepSeek nepodporuje analýzu obrázků. Použijte jiného providera (např. Gemini).');
     }
 
@@ -47,7 +48,7 @@ class DeepSeekProvider extends BaseAIProvider {
      * Analyzuje audio - NEPODPOROVÁNO
      * @throws {Error} - DeepSeek nepodporuje audio
      */
-    async analyzeAudio(prompt, audioBase64, abortController = null) {
+    async analyzeAudio(prompt, audioBase64, abortController = null, options = {}) {
         throw new Error('DeepSeek nepodporuje analýzu audia. Použijte jiného providera (např. Gemini).');
     }
 
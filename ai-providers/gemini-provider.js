@@ -28,34 +28,34 @@ class GeminiProvider extends BaseAIProvider {
     /**
      * Analyzuje textový vstup
      */
-    async analyzeText(prompt, abortController = null) {
-        return await this._callGeminiAPI(prompt, null, null, abortController);
+    async analyzeText(prompt, abortController = null, options = {}) {
+        return await this._callGeminiAPI(prompt, null, null, abortController, options.schema);
     }
 
     /**
      * Analyzuje obrázek s textem
      */
-    async analyzeImage(prompt, imageBase64, abortController = null) {
-        return await this._callGeminiAPI(prompt, imageBase64, 'image', abortController);
+    async analyzeImage(prompt, imageBase64, abortController = null, options = {}) {
+        return await this._callGeminiAPI(prompt, imageBase64, 'image', abortController, options.schema);
     }
 
     /**
      * Analyzuje audio vstup
      */
-    async analyzeAudio(prompt, audioBase64, abortController = null) {
-        return await this._callGeminiAPI(prompt, audioBase64, 'audio', abortController);
+    async analyzeAudio(prompt, audioBase64, abortController = null, options = {}) {
+        return await this._callGeminiAPI(prompt, audioBase64, 'audio', abortController, options.schema);
     }
 
     /**
      * Interní metoda pro volání Gemini API
      * @private
      */
-    async _callGeminiAPI(prompt, mediaBase64 = null, mediaType = null, abortController = null) {
+    async _callGeminiAPI(prompt, mediaBase64 = null, mediaType = null, abortController = null, schema = null) {
         if (!this.config.apiKey) {
             throw new Error('API klíč není dostupný');
         }
 
-        const requestBody = this._buildRequestBody(prompt, mediaBase64, mediaType);
+        const requestBody = this._buildRequestBody(prompt, mediaBase64, mediaType, schema);
         let lastError = null;
 
         // Zkouší různé modely a API verze
@@ -116,7 +116,7 @@ class GeminiProvider extends BaseAIProvider {
      * Vytvoří request body podle typu média
      * @private
      */
-    _buildRequestBody(prompt, mediaBase64, mediaType) {
+    _buildRequestBody(prompt, mediaBase64, mediaType, schema = null) {
         const parts = [{ text: prompt }];
 
         if (mediaBase64) {
@@ -140,11 +140,46 @@ class GeminiProvider extends BaseAIProvider {
             });
         }
 
-        return {
+        const body = {
             contents: [{
                 parts: parts
             }]
         };
+
+        // Structured output - Gemini vrátí JSON odpovídající schématu
+        if (schema) {
+            body.generationConfig = {
+                responseMimeType: 'application/json',
+                responseSchema: this._toGeminiSchema(schema)
+            };
+        }
+
+        return body;
+    }
+
+    /**
+     * Převede JSON Schema na Gemini responseSchema (OpenAPI podmnožina)
+     * Gemini nepodporuje additionalProperties, typy zapisuje velkými písmeny
+     * @private
+     */
+    _toGeminiSchema(schema) {
+        const result = { type: String(schema.type).toUpperCase() };
+
+        if (schema.description) result.description = schema.description;
+        if (schema.enum) result.enum = schema.enum;
+        if (schema.items) result.items = this._toGeminiSchema(schema.items);
+
+        if (schema.properties) {
+            result.properties = {};
+            for (const [key, value] of Object.entries(schema.properties)) {
+                result.properties[key] = this._toGeminiSchema(value);
+            }
+            result.propertyOrdering = Object.keys(schema.properties);
+        }
+
+        if (schema.required) result.required = schema.required;
+
+        return result;
     }
 
     /**
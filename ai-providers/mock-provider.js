@@ -0,0 +1,166 @@
+// =====================================
+// MOCK AI PROVIDER
+// =====================================
+// Deterministický provider pro vývoj a testování bez API klíčů
+// Přehrává nahrané odpovědi z fixture souborů (validní JSON, text, chyby, timeouty)
+
+/**
+ * Mock AI Provider
+ * Každé volání vrátí další fixture ze sekvence (config.sequence), poslední se opakuje
+ *
+ * Formát fixture:
+ *   { "type": "response", "content": "..." }        - vrátí text odpovědi
+ *   { "type": "http-error", "status": 429, "message": "..." } - vyhodí HTTP chybu
+ *   { "type": "timeout", "delayMs": 50 }             - po prodlevě vyhodí timeout
+ */
+class MockProvider extends BaseAIProvider {
+    // Výchozí umístění fixture souboru
+    static DEFAULT_FIXTURES_URL = 'ai-providers/fixtures/mock-responses.json';
+
+    constructor(config) {
+        super({
+            ...config,
+            name: config.displayName || 'Mock',
+            capabilities: {
+                text: config.capabilities?.text ?? true,
+                images: config.capabilities?.images ?? true,
+                audio: config.capabilities?.audio ?? true
+            }
+        });
+
+        this.fixtures = config.fixtures || null;   // Inline fixtures (mají přednost před souborem)
+        this.fixturesUrl = config.fixturesUrl || MockProvider.DEFAULT_FIXTURES_URL;
+        this.sequence = config.sequence || ['valid-json'];
+        this.latencyMs = config.latencyMs || 0;
+        this.healthy = config.healthy !== false;
+        this.calls = [];                           // Záznam volání pro kontrolu v testech
+    }
+
+    /**
+     * Analyzuje textový vstup
+     */
+    async analyzeText(prompt, abortController = null, options = {}) {
+        return await this._replay('text', prompt, null, abortController, options);
+    }
+
+    /**
+     * Analyzuje obrázek s textem
+     */
+    async analyzeImage(prompt, imageBase64, abortController = null, options = {}) {
+        return await this._replay('image', prompt, imageBase64, abortController, options);
+    }
+
+    /**
+     * Analyzuje audio vstup
+     */
+    async analyzeAudio(prompt, audioBase64, abortController = null, options = {}) {
+        return await this._replay('audio', prompt, audioBase64, abortController, options);
+    }
+
+    /**
+     * Mock nikam data neposílá
+     * @returns {boolean}
+     */
+    isLocal() {
+        return true;
+    }
+
+    /**
+     * Nastaví novou sekvenci fixtures a vynuluje záznam volání
+     * @param {Array<string>} sequence - Názvy fixtures v pořadí přehrávání
+     */
+    setSequence(sequence) {
+        this.sequence = sequence;
+        this.calls = [];
+    }
+
+    /**
+     * Přehraje další fixture ze sekvence
+     * @private
+     */
+    async _replay(analysisType, prompt, mediaBase64, abortController = null, options = {}) {
+        if (abortController?.signal.aborted) {
+            throw new DOMException('Request aborted', 'AbortError');
+        }
+
+        const fixtures = await this._loadFixtures();
+        const index = Math.min(this.calls.length, this.sequence.length - 1);
+        const fixtureName = this.sequence[index];
+        const fixture = fixtures[fixtureName];
+
+        this.calls.push({ analysisType, prompt, hasMedia: !!mediaBase64, schema: options.schema || null, fixture: fixtureName });
+        console.log(`🔄 ${this.name}: Replaying "${fixtureName}" (${analysisType})`);
+
+        if (!fixture) {
+            throw new Error(`Mock fixture "${fixtureName}" neexistuje`);
+        }
+
+        await this._delay(this.latencyMs, abortController);
+
+        switch (fixture.type) {
+            case 'response':
+                return fixture.content;
+
+            case 'http-error':
+                throw new Error(`${this.name} API selhalo: HTTP ${fixture.status} ${fixture.message || ''}`.trim());
+
+            case 'timeout':
+                await this._delay(fixture.delayMs || 0, abortController);
+                throw new Error(`${this.name} API selhalo: Request timeout`);
+
+            default:
+                throw new Error(`Nepodporovaný typ fixture: ${fixture.type}`);
+        }
+    }
+
+    /**
+     * Načte fixtures (inline, fetch v prohlížeči, fs v Node)
+     * @private
+     */
+    async _loadFixtures() {
+        if (this.fixtures) {
+            return this.fixtures;
+        }
+
+        if (typeof window === 'undefined' && typeof require === 'function') {
+            const fs = require('fs');
+            this.fixtures = JSON.parse(fs.readFileSync(this.fixturesUrl, 'utf8'));
+        } else {
+            const response = await fetch(this.fixturesUrl);
+            if (!response.ok) {
+                throw new Error(`Nepodařilo se načíst mock fixtures: HTTP ${response.status}`);
+            }
+            this.fixtures = await response.json();
+        }
+
+        return this.fixtures;
+    }
+
+    /**
+     * Počká danou dobu, respektuje zrušení požadavku
+     * @private
+     */
+    _delay(ms, abortController = null) {
+        if (!ms) return Promise.resolve();
+
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(resolve, ms);
+            abortController?.signal.addEventListener('abort', () => {
+                clearTimeout(timer);
+                reject(new DOMException('Request aborted', 'AbortError'));
+            });
+        });
+    }
+
+    /**
+     * Health check - řízený konfigurací (healthy: false simuluje nedostupnost)
+     */
+    async healthCheck() {
+        return this.healthy;
+    }
+}
+
+// Export pro použití v ostatních modulech
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MockProvider;
+}
@@ -0,0 +1,228 @@
+// =====================================
+// OLLAMA (LOKÁLNÍ) AI PROVIDER
+// =====================================
+// Implementace lokálního Ollama / llama.cpp HTTP serveru
+// Podporuje: text, obrázky (llava-style multimodální modely), NE audio
+// Data neopouštějí lokální síť, nevyžaduje API klíč
+
+/**
+ * Ollama AI Provider
+ * Výchozí je nativní Ollama API (/api/chat), llama.cpp server lze použít přes api: 'openai'
+ */
+class OllamaProvider extends BaseAIProvider {
+    constructor(config) {
+        // Obrázky analyzují samostatné vision modely (llava, llama3.2-vision, ...)
+        const visionModels = config.visionModels || [];
+
+        super({
+            ...config,
+            name: config.displayName || 'Ollama',
+            capabilities: {
+                text: true,
+                images: visionModels.length > 0,
+                audio: false    // Lokální modely audio nepodporují
+            }
+        });
+
+        this.models = config.models || (config.model ? [config.model] : ['llama3.1']);
+        this.visionModels = visionModels;
+        this.baseUrl = (config.baseUrl || 'http://localhost:11434').replace(/\/+$/, '');
+        this.api = config.api === 'openai' ? 'openai' : 'ollama';
+        this.temperature = config.temperature ?? 0.2;
+        this.maxTokens = config.maxTokens || 1024;
+        this.jsonMode = config.jsonMode !== false;
+    }
+
+    /**
+     * Analyzuje textový vstup
+     */
+    async analyzeText(prompt, abortController = null, options = {}) {
+        return await this._callLocalAPI(this.models, prompt, null, abortController, options.schema);
+    }
+
+    /**
+     * Analyzuje obrázek pomocí vision modelu
+     */
+    async analyzeImage(prompt, imageBase64, abortController = null, options = {}) {
+        if (!this.supportsImages()) {
+            throw new Error(`${this.name} nemá nastavený vision model (visionModels, např. "llava")`);
+        }
+        return await this._callLocalAPI(this.visionModels, prompt, imageBase64, abortController, options.schema);
+    }
+
+    /**
+     * Analyzuje audio - NEPODPOROVÁNO
+     * @throws {Error} - Lokální modely audio nepodporují
+     */
+    async analyzeAudio(prompt, audioBase64, abortController = null, options = {}) {
+        throw new Error(`${this.name} nepodporuje analýzu audia. Použijte jiného providera (např. Gemini).`);
+    }
+
+    /**
+     * Lokální provider - data se neposílají cloudovému vendorovi
+     * @returns {boolean}
+     */
+    isLocal() {
+        return true;
+    }
+
+    /**
+     * Interní metoda pro volání lokálního serveru
+     * Zkouší modely postupně podle pořadí v konfiguraci
+     * @private
+     */
+    async _callLocalAPI(models, prompt, imageBase64 = null, abortController = null, schema = null) {
+        let lastError = null;
+
+        for (const model of models) {
+            // Kontrola zrušení před každým pokusem
+            if (abortController?.signal.aborted) {
+                throw new DOMException('Request aborted', 'AbortError');
+            }
+
+            try {
+                console.log(`🔄 ${this.name}: Trying ${model}${imageBase64 ? ' (image)' : ''}`);
+
+                const isOpenAI = this.api === 'openai';
+                const url = isOpenAI ? `${this.baseUrl}/v1/chat/completions` : `${this.baseUrl}/api/chat`;
+                const body = isOpenAI
+                    ? this._buildOpenAIBody(model, prompt, imageBase64, schema)
+                    : this._buildOllamaBody(model, prompt, imageBase64, schema);
+
+                const response = await fetch(url, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json'
+                    },
+                    body: JSON.stringify(body),
+                    signal: abortController?.signal
+                });
+
+                if (!response.ok) {
+                    const errorData = await response.json().catch(() => ({}));
+                    lastError = errorData.error?.message || errorData.error || `HTTP ${response.status}`;
+                    console.warn(`⚠️ ${this.name} ${model} failed:`, lastError);
+                    continue;
+                }
+
+                const data = await response.json();
+                const content = isOpenAI ? data.choices?.[0]?.message?.content : data.message?.content;
+
+                // Validace odpovědi
+                if (!content) {
+                    lastError = 'Neplatná odpověď z lokálního serveru';
+                    console.warn(`⚠️ ${this.name} ${model}: Invalid response structure`);
+                    continue;
+                }
+
+                console.log(`✅ ${this.name}: Success with ${model}`);
+                return content;
+
+            } catch (error) {
+                // Propaguj AbortError okamžitě
+                if (error.name === 'AbortError') {
+                    throw error;
+                }
+                lastError = error.message;
+                console.warn(`⚠️ ${this.name} ${model} error:`, error.message);
+            }
+        }
+
+        // Všechny modely selhaly
+        console.error(`❌ ${this.name}: All models failed. Last error:`, lastError);
+        throw new Error(`${this.name} API selhalo: ${lastError}`);
+    }
+
+    /**
+     * Vytvoří request body pro nativní Ollama /api/chat
+     * @private
+     */
+    _buildOllamaBody(model, prompt, imageBase64, schema = null) {
+        const userMessage = { role: 'user', content: prompt };
+        if (imageBase64) {
+            userMessage.images = [imageBase64];
+        }
+
+        const body = {
+            model: model,
+            messages: [
+                {
+                    role: 'system',
+                    content: 'Jsi nutriční expert. Tvým úkolem je analyzovat jídla a vrátit přesné výživové hodnoty ve formátu JSON.'
+                },
+                userMessage
+            ],
+            stream: false,
+            options: {
+                temperature: this.temperature,
+                num_predict: this.maxTokens
+            }
+        };
+
+        if (this.jsonMode) {
+            // Ollama >= 0.5 přijímá JSON Schema přímo ve "format", jinak jen obecný JSON
+            body.format = schema || 'json';
+        }
+
+        return body;
+    }
+
+    /**
+     * Vytvoří request body pro OpenAI-compatible endpoint (llama.cpp server)
+     * @private
+     */
+    _buildOpenAIBody(model, prompt, imageBase64, schema = null) {
+        const userContent = imageBase64
+            ? [
+                { type: 'text', text: prompt },
+                { type: 'image_url', image_url: { url: `data:image/jpeg;base64,${imageBase64}` } }
+            ]
+            : prompt;
+
+        const body = {
+            model: model,
+            messages: [
+                {
+                    role: 'system',
+                    content: 'Jsi nutriční expert. Tvým úkolem je analyzovat jídla a vrátit přesné výživové hodnoty ve formátu JSON.'
+                },
+                {
+                    role: 'user',
+                    content: userContent
+                }
+            ],
+            temperature: this.temperature,
+            max_tokens: this.maxTokens
+        };
+
+        if (this.jsonMode && schema) {
+            body.response_format = {
+                type: 'json_schema',
+                json_schema: { name: 'nutrition', schema: schema, strict: false }
+            };
+        } else if (this.jsonMode) {
+            body.response_format = { type: 'json_object' };
+        }
+
+        return body;
+    }
+
+    /**
+     * Health check - kontrola, zda lokální server běží
+     */
+    async healthCheck() {
+        try {
+            const url = this.api === 'openai' ? `${this.baseUrl}/v1/models` : `${this.baseUrl}/api/tags`;
+            const response = await fetch(url, { method: 'GET' });
+            return response.ok;
+        } catch (error) {
+            console.error(`${this.name} health check failed:`, error);
+            return false;
+        }
+    }
+}
+
+// Export pro použití v ostatních modulech
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OllamaProvider;
+}
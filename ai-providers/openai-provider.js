@@ -0,0 +1,208 @@
+// =====================================
+// OPENAI-COMPATIBLE AI PROVIDER
+// =====================================
+// Obecná implementace OpenAI Chat Completions API
+// Funguje s OpenAI, OpenRouter, Groq, vLLM a dalšími kompatibilními servery
+// Podporuje: text, obrázky (pokud model umí vision), NE audio
+
+/**
+ * OpenAI-compatible AI Provider
+ * Endpoint, modely i schopnosti se nastavují v konfiguraci (config/aiProviders)
+ */
+class OpenAIProvider extends BaseAIProvider {
+    constructor(config) {
+        super({
+            ...config,
+            name: config.displayName || 'OpenAI',
+            capabilities: {
+                text: true,
+                images: config.capabilities?.images || false,  // Pouze pro vision modely
+                audio: false                                   // Chat Completions audio nepodporuje
+            }
+        });
+
+        this.models = config.models || (config.model ? [config.model] : ['gpt-4o-mini']);
+        this.baseUrl = (config.baseUrl || 'https://api.openai.com/v1').replace(/\/+$/, '');
+        this.endpoint = config.endpoint || `${this.baseUrl}/chat/completions`;
+        this.temperature = config.temperature ?? 0.7;
+        this.maxTokens = config.maxTokens || 1024;
+        this.jsonMode = config.jsonMode !== false;           // Některé modely response_format nepodporují
+        this.jsonSchema = config.jsonSchema !== false;       // false = pouze json_object bez schématu
+        this.requiresApiKey = config.requiresApiKey !== false; // Self-hosted servery (vLLM) klíč nevyžadují
+        this.extraHeaders = config.headers || {};            // Např. HTTP-Referer pro OpenRouter
+    }
+
+    /**
+     * Analyzuje textový vstup
+     */
+    async analyzeText(prompt, abortController = null, options = {}) {
+        return await this._callChatCompletions(prompt, null, abortController, options.schema);
+    }
+
+    /**
+     * Analyzuje obrázek s textem (image_url part s data URL)
+     */
+    async analyzeImage(prompt, imageBase64, abortController = null, options = {}) {
+        if (!this.supportsImages()) {
+            throw new Error(`${this.name} nepodporuje analýzu obrázků. Nastavte capabilities.images pro vision model.`);
+        }
+        return await this._callChatCompletions(prompt, imageBase64, abortController, options.schema);
+    }
+
+    /**
+     * Analyzuje audio - NEPODPOROVÁNO
+     * @throws {Error} - Chat Completions API nepodporuje audio vstup
+     */
+    async analyzeAudio(prompt, audioBase64, abortController = null, options = {}) {
+        throw new Error(`${this.name} nepodporuje analýzu audia. Použijte jiného providera (např. Gemini).`);
+    }
+
+    /**
+     * Interní metoda pro volání Chat Completions API
+     * Zkouší modely postupně podle pořadí v konfiguraci
+     * @private
+     */
+    async _callChatCompletions(prompt, imageBase64 = null, abortController = null, schema = null) {
+        if (this.requiresApiKey && !this.config.apiKey) {
+            throw new Error('API klíč není dostupný');
+        }
+
+        let lastError = null;
+
+        for (const model of this.models) {
+            // Kontrola zrušení před každým pokusem
+            if (abortController?.signal.aborted) {
+                throw new DOMException('Request aborted', 'AbortError');
+            }
+
+            try {
+                console.log(`🔄 ${this.name}: Trying ${model}${imageBase64 ? ' (image)' : ''}`);
+
+                const response = await fetch(this.endpoint, {
+                    method: 'POST',
+                    headers: this._buildHeaders(),
+                    body: JSON.stringify(this._buildRequestBody(model, prompt, imageBase64, schema)),
+                    signal: abortController?.signal
+                });
+
+                if (!response.ok) {
+                    const errorData = await response.json().catch(() => ({}));
+                    lastError = errorData.error?.message || `HTTP ${response.status}`;
+                    console.warn(`⚠️ ${this.name} ${model} failed:`, lastError);
+                    continue;
+                }
+
+                const data = await response.json();
+
+                // Validace odpovědi
+                if (!data.choices || !data.choices[0] || !data.choices[0].message) {
+                    lastError = 'Neplatná odpověď z API';
+                    console.warn(`⚠️ ${this.name} ${model}: Invalid response structure`);
+                    continue;
+                }
+
+                const content = data.choices[0].message.content;
+                console.log(`✅ ${this.name}: Success with ${model}`);
+                console.log(`   Tokens used: ${data.usage?.total_tokens || 'N/A'}`);
+
+                return content;
+
+            } catch (error) {
+                // Propaguj AbortError okamžitě
+                if (error.name === 'AbortError') {
+                    throw error;
+                }
+                lastError = error.message;
+                console.warn(`⚠️ ${this.name} ${model} error:`, error.message);
+            }
+        }
+
+        // Všechny modely selhaly
+        console.error(`❌ ${this.name}: All models failed. Last error:`, lastError);
+        throw new Error(`${this.name} API selhalo: ${lastError}`);
+    }
+
+    /**
+     * Vytvoří HTTP hlavičky požadavku
+     * @private
+     */
+    _buildHeaders() {
+        const headers = {
+            'Content-Type': 'application/json',
+            ...this.extraHeaders
+        };
+
+        if (this.config.apiKey) {
+            headers['Authorization'] = `Bearer ${this.config.apiKey}`;
+        }
+
+        return headers;
+    }
+
+    /**
+     * Vytvoří request body pro Chat Completions
+     * @private
+     */
+    _buildRequestBody(model, prompt, imageBase64, schema = null) {
+        const userContent = imageBase64
+            ? [
+                { type: 'text', text: prompt },
+                { type: 'image_url', image_url: { url: `data:image/jpeg;base64,${imageBase64}` } }
+            ]
+            : prompt;
+
+        const body = {
+            model: model,
+            messages: [
+                {
+                    role: 'system',
+                    content: 'Jsi nutriční expert. Tvým úkolem je analyzovat jídla a vrátit přesné výživové hodnoty ve formátu JSON.'
+                },
+                {
+                    role: 'user',
+                    content: userContent
+                }
+            ],
+            temperature: this.temperature,
+            max_tokens: this.maxTokens
+        };
+
+        if (this.jsonMode && schema && this.jsonSchema) {
+            // Structured output - odpověď musí odpovídat schématu
+            body.response_format = {
+                type: 'json_schema',
+                json_schema: { name: 'nutrition', schema: schema, strict: false }
+            };
+        } else if (this.jsonMode) {
+            body.response_format = { type: 'json_object' };  // Vynucuje JSON výstup
+        }
+
+        return body;
+    }
+
+    /**
+     * Health check - kontrola dostupnosti API (seznam modelů, bez spotřeby tokenů)
+     */
+    async healthCheck() {
+        if (this.requiresApiKey && !this.config.apiKey) {
+            return false;
+        }
+
+        try {
+            const response = await fetch(`${this.baseUrl}/models`, {
+                method: 'GET',
+                headers: this._buildHeaders()
+            });
+
+            return response.ok;
+        } catch (error) {
+            console.error(`${this.name} health check failed:`, error);
+            return false;
+        }
+    }
+}
+
+// Export pro použití v ostatních modulech
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OpenAIProvider;
+}
@@ -9,9 +9,12 @@
  * Implementuje Factory Pattern
  */
 class AIProviderFactory {
+    // Typy providerů, které nevyžadují API klíč (lokální servery, mock)
+    static KEYLESS_TYPES = ['ollama', 'mock'];
+
     /**
      * Vytvoří instanci providera podle typu
-     * @param {string} providerType - Typ providera ('gemini', 'deepseek', atd.)
+     * @param {string} providerType - Typ providera ('gemini', 'deepseek', 'openai', atd.)
      * @param {Object} config - Konfigurace providera
      * @returns {BaseAIProvider} Instance providera
      */
@@ -33,14 +36,24 @@ class AIProviderFactory {
             case 'deepseek':
                 return new DeepSeekProvider(config);
 
+            // Obecné OpenAI-compatible API (OpenAI, OpenRouter, Groq, vLLM...)
+            case 'openai':
+                return new OpenAIProvider(config);
+
+            // Lokální Ollama / llama.cpp server (offline analýza)
+            case 'ollama':
+                return new OllamaProvider(config);
+
+            // Deterministický mock pro vývoj a testy (přehrává fixtures)
+            case 'mock':
+                return new MockProvider(config);
+
             // Zde lze snadno přidat další providery v budoucnu:
-            // case 'openai':
-            //     return new OpenAIProvider(config);
             // case 'claude':
             //     return new ClaudeProvider(config);
 
             default:
-                throw new Error(`Nepodporovaný provider: ${providerType}. Podporované: gemini, deepseek`);
+                throw new Error(`Nepodporovaný provider: ${providerType}. Podporované: gemini, deepseek, openai, ollama, mock`);
         }
     }
 
@@ -64,14 +77,25 @@ class AIProviderFactory {
                 continue;
             }
 
-            // Přeskoč providery bez API klíče
-            if (!providerConfig.apiKey) {
+            // Typ providera lze určit polem "type" (např. openrouter: { type: 'openai', ... })
+            const providerType = (providerConfig.type || providerName).toLowerCase();
+
+            // Přeskoč providery bez API klíče (self-hosted servery mohou mít requiresApiKey: false)
+            const keyless = AIProviderFactory.KEYLESS_TYPES.includes(providerType) || providerConfig.requiresApiKey === false;
+            if (!providerConfig.apiKey && !keyless) {
                 console.warn(`⚠️ Provider ${providerName} nemá API klíč, přeskakuji`);
                 continue;
             }
 
             try {
-                const provider = AIProviderFactory.createProvider(providerName, providerConfig);
+                const provider = AIProviderFactory.createProvider(providerType, providerConfig);
+
+                // V režimu localOnly se nepoužije žádný cloudový provider
+                if (aiConfig.localOnly && !provider.isLocal()) {
+                    console.log(`⏭️ Provider ${providerName} není lokální (localOnly), přeskakuji`);
+                    continue;
+                }
+
                 providers.set(providerName, provider);
                 console.log(`✅ Provider ${providerName} vytvořen`);
             } catch (error) {
@@ -0,0 +1,133 @@
+// =====================================
+// BARCODE ANALYZER
+// =====================================
+// Analyzuje balené produkty podle čárového kódu (EAN/UPC)
+// Kód → databáze produktů, AI se volá jen u neznámého produktu
+
+/**
+ * BarcodeAnalyzer třída pro analýzu balených produktů
+ * Používá BarcodeDecoder pro čtení kódu, ProductDatabase pro hodnoty z etikety
+ * a AIService jako zálohu, pokud produkt v databázi není
+ */
+class BarcodeAnalyzer {
+    /**
+     * @param {string} userId - ID uživatele (vlastní databáze produktů)
+     */
+    constructor(userId) {
+        this.productDatabase = new ProductDatabase(userId);
+    }
+
+    /**
+     * Najde čárový kód na fotce a vrátí výživové údaje produktu
+     * @param {File} imageFile - Fotka čárového kódu (ideálně i s obalem pro AI zálohu)
+     * @param {AbortController} abortController - Pro zrušení požadavku (optional)
+     * @returns {Promise<Object>} Výživové údaje
+     * @throws {Error} Pokud kód nebyl rozpoznán nebo analýza selhala
+     */
+    async analyze(imageFile, abortController = null) {
+        console.log('📦 BarcodeAnalyzer: Hledám čárový kód na obrázku');
+
+        try {
+            if (!imageFile || !MediaConverter.isImageFile(imageFile)) {
+                throw new Error('Vybraný soubor není obrázek');
+            }
+
+            const barcode = await BarcodeDecoder.detect(imageFile);
+            if (!barcode) {
+                throw new Error('Na obrázku nebyl rozpoznán čárový kód. Zkuste ho vyfotit zblízka a ostře.');
+            }
+
+            console.log(`📦 BarcodeAnalyzer: Rozpoznán kód ${barcode}`);
+            return await this._resolve(
+                barcode,
+                () => MediaConverter.compressImage(imageFile, 1024, 1024, 0.8),
+                abortController
+            );
+
+        } catch (error) {
+            console.error('❌ BarcodeAnalyzer: Chyba při analýze:', error);
+            throw this._handleError(error);
+        }
+    }
+
+    /**
+     * Vrátí výživové údaje produktu podle již přečteného kódu (kamera, ruční zadání)
+     * @param {string} barcode - Číslice kódu
+     * @param {string} imageBase64 - Snímek obalu pro AI zálohu (optional)
+     * @param {AbortController} abortController - Pro zrušení požadavku (optional)
+     * @returns {Promise<Object>} Výživové údaje
+     */
+    async analyzeCode(barcode, imageBase64 = null, abortController = null) {
+        console.log(`📦 BarcodeAnalyzer: Hledám produkt ${barcode}`);
+
+        try {
+            return await this._resolve(
+                barcode,
+                imageBase64 ? async () => imageBase64 : null,
+                abortController
+            );
+        } catch (error) {
+            console.error('❌ BarcodeAnalyzer: Chyba při analýze:', error);
+            throw this._handleError(error);
+        }
+    }
+
+    /**
+     * Vyhledá produkt v databázi, neznámý produkt odhadne AI z fotky obalu
+     * @private
+     * @param {string} barcode - Číslice kódu
+     * @param {Function|null} getImage - Vrací base64 obrázku (volá se jen při AI záloze)
+     * @param {AbortController} abortController - Pro zrušení požadavku
+     */
+    async _resolve(barcode, getImage, abortController) {
+        const product = await this.productDatabase.lookup(barcode);
+
+        if (abortController?.signal.aborted) {
+            throw new DOMException('Request aborted', 'AbortError');
+        }
+
+        if (product) {
+            const nutritionData = ProductDatabase.toNutritionData(product);
+            console.log('✅ BarcodeAnalyzer: Produkt nalezen v databázi:', nutritionData);
+            return nutritionData;
+        }
+
+        if (!getImage) {
+            throw new Error(`Produkt ${barcode} není v databázi. Vyfoťte obal, aby ho mohla odhadnout AI.`);
+        }
+
+        console.log('📦 BarcodeAnalyzer: Produkt neznámý, odesílám fotku do AI služby...');
+        const imageBase64 = await getImage();
+        const nutritionData = await aiService.analyzeImage(
+            imageBase64,
+            `Balený produkt s čárovým kódem ${barcode}. Urči produkt podle obalu (název, nutriční tabulka) a vrať hodnoty pro jedno balení nebo obvyklou porci.`,
+            null,
+            abortController
+        );
+
+        if (!nutritionData) {
+            throw new Error('AI služba nevrátila platná data');
+        }
+
+        console.log('✅ BarcodeAnalyzer: AI odhad úspěšný:', nutritionData);
+        return nutritionData;
+    }
+
+    /**
+     * Zpracuje chybu a vrátí uživatelsky přívětivou zprávu
+     * @private
+     * @param {Error} error - Původní chyba
+     * @returns {Error} Upravená chyba
+     */
+    _handleError(error) {
+        return ErrorTranslator.handleError(
+            error,
+            'Nepodařilo se načíst produkt. Zkuste to prosím znovu.'
+        );
+    }
+}
+
+// Export pro použití v ostatních modulech
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BarcodeAnalyzer;
+}
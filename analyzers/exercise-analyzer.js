@@ -0,0 +1,72 @@
+// =====================================
+// EXERCISE ANALYZER
+// =====================================
+// Odhad pohybové aktivity z textového nebo hlasového popisu
+// Deleguje práci na AIService, kalorie dopočítá ExerciseCalculator
+
+/**
+ * Analyzátor popisu pohybové aktivity
+ */
+class ExerciseAnalyzer {
+    /**
+     * Analyzuje textový popis aktivity
+     * @param {string} description - Popis aktivity (např. "hodina na kole, spíš pomalu")
+     * @param {AbortController} abortController - Pro zrušení požadavku (optional)
+     * @returns {Promise<Object>} Aktivita { name, minutes, met }
+     * @throws {Error} Při prázdném vstupu nebo chybě analýzy
+     */
+    async analyzeText(description, abortController = null) {
+        const trimmedInput = typeof description === 'string' ? description.trim() : '';
+
+        if (trimmedInput.length === 0) {
+            throw new Error('Zadejte prosím popis aktivity');
+        }
+
+        console.log('🏃 ExerciseAnalyzer: Analyzuji popis aktivity:', trimmedInput);
+
+        try {
+            const exercise = await aiService.analyzeExercise(trimmedInput, null, abortController);
+            console.log('✅ ExerciseAnalyzer: Analýza úspěšná:', exercise);
+            return exercise;
+        } catch (error) {
+            console.error('❌ ExerciseAnalyzer: Chyba při analýze:', error);
+            throw ErrorTranslator.handleError(
+                error,
+                'Nepodařilo se odhadnout aktivitu. Zkuste ji popsat konkrétněji.'
+            );
+        }
+    }
+
+    /**
+     * Analyzuje hlasový popis aktivity
+     * @param {Blob} audioBlob - Audio nahrávka
+     * @param {AbortController} abortController - Pro zrušení požadavku (optional)
+     * @returns {Promise<Object>} Aktivita { name, minutes, met }
+     * @throws {Error} Při prázdné nahrávce nebo chybě analýzy
+     */
+    async analyzeAudio(audioBlob, abortController = null) {
+        if (!audioBlob || audioBlob.size === 0) {
+            throw new Error('Audio soubor je prázdný');
+        }
+
+        console.log('🏃 ExerciseAnalyzer: Analyzuji hlasový popis aktivity');
+
+        try {
+            const audioBase64 = await MediaConverter.blobToBase64(audioBlob);
+            const exercise = await aiService.analyzeExerciseAudio(audioBase64, null, abortController);
+            console.log('✅ ExerciseAnalyzer: Analýza úspěšná:', exercise);
+            return exercise;
+        } catch (error) {
+            console.error('❌ ExerciseAnalyzer: Chyba při analýze:', error);
+            throw ErrorTranslator.handleError(
+                error,
+                'Nepodařilo se odhadnout aktivitu z nahrávky. Zkuste to prosím znovu.'
+            );
+        }
+    }
+}
+
+// Export pro použití v ostatních modulech
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ExerciseAnalyzer;
+}
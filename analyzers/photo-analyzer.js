@@ -47,6 +47,45 @@ class PhotoAnalyzer {
         }
     }
 
+    /**
+     * Přečte nutriční tabulku z fotky obalu (režim "etiketa")
+     * Hodnoty se opisují, ne odhadují - kolik gramů uživatel snědl, se určí až poté
+     * @param {File} imageFile - Fotka nutriční tabulky
+     * @param {string} additionalContext - Dodatečný kontext pro AI (optional)
+     * @param {AbortController} abortController - Pro zrušení požadavku (optional)
+     * @returns {Promise<Object>} Produkt s hodnotami na 100 g (name, brand, per100g, servingGrams, packageGrams)
+     * @throws {Error} Při chybě validace nebo analýzy
+     */
+    async analyzeLabel(imageFile, additionalContext = '', abortController = null) {
+        console.log('📸 PhotoAnalyzer: Zahajuji čtení nutriční tabulky');
+
+        try {
+            this._validateImageFile(imageFile);
+
+            const fileInfo = MediaConverter.getFileInfo(imageFile);
+
+            // Drobné písmo tabulky potřebuje vyšší rozlišení než fotka jídla
+            const imageBase64 = await this._convertToBase64(imageFile, fileInfo, 1600);
+
+            console.log('📸 PhotoAnalyzer: Odesílám etiketu do AI služby...');
+            const product = await aiService.analyzeLabel(imageBase64, additionalContext, null, abortController);
+
+            if (!product) {
+                throw new Error('AI služba nevrátila platná data');
+            }
+
+            console.log('✅ PhotoAnalyzer: Etiketa přečtena:', product);
+            return product;
+
+        } catch (error) {
+            console.error('❌ PhotoAnalyzer: Chyba při čtení etikety:', error);
+            throw ErrorTranslator.handleError(
+                error,
+                'Nepodařilo se přečíst nutriční tabulku. Vyfoťte ji prosím zblízka a ostře.'
+            );
+        }
+    }
+
     /**
      * Validuje, zda je soubor platný obrázek
      * @private
@@ -76,9 +115,10 @@ class PhotoAnalyzer {
      * @private
      * @param {File} imageFile - Obrázek File objekt
      * @param {Object} fileInfo - Informace o souboru
+     * @param {number} maxDimension - Maximální šířka/výška po kompresi
      * @returns {Promise<string>} Base64 string
      */
-    async _convertToBase64(imageFile, fileInfo) {
+    async _convertToBase64(imageFile, fileInfo, maxDimension = 1024) {
         console.log('🔄 PhotoAnalyzer: Konvertuji obrázek na base64...');
 
         try {
@@ -92,8 +132,8 @@ class PhotoAnalyzer {
             console.log('📸 PhotoAnalyzer: Soubor je velký, kompresuji...');
             const compressed = await MediaConverter.compressImage(
                 imageFile,
-                1024, // maxWidth
-                1024, // maxHeight
+                maxDimension, // maxWidth
+                maxDimension, // maxHeight
                 0.8   // quality
             );
 
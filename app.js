@@ -47,7 +47,18 @@ const AppState = {
     selectedDate: null, // Current selected date (null = today)
     abortController: null, // For canceling API requests
     recordingStartTime: null, // Recording start timestamp
-    recordingTimerInterval: null // Timer interval ID
+    recordingTimerInterval: null, // Timer interval ID
+    photoMode: 'meal', // Photo tab mode: 'meal' (plate of food) or 'label' (nutrition facts table)
+    barcodeStream: null, // Camera stream of barcode scanner
+    barcodeScanTimer: null, // Timeout ID of next scanned frame
+    adaptiveTdee: null, // Measured TDEE estimate {tdee, loggedDays, ...} or {tdee: null, reason}
+    selectedDayType: null, // Training/rest day set for the selected date (null = by weekday)
+    selectedWater: 0, // Water (ml) logged on the selected date via quick add buttons
+    weeklyBudget: null, // Rolling weekly calorie budget (see calculateWeeklyBudget)
+    exercises: [], // Exercises logged on the selected date
+    unsubscribeExercisesListener: null,
+    recordingTarget: 'meal', // What the voice recording describes: 'meal' or 'exercise'
+    foodIndex: null // All foods ever logged (see getFoodHistory), loaded on first use
 };
 
 // =====================================
@@ -75,6 +86,8 @@ async function initializeApp(user) {
         updateCurrentDate();
         updateSummary();
         updateWeeklyTrend();
+        updateWeightTrend();
+        refreshAdaptiveTdee();
         updateGreeting();
 
         // Setup meals listener last (will trigger UI updates)
@@ -107,10 +120,19 @@ function clearAppData() {
         AppState.unsubscribeMealsListener();
         AppState.unsubscribeMealsListener = null;
     }
+    if (AppState.unsubscribeExercisesListener) {
+        AppState.unsubscribeExercisesListener();
+        AppState.unsubscribeExercisesListener = null;
+    }
+
+    aiService.setCorrections([]);
 
     // Clear state
     Object.assign(AppState, {
         meals: [],
+        exercises: [],
+        selectedWater: 0,
+        foodIndex: null,
         aiConfig: null,
         currentUser: null,
         userData: null,
@@ -118,6 +140,7 @@ function clearAppData() {
         isProcessing: false,
         audioBlob: null
     });
+    invalidateTextSuggestionSources();
 
     // Reset UI
     const mealsList = document.getElementById('mealsList');
@@ -147,7 +170,7 @@ function setupEventListeners() {
         }
     });
 
-    // Text input - Enter key
+    // Text input - Enter key, suggestions of known foods while typing
     const textInput = document.getElementById('textInput');
     if (textInput) {
         textInput.addEventListener('keypress', (e) => {
@@ -156,6 +179,9 @@ function setupEventListeners() {
                 analyzeText();
             }
         });
+        textInput.addEventListener('focus', loadTextSuggestionSources);
+        textInput.addEventListener('input', updateTextSuggestions);
+        textInput.addEventListener('blur', hideTextSuggestions);
     }
 
     // Photo input - Auto-analyze on selection
@@ -168,6 +194,27 @@ function setupEventListeners() {
         });
     }
 
+    // Barcode photo - Auto-analyze on selection
+    const barcodeInput = document.getElementById('barcodeInput');
+    if (barcodeInput) {
+        barcodeInput.addEventListener('change', () => {
+            if (barcodeInput.files.length > 0 && !AppState.isProcessing) {
+                analyzeBarcode();
+            }
+        });
+    }
+
+    // Manual barcode - Enter key
+    const barcodeManualInput = document.getElementById('barcodeManualInput');
+    if (barcodeManualInput) {
+        barcodeManualInput.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter' && !AppState.isProcessing) {
+                e.preventDefault();
+                lookupManualBarcode();
+            }
+        });
+    }
+
     // Drag and drop for photos
     const photoTab = document.getElementById('photoTab');
     if (photoTab) {
@@ -258,6 +305,7 @@ function populateAIProvidersList() {
                 <div style="flex: 1;">
                     <div style="font-weight: 600; color: var(--text-primary);">
                         ${provider.displayName}
+                        ${provider.isLocal ? '<span style="font-size: 0.8em; color: var(--text-secondary); margin-left: 8px;">🏠 Lokální</span>' : ''}
                         ${provider.isDefault ? '<span style="font-size: 0.8em; color: var(--primary-color); margin-left: 8px;">✓ Výchozí</span>' : ''}
                     </div>
                     <div style="font-size: 0.85em; color: var(--text-secondary); margin-top: 4px;">
@@ -355,7 +403,9 @@ const GOAL_PERCENTAGES_PREVIEW = {
     'loss-aggressive': 0.80,
     'loss-moderate': 0.85,
     'loss-mild': 0.90,
-    'maintain': 1.0
+    'maintain': 1.0,
+    'gain-lean': 1.10,
+    'gain-bulk': 1.20
 };
 
 /**
@@ -378,6 +428,98 @@ function calculateBMRPreview(gender, age, weight) {
     return multiplier * weight + constant;
 }
 
+/**
+ * Build "measured TDEE" row for TDEE preview (value or why it can't be estimated yet)
+ * @returns {string} HTML
+ */
+function getAdaptiveTdeePreviewRow() {
+    const estimate = AppState.adaptiveTdee;
+    if (!estimate) return '';
+
+    let value;
+    if (estimate.tdee) {
+        value = `<span class="tdee-preview-value">${estimate.tdee} kcal</span>`;
+    } else {
+        const reasons = {
+            'few-logged-days': `Málo zapsaných dní (${estimate.loggedDays}/${ADAPTIVE_TDEE.minLoggedDays})`,
+            'few-weighings': 'Vážení musí pokrýt alespoň 2 týdny',
+            'out-of-range': 'Nespolehlivé - zkontrolujte zápisy jídel',
+            'error': 'Nelze spočítat'
+        };
+        value = `<span class="tdee-preview-value muted">${reasons[estimate.reason] || reasons.error}</span>`;
+    }
+
+    return `
+        <div class="tdee-preview-row">
+            <span class="tdee-preview-label">TDEE naměřené (${ADAPTIVE_TDEE.windowDays} dní)</span>
+            ${value}
+        </div>
+    `;
+}
+
+/**
+ * Estimate TDEE from intake and weight trend, update goals when they are driven by it
+ */
+async function refreshAdaptiveTdee() {
+    if (!AppState.currentUser || !AppState.userData) return;
+
+    // Runs in the background (not awaited) - errors must not escape as unhandled rejections
+    try {
+        const formulaTdee = AppState.dailyGoals?.formulaTdee || AppState.dailyGoals?.tdee || null;
+        AppState.adaptiveTdee = await getAdaptiveTdee(AppState.currentUser.uid, formulaTdee);
+        updateTdeePreview();
+
+        // Goals follow the measured value - recalculate when it moved (or became unavailable)
+        if (!AppState.userData.useAdaptiveTdee || !AppState.dailyGoals) return;
+
+        const expectedTdee = AppState.adaptiveTdee.tdee || AppState.dailyGoals.formulaTdee;
+        if (Math.abs(expectedTdee - AppState.dailyGoals.tdee) < 50) return;
+
+        const dailyGoals = await updateProfileGoals(AppState.currentUser.uid, AppState.adaptiveTdee.tdee);
+        if (!dailyGoals) return;
+
+        AppState.dailyGoals = dailyGoals;
+        console.log('📊 Daily goals updated from measured TDEE:', AppState.dailyGoals.tdee);
+        updateSummary();
+        updateWeeklyTrend();
+    } catch (error) {
+        console.error('Error updating goals from measured TDEE:', error);
+    }
+}
+
+/**
+ * Read macro preset and manual target overrides from settings form (null = calculated)
+ * @returns {Object} {macroPreset, caloriesOverride, proteinOverride, carbsOverride, fatOverride}
+ */
+function getMacroTargetInputs() {
+    // Empty field = calculated, 0 is a valid macro target (e.g. 0 g carbs on keto)
+    const readOverride = (inputId) => {
+        const value = parseIntNumber(document.getElementById(inputId).value);
+        return Number.isFinite(value) && value >= 0 ? value : null;
+    };
+
+    return {
+        macroPreset: document.getElementById('userMacroPreset').value,
+        caloriesOverride: readOverride('userCaloriesOverride') || null, // 0 kcal is not a target
+        proteinOverride: readOverride('userProteinOverride'),
+        carbsOverride: readOverride('userCarbsOverride'),
+        fatOverride: readOverride('userFatOverride')
+    };
+}
+
+/**
+ * Read training days settings from settings form
+ * @returns {Object} {trainingWeekdays, trainingDayCalories, carbCycling}
+ */
+function getTrainingDayInputs() {
+    const checked = document.querySelectorAll('#userTrainingWeekdays input:checked');
+    return {
+        trainingWeekdays: Array.from(checked).map(input => parseInt(input.value, 10)),
+        trainingDayCalories: parseIntNumber(document.getElementById('userTrainingDayCalories').value) || 0,
+        carbCycling: document.getElementById('userCarbCycling').checked
+    };
+}
+
 /**
  * Calculate and update TDEE preview in settings
  */
@@ -391,6 +533,9 @@ function updateTdeePreview() {
     const activity = parseNumber(document.getElementById('userActivity').value);
     const goal = document.getElementById('userGoal').value;
     const proteinPerKg = parseNumber(document.getElementById('userProteinPerKg').value) || 2.0;
+    const useAdaptiveTdee = document.getElementById('userUseAdaptiveTdee').checked;
+    const macroInputs = getMacroTargetInputs();
+    const trainingInputs = getTrainingDayInputs();
 
     // Need all values to calculate
     if (!age || !weight || !activity) {
@@ -400,18 +545,34 @@ function updateTdeePreview() {
 
     // BMR calculation (Oxford/Henry equation - same as firestore-service.js)
     const bmrRaw = calculateBMRPreview(gender, age, weight);
-    const tdeeRaw = bmrRaw * activity;
+    const formulaTdeeRaw = bmrRaw * activity;
+    const measuredTdee = AppState.adaptiveTdee?.tdee || null;
+    const tdeeRaw = useAdaptiveTdee && measuredTdee ? measuredTdee : formulaTdeeRaw;
     const goalPercent = GOAL_PERCENTAGES_PREVIEW[goal] || 1.0;
     const targetRaw = tdeeRaw * goalPercent;
 
     // Round to tens for display
     const bmr = Math.round(bmrRaw / 10) * 10;
     const tdee = Math.round(tdeeRaw / 10) * 10;
-    const targetCalories = Math.round(targetRaw / 10) * 10;
+    const targetCalories = macroInputs.caloriesOverride ?? Math.round(targetRaw / 10) * 10;
     const deficit = targetCalories - tdee;
 
-    // Calculate protein target
-    const proteinTarget = Math.round(weight * proteinPerKg);
+    // Macro targets (same split and overrides as firestore-service.js)
+    const macros = calculateMacroTargets(targetCalories, { weight, proteinPerKg, ...macroInputs });
+    const manualLabel = (key) => macroInputs[`${key}Override`] != null ? ' (ručně)' : '';
+
+    // Training/rest day targets around the same weekly total
+    const dayTargets = calculateDayTargets(targetCalories, { weight, proteinPerKg, ...macroInputs, ...trainingInputs });
+    const dayTargetsHtml = dayTargets ? `
+        <div class="tdee-preview-row">
+            <span class="tdee-preview-label">Tréninkový den</span>
+            <span class="tdee-preview-value">${dayTargets.training.calories} kcal · S ${dayTargets.training.carbs} g · T ${dayTargets.training.fat} g</span>
+        </div>
+        <div class="tdee-preview-row">
+            <span class="tdee-preview-label">Den volna</span>
+            <span class="tdee-preview-value">${dayTargets.rest.calories} kcal · S ${dayTargets.rest.carbs} g · T ${dayTargets.rest.fat} g</span>
+        </div>
+    ` : '';
 
     let deficitHtml = '';
     if (deficit !== 0) {
@@ -431,18 +592,28 @@ function updateTdeePreview() {
             <span class="tdee-preview-value">${bmr} kcal</span>
         </div>
         <div class="tdee-preview-row">
-            <span class="tdee-preview-label">TDEE (udržovací)</span>
-            <span class="tdee-preview-value">${tdee} kcal</span>
+            <span class="tdee-preview-label">TDEE (udržovací, vzorec)</span>
+            <span class="tdee-preview-value">${Math.round(formulaTdeeRaw / 10) * 10} kcal</span>
         </div>
+        ${getAdaptiveTdeePreviewRow()}
         ${deficitHtml}
         <div class="tdee-preview-row">
-            <span class="tdee-preview-label">Denní cíl</span>
+            <span class="tdee-preview-label">Denní cíl${manualLabel('calories')}</span>
             <span class="tdee-preview-value highlight">${targetCalories} kcal</span>
         </div>
         <div class="tdee-preview-row">
-            <span class="tdee-preview-label">Cíl proteinů (${proteinPerKg} g/kg)</span>
-            <span class="tdee-preview-value">${proteinTarget} g</span>
+            <span class="tdee-preview-label">${macroInputs.proteinOverride != null ? 'Cíl proteinů (ručně)' : `Cíl proteinů (${proteinPerKg} g/kg)`}</span>
+            <span class="tdee-preview-value">${macros.protein} g</span>
+        </div>
+        <div class="tdee-preview-row">
+            <span class="tdee-preview-label">Sacharidy${manualLabel('carbs')}</span>
+            <span class="tdee-preview-value">${macros.carbs} g</span>
+        </div>
+        <div class="tdee-preview-row">
+            <span class="tdee-preview-label">Tuky${manualLabel('fat')}</span>
+            <span class="tdee-preview-value">${macros.fat} g</span>
         </div>
+        ${dayTargetsHtml}
     `;
 }
 
@@ -456,6 +627,15 @@ async function saveUserData() {
     const activity = parseNumber(document.getElementById('userActivity').value);
     const goal = document.getElementById('userGoal').value;
     const proteinPerKg = parseNumber(document.getElementById('userProteinPerKg').value) || 2.0;
+    const useAdaptiveTdee = document.getElementById('userUseAdaptiveTdee').checked;
+    const macroInputs = getMacroTargetInputs();
+    const trainingInputs = getTrainingDayInputs();
+
+    // Optional micronutrient targets (null = no target)
+    const fiberTarget = parseNumber(document.getElementById('userFiberTarget').value) || null;
+    const sugarLimit = parseNumber(document.getElementById('userSugarLimit').value) || null;
+    const saturatedFatLimit = parseNumber(document.getElementById('userSaturatedFatLimit').value) || null;
+    const sodiumLimit = parseIntNumber(document.getElementById('userSodiumLimit').value) || null;
 
     if (!age || !weight) {
         alert('Vyplňte prosím všechny údaje');
@@ -468,7 +648,25 @@ async function saveUserData() {
     }
 
     try {
-        const profileData = { age, gender, weight, activity, goal, proteinPerKg };
+        // Weight typed into profile is also a weighing for the weight log
+        if (weight !== AppState.userData?.weight) {
+            await addWeightEntry(AppState.currentUser.uid, getTodayString(), weight);
+            updateWeightTrend();
+        }
+
+        // Profile keeps the trend weight (same as after logging a weighing), typed value if there is no log
+        const profileWeight = await getTrendWeight() || weight;
+        document.getElementById('userWeight').value = profileWeight;
+
+        const profileData = {
+            age, gender, weight: profileWeight, activity, goal, proteinPerKg, useAdaptiveTdee,
+            ...macroInputs,
+            ...trainingInputs,
+            exerciseSedentaryBase: document.getElementById('userExerciseSedentaryBase').checked,
+            countDrinksAsWater: document.getElementById('userCountDrinksAsWater').checked,
+            useWeeklyBudget: AppState.userData?.useWeeklyBudget || false,
+            fiberTarget, sugarLimit, saturatedFatLimit, sodiumLimit
+        };
         const calculatedGoals = await saveUserProfile(AppState.currentUser.uid, profileData);
 
         AppState.userData = profileData;
@@ -482,6 +680,7 @@ async function saveUserData() {
 
         updateSummary();
         updateWeeklyTrend();
+        loadSelectedDaySummary();
     } catch (error) {
         console.error('Error saving user data:', error);
         alert('Chyba při ukládání údajů. Zkuste to prosím znovu.');
@@ -507,7 +706,23 @@ async function loadUserDataFromFirestore() {
                 weight: profile.weight,
                 activity: profile.activity,
                 goal: profile.goal || 'maintain',
-                proteinPerKg: profile.proteinPerKg || 2.0
+                proteinPerKg: profile.proteinPerKg || 2.0,
+                useAdaptiveTdee: profile.useAdaptiveTdee || false,
+                macroPreset: profile.macroPreset || 'balanced',
+                caloriesOverride: profile.caloriesOverride ?? null,
+                proteinOverride: profile.proteinOverride ?? null,
+                carbsOverride: profile.carbsOverride ?? null,
+                fatOverride: profile.fatOverride ?? null,
+                trainingWeekdays: profile.trainingWeekdays || [],
+                trainingDayCalories: profile.trainingDayCalories || 0,
+                carbCycling: profile.carbCycling || false,
+                exerciseSedentaryBase: profile.exerciseSedentaryBase || false,
+                countDrinksAsWater: profile.countDrinksAsWater || false,
+                useWeeklyBudget: profile.useWeeklyBudget || false,
+                fiberTarget: profile.fiberTarget || null,
+                sugarLimit: profile.sugarLimit || null,
+                saturatedFatLimit: profile.saturatedFatLimit || null,
+                sodiumLimit: profile.sodiumLimit || null
             };
 
             AppState.dailyGoals = profile.dailyGoals;
@@ -522,6 +737,23 @@ async function loadUserDataFromFirestore() {
             document.getElementById('userActivity').value = AppState.userData.activity;
             document.getElementById('userGoal').value = AppState.userData.goal;
             document.getElementById('userProteinPerKg').value = AppState.userData.proteinPerKg;
+            document.getElementById('userUseAdaptiveTdee').checked = AppState.userData.useAdaptiveTdee;
+            document.getElementById('userMacroPreset').value = AppState.userData.macroPreset;
+            document.getElementById('userCaloriesOverride').value = AppState.userData.caloriesOverride ?? '';
+            document.getElementById('userProteinOverride').value = AppState.userData.proteinOverride ?? '';
+            document.getElementById('userCarbsOverride').value = AppState.userData.carbsOverride ?? '';
+            document.getElementById('userFatOverride').value = AppState.userData.fatOverride ?? '';
+            document.querySelectorAll('#userTrainingWeekdays input').forEach(input => {
+                input.checked = AppState.userData.trainingWeekdays.includes(parseInt(input.value, 10));
+            });
+            document.getElementById('userTrainingDayCalories').value = AppState.userData.trainingDayCalories || '';
+            document.getElementById('userCarbCycling').checked = AppState.userData.carbCycling;
+            document.getElementById('userExerciseSedentaryBase').checked = AppState.userData.exerciseSedentaryBase;
+            document.getElementById('userCountDrinksAsWater').checked = AppState.userData.countDrinksAsWater;
+            document.getElementById('userFiberTarget').value = AppState.userData.fiberTarget || '';
+            document.getElementById('userSugarLimit').value = AppState.userData.sugarLimit || '';
+            document.getElementById('userSaturatedFatLimit').value = AppState.userData.saturatedFatLimit || '';
+            document.getElementById('userSodiumLimit').value = AppState.userData.sodiumLimit || '';
 
             // Update TDEE preview
             updateTdeePreview();
@@ -533,6 +765,9 @@ async function loadUserDataFromFirestore() {
             AppState.dailyGoals = null;
             aiService.setUserData(null);
         }
+
+        // Corrections of earlier AI estimates - examples of user's typical portions
+        aiService.setCorrections(await getCorrections(AppState.currentUser.uid));
     } catch (error) {
         console.error('❌ Failed to load user data:', error);
         throw error;
@@ -573,6 +808,10 @@ function setupMealsListener() {
 
     console.log('✅ Meals real-time listener setup complete for', dateString);
 
+    // Training/rest day, water and exercises of the new date
+    loadSelectedDaySummary();
+    setupExercisesListener();
+
     // Update date displays after listener is set up
     updateSelectedDateDisplay();
     updateNavigationButtons();
@@ -634,6 +873,8 @@ async function deleteMeal(id) {
     try {
         const dateString = getSelectedDateString();
         await deleteMealFromFirestore(AppState.currentUser.uid, id, dateString);
+        AppState.foodIndex = null;
+        invalidateTextSuggestionSources();
         console.log('✅ Meal deleted successfully from', dateString);
 
         // Update weekly trend after deletion
@@ -662,12 +903,26 @@ async function copyMealToToday(meal) {
             fat: meal.fat
         };
 
+        if (meal.items) {
+            mealData.items = meal.items;
+        }
+
+        // Optional micronutrients, drink volume and AI estimate
+        const optionalFields = ['slot', ...MICRONUTRIENTS.map(({ key }) => key), 'waterMl', 'confidence', 'caloriesLow', 'caloriesHigh', 'reviewed', 'atwaterMismatch'];
+        optionalFields.forEach(key => {
+            if (meal[key] !== undefined && meal[key] !== null) {
+                mealData[key] = meal[key];
+            }
+        });
+
         // Add to today (null = today's date string)
         const todayString = getTodayString();
         await addMealToFirestore(AppState.currentUser.uid, mealData, todayString);
 
         // Update food history
         await updateFoodHistory(AppState.currentUser.uid, mealData);
+        AppState.foodIndex = null;
+        invalidateTextSuggestionSources();
 
         console.log('✅ Meal copied to today:', mealData.name);
 
@@ -690,13 +945,7 @@ async function copyCurrentMealToToday() {
     if (!currentModalMealData) return;
 
     // Get current values from form (user might have edited them)
-    const mealData = {
-        name: document.getElementById('editMealName').value.trim(),
-        calories: parseIntNumber(document.getElementById('editMealCalories').value) || 0,
-        protein: parseNumber(document.getElementById('editMealProtein').value) || 0,
-        carbs: parseNumber(document.getElementById('editMealCarbs').value) || 0,
-        fat: parseNumber(document.getElementById('editMealFat').value) || 0
-    };
+    const mealData = getMealEditFormData();
 
     // Confirm dialog with green button
     const confirmed = await showConfirmDialog(
@@ -739,8 +988,16 @@ function showMealsSkeleton() {
     mealsList.innerHTML = skeletonHTML;
 }
 
+// Meal slot labels (slots and their order are defined in firestore-service.js)
+const MEAL_SLOT_LABELS = {
+    breakfast: '🌅 Snídaně',
+    lunch: '🍽️ Oběd',
+    dinner: '🌙 Večeře',
+    snack: '🍎 Svačina'
+};
+
 /**
- * Display meals in UI
+ * Display meals in UI grouped by meal slot with per-slot subtotals
  */
 function displayMeals() {
     const mealsList = document.getElementById('mealsList');
@@ -750,35 +1007,74 @@ function displayMeals() {
         return;
     }
 
-    mealsList.innerHTML = AppState.meals.map(meal => {
-        const caloriePercent = AppState.dailyGoals ?
-            Math.round((meal.calories / AppState.dailyGoals.calories) * 100) : 0;
-
-        const mealName = meal.name.charAt(0).toUpperCase() + meal.name.slice(1);
+    mealsList.innerHTML = MEAL_SLOTS.map(slot => {
+        const meals = AppState.meals
+            .filter(meal => getMealSlot(meal) === slot)
+            .sort((a, b) => getMealTime(a) - getMealTime(b));
+        if (meals.length === 0) return '';
 
-        // Escape meal data for onclick
-        const mealJson = JSON.stringify(meal).replace(/'/g, "\\'");
+        const totals = NutritionParser.sumItems(meals);
+        const caloriePercent = AppState.dailyGoals ?
+            Math.round((totals.calories / AppState.dailyGoals.calories) * 100) : 0;
 
         return `
-        <div class="meal-item-compact" onclick='openMealEditModal("edit", ${mealJson})'>
-            <div class="meal-left">
-                <div class="meal-name-compact">${mealName}</div>
-                <div class="meal-meta">
-                    <span class="meal-percent-badge" data-percent="${caloriePercent}">${caloriePercent}%</span>
-                    <span class="meal-calories">${meal.calories} kcal</span>
-                </div>
+        <div class="meal-slot-group">
+            <div class="meal-slot-header">
+                <span class="meal-slot-name">${MEAL_SLOT_LABELS[slot]}</span>
+                <span class="meal-slot-totals">${totals.calories} kcal · ${caloriePercent}% · 🥩 ${totals.protein} g · 🌾 ${totals.carbs} g · 🥑 ${totals.fat} g</span>
             </div>
-            <div class="meal-right">
-                <span class="meal-macro-item">🥩 ${meal.protein} g</span>
-                <span class="meal-macro-item">🌾 ${meal.carbs} g</span>
-                <span class="meal-macro-item">🥑 ${meal.fat} g</span>
-            </div>
-            <button class="btn-delete-compact" onclick="event.stopPropagation(); deleteMeal('${meal.id}')" title="Smazat"><svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M4 6h16"/><path d="M6 6v12a2 2 0 002 2h8a2 2 0 002-2V6"/><path d="M9 6V4a1 1 0 011-1h4a1 1 0 011 1v2"/></svg></button>
+            ${meals.map(renderMealItem).join('')}
         </div>
     `;
     }).join('');
 }
 
+/**
+ * Render single meal row
+ * @param {Object} meal - Meal data
+ * @returns {string} HTML
+ */
+function renderMealItem(meal) {
+    const caloriePercent = AppState.dailyGoals ?
+        Math.round((meal.calories / AppState.dailyGoals.calories) * 100) : 0;
+
+    const mealName = meal.name.charAt(0).toUpperCase() + meal.name.slice(1);
+    const mealTime = getMealTime(meal).toLocaleTimeString('cs-CZ', { hour: '2-digit', minute: '2-digit' });
+
+    // Escape meal data for onclick
+    const mealJson = JSON.stringify(meal).replace(/'/g, "\\'");
+
+    // Highlight low-confidence AI estimates until the user double-checks them
+    const unverified = isUnverifiedEstimate(meal);
+    const rangeHTML = unverified && meal.caloriesLow != null
+        ? `<span class="meal-range">${meal.caloriesLow}–${meal.caloriesHigh}</span>`
+        : '';
+    const confidenceHTML = unverified
+        ? '<span class="meal-confidence-badge" title="Nejistý odhad AI - zkontrolujte">⚠️ ověřit</span>'
+        : '';
+
+    return `
+    <div class="meal-item-compact${unverified ? ' low-confidence' : ''}" onclick='openMealEditModal("edit", ${mealJson})'>
+        <div class="meal-left">
+            <div class="meal-name-compact">${mealName}</div>
+            <div class="meal-meta">
+                <span class="meal-percent-badge" data-percent="${caloriePercent}">${caloriePercent}%</span>
+                <span class="meal-calories">${meal.calories} kcal</span>
+                <span class="meal-time">${mealTime}</span>
+                ${rangeHTML}
+                ${confidenceHTML}
+            </div>
+        </div>
+        <div class="meal-right">
+            <span class="meal-macro-item">🥩 ${meal.protein} g</span>
+            <span class="meal-macro-item">🌾 ${meal.carbs} g</span>
+            <span class="meal-macro-item">🥑 ${meal.fat} g</span>
+        </div>
+        <button class="btn-delete-compact" onclick="event.stopPropagation(); deleteMeal('${meal.id}')" title="Smazat"><svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M4 6h16"/><path d="M6 6v12a2 2 0 002 2h8a2 2 0 002-2V6"/><path d="M9 6V4a1 1 0 011-1h4a1 1 0 011 1v2"/></svg></button>
+    </div>
+`;
+}
+
 
 // =====================================
 // TEXT INPUT ANALYSIS
@@ -798,18 +1094,33 @@ async function analyzeText() {
         return;
     }
 
+    hideTextSuggestions();
+
+    // Foods picked from suggestions are known - only the rest goes to AI
+    const { knownParts, unknownText } = splitKnownTextFoods(text);
+    if (!unknownText) {
+        openMealEditModal('manual', combineMealParts(knownParts));
+        clearTextInput();
+        return;
+    }
+
     AppState.isProcessing = true;
     AppState.abortController = new AbortController();
     showLoading(true, '📝 Analyzuji text...');
 
     try {
         const textAnalyzer = new TextAnalyzer();
-        const nutritionData = await textAnalyzer.analyze(text, AppState.abortController);
+        const analyzedData = await textAnalyzer.analyze(unknownText, AppState.abortController);
+        const nutritionData = analyzedData && knownParts.length > 0
+            ? combineMealParts([...knownParts, analyzedData])
+            : analyzedData;
 
         if (nutritionData) {
-            // Show modal for review/edit before saving
-            openMealEditModal('new', nutritionData);
-            textInput.value = '';
+            // Show modal for review/edit before saving (corrections are remembered for next analyses)
+            // A meal combined with known foods is not an AI estimate of the text, so it is not remembered
+            const aiInput = knownParts.length === 0 ? { source: 'text', text: unknownText } : undefined;
+            openMealEditModal('new', { ...nutritionData, aiInput });
+            clearTextInput();
         } else {
             alert('Nepodařilo se analyzovat jídlo. Zkuste to prosím znovu.');
         }
@@ -826,6 +1137,296 @@ async function analyzeText() {
     }
 }
 
+// =====================================
+// TEXT INPUT AUTOCOMPLETE
+// =====================================
+
+// Known foods offered while typing (favorites, history, custom foods), loaded on first input focus
+// null = not loaded yet or invalidated after favorites, custom foods or meals changed
+let textSuggestionSources = null;
+let currentTextSuggestions = [];
+// Text parts picked from suggestions (lowercase text → nutrition data) - analyzed without AI
+const textKnownFoods = new Map();
+
+const TEXT_SUGGESTIONS_LIMIT = 6;
+const TEXT_SEGMENT_SEPARATOR = /[,;+\n]/;
+
+// Suggestion sources → icon (favorites win over history for the same name)
+const TEXT_SUGGESTION_ICONS = {
+    favorite: '⭐',
+    custom: '🥫',
+    history: '🕘'
+};
+
+/**
+ * Load foods for suggestions (favorites, custom foods and food history)
+ * Cached until invalidateTextSuggestionSources() is called
+ */
+async function loadTextSuggestionSources() {
+    if (!AppState.currentUser || textSuggestionSources) return;
+
+    const userId = AppState.currentUser.uid;
+    const [favorites, customFoods, history] = await Promise.all([
+        getFavoriteFoods(userId),
+        getCustomFoods(userId),
+        loadFoodIndex()
+    ]);
+
+    // Signed out while loading - don't cache foods of the previous user
+    if (AppState.currentUser?.uid !== userId) return;
+
+    const historyByName = new Map(history.map(entry => [entry.name.toLowerCase(), entry]));
+    const sources = new Map();
+
+    // Favorites rank by how often they are eaten
+    favorites.forEach(food => {
+        const entry = historyByName.get(food.name.toLowerCase());
+        sources.set(food.name.toLowerCase(), {
+            name: food.name, source: 'favorite', food,
+            useCount: entry?.useCount, lastUsed: entry?.lastUsed
+        });
+    });
+    customFoods.forEach(food => {
+        const name = food.brand ? `${food.name} (${food.brand})` : food.name;
+        if (!sources.has(name.toLowerCase())) {
+            sources.set(name.toLowerCase(), { name, source: 'custom', food });
+        }
+    });
+    history.forEach(entry => {
+        if (!sources.has(entry.nameLower)) {
+            sources.set(entry.nameLower, {
+                name: entry.name, source: 'history', food: entry,
+                useCount: entry.useCount, lastUsed: entry.lastUsed
+            });
+        }
+    });
+
+    textSuggestionSources = [...sources.values()];
+}
+
+/**
+ * Drop cached suggestion sources - reloaded on next input focus
+ */
+function invalidateTextSuggestionSources() {
+    textSuggestionSources = null;
+}
+
+/**
+ * Split text input into food parts ("rohlík s máslem, jogurt" → 2 parts)
+ * @param {string} text - Text input
+ * @returns {Array<string>} Parts
+ */
+function getTextSegments(text) {
+    return text.split(TEXT_SEGMENT_SEPARATOR).map(segment => segment.trim()).filter(Boolean);
+}
+
+/**
+ * Split leading amount from a text part ("2 rohlíky" → count 2, "150 g tvarohu" → 150 g)
+ * @param {string} segment - Text part
+ * @returns {{prefix: string, count: number|null, grams: number|null, query: string}}
+ */
+function parseSegmentAmount(segment) {
+    const match = segment.match(/^(\d+(?:[.,]\d+)?)\s*(g|x|×|ks)?\s+(.*)$/i);
+    if (!match) {
+        return { prefix: '', count: null, grams: null, query: segment };
+    }
+
+    const amount = parseNumber(match[1]);
+    const isGrams = (match[2] || '').toLowerCase() === 'g';
+    return {
+        prefix: segment.slice(0, segment.length - match[3].length),
+        count: isGrams ? null : amount,
+        grams: isGrams ? amount : null,
+        query: match[3]
+    };
+}
+
+/**
+ * Show suggestions for the food part being typed
+ */
+function updateTextSuggestions() {
+    const text = document.getElementById('textInput').value;
+    const segments = text.split(TEXT_SEGMENT_SEPARATOR);
+    const { query } = parseSegmentAmount(segments[segments.length - 1].trim());
+
+    if (query.length < 2 || textKnownFoods.has(segments[segments.length - 1].trim().toLowerCase())) {
+        hideTextSuggestions();
+        return;
+    }
+
+    currentTextSuggestions = FoodSearch.search(textSuggestionSources || [], query, TEXT_SUGGESTIONS_LIMIT);
+    if (currentTextSuggestions.length === 0) {
+        hideTextSuggestions();
+        return;
+    }
+
+    const container = document.getElementById('textSuggestions');
+    container.innerHTML = currentTextSuggestions.map((suggestion, index) => `
+        <div class="text-suggestion" onmousedown="event.preventDefault(); pickTextSuggestion(${index})">
+            <span class="text-suggestion-icon">${TEXT_SUGGESTION_ICONS[suggestion.source]}</span>
+            <span class="text-suggestion-name">${suggestion.name}</span>
+            <span class="text-suggestion-calories">${suggestion.source === 'custom' ? `${suggestion.food.per100g.calories} kcal/100 g` : `${suggestion.food.calories} kcal`}</span>
+        </div>
+    `).join('');
+    container.classList.add('active');
+}
+
+/**
+ * Hide text input suggestions
+ */
+function hideTextSuggestions() {
+    currentTextSuggestions = [];
+    const container = document.getElementById('textSuggestions');
+    if (container) {
+        container.classList.remove('active');
+        container.innerHTML = '';
+    }
+}
+
+/**
+ * Clear text input and foods picked from suggestions
+ */
+function clearTextInput() {
+    document.getElementById('textInput').value = '';
+    textKnownFoods.clear();
+    hideTextSuggestions();
+}
+
+/**
+ * Get nutrition data of a suggested food for the typed amount
+ * Custom foods: grams or count × serving, favorites and history: count × portion
+ * @param {Object} suggestion - Suggestion {source, food}
+ * @param {Object} amount - Parsed amount {count, grams}
+ * @returns {Object} Nutrition data
+ */
+function getSuggestionNutrition(suggestion, { count, grams }) {
+    const food = suggestion.food;
+
+    if (suggestion.source === 'custom') {
+        const servingGrams = food.servingGrams || 100;
+        return ProductDatabase.toNutritionData(food, grams || (count || 1) * servingGrams);
+    }
+
+    const factor = count || 1;
+    const data = { name: food.name };
+    for (const field of ['calories', 'protein', 'carbs', 'fat', ...MICRONUTRIENTS.map(({ key }) => key), 'waterMl']) {
+        if (food[field] === undefined || food[field] === null) continue;
+        data[field] = Math.round(food[field] * factor * 10) / 10;
+    }
+    data.calories = Math.round(data.calories || 0);
+
+    if (food.items) {
+        // Items without weight stay without it (no 0 g placeholder)
+        data.items = food.items.map(({ grams, ...item }) => ({
+            ...item,
+            ...(grams > 0 ? { grams: Math.round(grams * factor) } : {}),
+            calories: Math.round(item.calories * factor),
+            protein: Math.round(item.protein * factor),
+            carbs: Math.round(item.carbs * factor),
+            fat: Math.round(item.fat * factor)
+        }));
+    }
+    if (food.id && suggestion.source === 'favorite' && factor === 1) {
+        data.favoriteId = food.id;
+    }
+
+    return data;
+}
+
+/**
+ * Pick a suggestion - the only food opens edit modal right away,
+ * in a multi-food input it is remembered and the rest is analyzed later
+ * @param {number} index - Suggestion index
+ */
+function pickTextSuggestion(index) {
+    const suggestion = currentTextSuggestions[index];
+    if (!suggestion) return;
+
+    const textInput = document.getElementById('textInput');
+    const segments = textInput.value.split(TEXT_SEGMENT_SEPARATOR);
+    const amount = parseSegmentAmount(segments[segments.length - 1].trim());
+    const nutritionData = getSuggestionNutrition(suggestion, amount);
+
+    if (getTextSegments(segments.slice(0, -1).join(',')).length === 0) {
+        // Single food - known values, no AI call needed
+        clearTextInput();
+        openMealEditModal('manual', nutritionData);
+        return;
+    }
+
+    const label = amount.prefix + suggestion.name;
+    textKnownFoods.set(label.toLowerCase(), nutritionData);
+
+    const separatorIndex = Math.max(...[',', ';', '+', '\n'].map(separator => textInput.value.lastIndexOf(separator)));
+    textInput.value = `${textInput.value.slice(0, separatorIndex + 1)} ${label}, `;
+    hideTextSuggestions();
+    textInput.focus();
+}
+
+/**
+ * Split text input into foods picked from suggestions and the rest for AI
+ * @param {string} text - Text input
+ * @returns {{knownParts: Array<Object>, unknownText: string}}
+ */
+function splitKnownTextFoods(text) {
+    const knownParts = [];
+    const unknownSegments = [];
+
+    getTextSegments(text).forEach(segment => {
+        const known = textKnownFoods.get(segment.toLowerCase());
+        if (known) {
+            knownParts.push(known);
+        } else {
+            unknownSegments.push(segment);
+        }
+    });
+
+    return { knownParts, unknownText: unknownSegments.join(', ') };
+}
+
+/**
+ * Combine several foods into one meal with items breakdown
+ * Micronutrients are summed only when every part knows them
+ * @param {Array<Object>} parts - Nutrition data of the foods (known foods and AI analysis)
+ * @returns {Object} Nutrition data of the meal
+ */
+function combineMealParts(parts) {
+    if (parts.length === 1) return parts[0];
+
+    // Part without breakdown becomes one item without weight (user can fill it in the edit modal)
+    const items = parts.flatMap(part => part.items && part.items.length > 0
+        ? part.items
+        : [{ name: part.name, calories: part.calories, protein: part.protein, carbs: part.carbs, fat: part.fat }]
+    );
+
+    const meal = {
+        name: parts.map(part => part.name).join(', '),
+        ...NutritionParser.sumItems(items),
+        items
+    };
+
+    for (const field of [...MICRONUTRIENTS.map(({ key }) => key), 'waterMl']) {
+        if (parts.every(part => part[field] !== undefined && part[field] !== null)) {
+            meal[field] = Math.round(parts.reduce((sum, part) => sum + part[field], 0) * 10) / 10;
+        }
+    }
+
+    // AI estimate metadata of the analyzed part
+    const estimate = parts.find(part => part.confidence);
+    if (estimate) {
+        meal.confidence = estimate.confidence;
+    }
+
+    // Calorie range of estimated parts - known foods add their exact calories to both bounds
+    const hasRange = part => part.caloriesLow != null && part.caloriesHigh != null;
+    if (parts.some(hasRange)) {
+        meal.caloriesLow = parts.reduce((sum, part) => sum + (hasRange(part) ? part.caloriesLow : part.calories || 0), 0);
+        meal.caloriesHigh = parts.reduce((sum, part) => sum + (hasRange(part) ? part.caloriesHigh : part.calories || 0), 0);
+    }
+
+    return meal;
+}
+
 // =====================================
 // PHOTO INPUT ANALYSIS
 // =====================================
@@ -846,15 +1447,24 @@ async function analyzePhoto() {
 
     AppState.isProcessing = true;
     AppState.abortController = new AbortController();
-    showLoading(true, '📷 Analyzuji fotografii...');
+    showLoading(true, AppState.photoMode === 'label' ? '🏷️ Čtu nutriční tabulku...' : '📷 Analyzuji fotografii...');
 
     try {
         const photoAnalyzer = new PhotoAnalyzer();
+
+        if (AppState.photoMode === 'label') {
+            const product = await photoAnalyzer.analyzeLabel(file, '', AppState.abortController);
+            photoInput.value = '';
+            // Ask how much was eaten - dialog is not awaited, processing ends here
+            openPortionDialog(product, { offerSave: true });
+            return;
+        }
+
         const nutritionData = await photoAnalyzer.analyze(file, '', AppState.abortController);
 
         if (nutritionData) {
-            // Show modal for review/edit before saving
-            openMealEditModal('new', nutritionData);
+            // Show modal for review/edit before saving (corrections are remembered for next analyses)
+            openMealEditModal('new', { ...nutritionData, aiInput: { source: 'image', text: '' } });
             photoInput.value = '';
         } else {
             alert('Nepodařilo se analyzovat fotografii. Zkuste to prosím znovu.');
@@ -873,55 +1483,373 @@ async function analyzePhoto() {
 }
 
 
-// =====================================
-// VOICE INPUT ANALYSIS
-// =====================================
+/**
+ * Switch photo tab between meal photo and nutrition label mode
+ * @param {string} mode - 'meal' or 'label'
+ */
+function setPhotoMode(mode) {
+    AppState.photoMode = mode;
+
+    document.querySelectorAll('.photo-mode-btn').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.mode === mode);
+    });
+
+    document.getElementById('photoUploadText').textContent = mode === 'label'
+        ? 'Vyfotit nutriční tabulku z obalu'
+        : 'Vybrat nebo vyfotit jídlo';
+}
+
+// Product or custom food in portion dialog (label, custom foods list)
+let currentPortionFood = null;
+// Save food to custom foods after confirming portion (offered for labels)
+let currentPortionOfferSave = false;
 
 /**
- * Setup voice recognition
+ * Get units for portion of product/custom food
+ * @param {Object} food - Product or custom food (servingGrams, packageGrams, units)
+ * @returns {Array<{name: string, grams: number}>} Units, grams first
  */
-function setupVoiceRecognition() {
-    if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
-        console.warn('MediaRecorder not supported');
-        const voiceBtn = document.getElementById('voiceBtn');
-        if (voiceBtn) {
-            voiceBtn.disabled = true;
-            voiceBtn.textContent = '❌ Nepodporováno';
-        }
+function getPortionUnits(food) {
+    const units = [{ name: 'g', grams: 1 }];
+    if (food.servingGrams) units.push({ name: 'porce', grams: food.servingGrams });
+    if (food.packageGrams && food.packageGrams !== food.servingGrams) {
+        units.push({ name: 'balení', grams: food.packageGrams });
     }
+    return units.concat(food.units || []);
 }
 
 /**
- * Start voice recognition
+ * Ask how much of product/custom food was eaten, then open meal modal
+ * @param {Object} food - Product or custom food (name, brand, per100g, servingGrams, packageGrams, units)
+ * @param {Object} options - { offerSave: show "save as custom food" checkbox, icon }
  */
-async function startVoiceRecognition() {
-    const voiceBtn = document.getElementById('voiceBtn');
+function openPortionDialog(food, options = {}) {
+    currentPortionFood = food;
+    currentPortionOfferSave = !!options.offerSave;
+    const per100g = food.per100g;
+
+    document.getElementById('portionDialogIcon').textContent = options.icon || '🏷️';
+    document.getElementById('portionName').textContent = food.brand ? `${food.name} (${food.brand})` : food.name;
+    document.getElementById('portionPer100g').textContent =
+        `Na 100 g: ${per100g.calories} kcal · B ${per100g.protein} g · S ${per100g.carbs} g · T ${per100g.fat} g`;
+
+    const units = getPortionUnits(food);
+    document.getElementById('portionUnit').innerHTML = units.map((unit, index) =>
+        `<option value="${index}">${unit.name === 'g' ? 'g' : `${unit.name} (${unit.grams} g)`}</option>`
+    ).join('');
+
+    // Default portion from label/food, otherwise 100 g
+    const defaultUnit = food.servingGrams ? 1 : 0;
+    document.getElementById('portionUnit').value = defaultUnit;
+    document.getElementById('portionAmount').value = defaultUnit ? 1 : 100;
+
+    document.getElementById('portionSaveRow').style.display = currentPortionOfferSave ? 'flex' : 'none';
+    document.getElementById('portionSave').checked = false;
+
+    updatePortionPreview();
+    document.getElementById('portionDialog').classList.add('active');
+}
 
-    // If already recording, this shouldn't happen (button should be hidden)
-    if (AppState.mediaRecorder && AppState.mediaRecorder.state === 'recording') {
+/**
+ * Get eaten grams from portion dialog (amount × unit)
+ * @returns {number} Grams (0 if amount is invalid)
+ */
+function getPortionGrams() {
+    if (!currentPortionFood) return 0;
+
+    const amount = parseNumber(document.getElementById('portionAmount').value);
+    const unit = getPortionUnits(currentPortionFood)[document.getElementById('portionUnit').value];
+
+    return amount > 0 && unit ? Math.round(amount * unit.grams) : 0;
+}
+
+/**
+ * Show grams, calories and macros of eaten amount
+ */
+function updatePortionPreview() {
+    const preview = document.getElementById('portionPreview');
+    const grams = getPortionGrams();
+
+    if (!grams) {
+        preview.textContent = '';
         return;
     }
 
-    try {
-        const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+    const data = ProductDatabase.toNutritionData(currentPortionFood, grams);
+    preview.textContent = `${grams} g = ${data.calories} kcal · B ${data.protein} g · S ${data.carbs} g · T ${data.fat} g`;
+}
 
-        AppState.audioChunks = [];
-        AppState.cancelRecordingFlag = false;
-        AppState.mediaRecorder = new MediaRecorder(stream);
+/**
+ * Close portion dialog, on confirm open meal modal (and save custom food if requested)
+ * @param {boolean} confirmed - true if user confirmed
+ */
+async function closePortionDialog(confirmed) {
+    const food = currentPortionFood;
+    const grams = getPortionGrams();
 
-        AppState.mediaRecorder.ondataavailable = (event) => {
-            AppState.audioChunks.push(event.data);
-        };
+    if (confirmed && !grams) {
+        alert('Zadejte prosím snědené množství');
+        return;
+    }
 
-        AppState.mediaRecorder.onstop = async () => {
-            stream.getTracks().forEach(track => track.stop());
+    document.getElementById('portionDialog').classList.remove('active');
+    currentPortionFood = null;
 
-            // Check if recording was canceled
-            if (AppState.cancelRecordingFlag) {
-                console.log('🛑 Recording canceled by user');
-                AppState.cancelRecordingFlag = false;
-                AppState.audioBlob = null;
-                AppState.audioChunks = [];
+    if (!confirmed || !food) return;
+
+    if (currentPortionOfferSave && document.getElementById('portionSave').checked) {
+        try {
+            await addCustomFood(AppState.currentUser.uid, { ...food, source: 'label' });
+            invalidateTextSuggestionSources();
+            showToast(`"${food.name}" uloženo do vlastních potravin`, 'success');
+        } catch (error) {
+            showToast('Nepodařilo se uložit vlastní potravinu', 'error');
+        }
+    }
+
+    openMealEditModal('new', ProductDatabase.toNutritionData(food, grams));
+}
+
+// =====================================
+// BARCODE INPUT ANALYSIS
+// =====================================
+
+/**
+ * Analyze uploaded barcode photo using BarcodeAnalyzer
+ */
+async function analyzeBarcode() {
+    if (AppState.isProcessing) return;
+
+    const barcodeInput = document.getElementById('barcodeInput');
+    const file = barcodeInput.files[0];
+
+    if (!file) {
+        alert('Vyberte prosím fotografii čárového kódu');
+        return;
+    }
+
+    AppState.isProcessing = true;
+    AppState.abortController = new AbortController();
+    showLoading(true, '📦 Hledám produkt...');
+
+    try {
+        const barcodeAnalyzer = new BarcodeAnalyzer(AppState.currentUser.uid);
+        const nutritionData = await barcodeAnalyzer.analyze(file, AppState.abortController);
+
+        // Show modal for review/edit before saving
+        openMealEditModal('new', nutritionData);
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            console.log('✅ Barcode analysis canceled by user');
+        } else {
+            console.error('❌ Barcode analysis error:', error);
+            alert(`Chyba při načítání produktu: ${error.message}`);
+        }
+    } finally {
+        barcodeInput.value = '';
+        AppState.isProcessing = false;
+        showLoading(false);
+    }
+}
+
+/**
+ * Look up product by already read barcode (camera scan or manual entry)
+ * @param {string} barcode - Barcode digits
+ * @param {string|null} imageBase64 - Camera frame for AI fallback of unknown products
+ */
+async function analyzeBarcodeCode(barcode, imageBase64 = null) {
+    if (AppState.isProcessing) return;
+
+    AppState.isProcessing = true;
+    AppState.abortController = new AbortController();
+    showLoading(true, `📦 Hledám produkt ${barcode}...`);
+
+    try {
+        const barcodeAnalyzer = new BarcodeAnalyzer(AppState.currentUser.uid);
+        const nutritionData = await barcodeAnalyzer.analyzeCode(barcode, imageBase64, AppState.abortController);
+
+        // Show modal for review/edit before saving
+        openMealEditModal('new', nutritionData);
+        document.getElementById('barcodeManualInput').value = '';
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            console.log('✅ Barcode lookup canceled by user');
+        } else {
+            console.error('❌ Barcode lookup error:', error);
+            alert(`Chyba při načítání produktu: ${error.message}`);
+        }
+    } finally {
+        AppState.isProcessing = false;
+        showLoading(false);
+    }
+}
+
+/**
+ * Look up product by manually typed barcode
+ */
+function lookupManualBarcode() {
+    const barcode = document.getElementById('barcodeManualInput').value.replace(/\s/g, '');
+
+    if (!/^\d{8,14}$/.test(barcode)) {
+        alert('Zadejte prosím čárový kód (8–14 číslic)');
+        return;
+    }
+
+    analyzeBarcodeCode(barcode);
+}
+
+/**
+ * Open camera and scan frames until a barcode is found
+ */
+async function startBarcodeScan() {
+    if (AppState.isProcessing || AppState.barcodeStream) return;
+
+    if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+        alert('Kamera není v tomto prohlížeči dostupná. Nahrajte prosím fotku čárového kódu.');
+        return;
+    }
+
+    const modal = document.getElementById('barcodeScannerModal');
+    const video = document.getElementById('barcodeVideo');
+
+    try {
+        AppState.barcodeStream = await navigator.mediaDevices.getUserMedia({
+            video: { facingMode: 'environment' },
+            audio: false
+        });
+
+        video.srcObject = AppState.barcodeStream;
+        modal.style.display = 'flex';
+        await video.play();
+
+        console.log(`📦 Barcode scanner started (${BarcodeDecoder.isNativeSupported() ? 'native' : 'JS decoder'})`);
+        scanBarcodeFrame();
+    } catch (error) {
+        console.error('❌ Camera error:', error);
+        stopBarcodeScan();
+        alert('Nepodařilo se spustit kameru. Povolte přístup ke kameře nebo nahrajte fotku kódu.');
+    }
+}
+
+/**
+ * Try to read barcode from current camera frame, schedule next frame if not found
+ */
+async function scanBarcodeFrame() {
+    const video = document.getElementById('barcodeVideo');
+    if (!AppState.barcodeStream) return;
+
+    let barcode = null;
+    if (video.readyState >= video.HAVE_CURRENT_DATA) {
+        try {
+            barcode = await BarcodeDecoder.detect(video);
+        } catch (error) {
+            console.warn('⚠️ Barcode frame decode failed:', error);
+        }
+    }
+
+    // Scanner may have been closed while decoding
+    if (!AppState.barcodeStream) return;
+
+    if (barcode) {
+        console.log(`📦 Barcode found: ${barcode}`);
+        const frame = MediaConverter.videoFrameToBase64(video);
+        stopBarcodeScan();
+        analyzeBarcodeCode(barcode, frame);
+        return;
+    }
+
+    AppState.barcodeScanTimer = setTimeout(scanBarcodeFrame, 300);
+}
+
+/**
+ * Stop camera and close barcode scanner
+ */
+function stopBarcodeScan() {
+    clearTimeout(AppState.barcodeScanTimer);
+    AppState.barcodeScanTimer = null;
+
+    if (AppState.barcodeStream) {
+        AppState.barcodeStream.getTracks().forEach(track => track.stop());
+        AppState.barcodeStream = null;
+    }
+
+    document.getElementById('barcodeVideo').srcObject = null;
+    document.getElementById('barcodeScannerModal').style.display = 'none';
+}
+
+/**
+ * Import Open Food Facts export into user's product database
+ * @param {HTMLInputElement} input - File input with selected export
+ */
+async function importProductDatabase(input) {
+    const file = input.files[0];
+    if (!file) return;
+
+    try {
+        const productDatabase = new ProductDatabase(AppState.currentUser.uid);
+        const count = await productDatabase.importProducts(await file.text());
+        showToast(`Importováno ${count} produktů`, 'success');
+    } catch (error) {
+        console.error('❌ Product import error:', error);
+        showToast(`Import produktů selhal: ${error.message}`, 'error');
+    } finally {
+        input.value = '';
+    }
+}
+
+// =====================================
+// VOICE INPUT ANALYSIS
+// =====================================
+
+/**
+ * Setup voice recognition
+ */
+function setupVoiceRecognition() {
+    if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+        console.warn('MediaRecorder not supported');
+        const voiceBtn = document.getElementById('voiceBtn');
+        if (voiceBtn) {
+            voiceBtn.disabled = true;
+            voiceBtn.textContent = '❌ Nepodporováno';
+        }
+    }
+}
+
+/**
+ * Start voice recognition
+ */
+async function startVoiceRecognition() {
+    const voiceBtn = document.getElementById('voiceBtn');
+
+    // If already recording, this shouldn't happen (button should be hidden)
+    if (AppState.mediaRecorder && AppState.mediaRecorder.state === 'recording') {
+        return;
+    }
+
+    try {
+        const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+
+        AppState.audioChunks = [];
+        AppState.cancelRecordingFlag = false;
+        AppState.mediaRecorder = new MediaRecorder(stream);
+
+        AppState.mediaRecorder.ondataavailable = (event) => {
+            AppState.audioChunks.push(event.data);
+        };
+
+        AppState.mediaRecorder.onstop = async () => {
+            stream.getTracks().forEach(track => track.stop());
+
+            // Recording is for one analysis only - meal again by default
+            const recordingTarget = AppState.recordingTarget;
+            AppState.recordingTarget = 'meal';
+
+            // Check if recording was canceled
+            if (AppState.cancelRecordingFlag) {
+                console.log('🛑 Recording canceled by user');
+                AppState.cancelRecordingFlag = false;
+                AppState.audioBlob = null;
+                AppState.audioChunks = [];
                 return;
             }
 
@@ -930,9 +1858,16 @@ async function startVoiceRecognition() {
             const sizeKB = (AppState.audioBlob.size / 1024).toFixed(2);
             console.log(`Nahrávka dokončena (${sizeKB} KB). Automaticky zpracovávám...`);
 
-            voiceBtn.textContent = '🎤 Nahrát znovu';
             voiceBtn.style.background = '';
 
+            if (recordingTarget === 'exercise') {
+                voiceBtn.textContent = '🎤 Začít nahrávat';
+                analyzeExerciseVoice();
+                return;
+            }
+
+            voiceBtn.textContent = '🎤 Nahrát znovu';
+
             // Analyze automatically
             analyzeVoice();
         };
@@ -965,6 +1900,7 @@ async function startVoiceRecognition() {
             errorMsg += 'Chyba: ' + error.message;
         }
 
+        AppState.recordingTarget = 'meal';
         alert(errorMsg);
     }
 }
@@ -989,8 +1925,8 @@ async function analyzeVoice() {
         const nutritionData = await voiceAnalyzer.analyze(AppState.audioBlob, AppState.abortController);
 
         if (nutritionData) {
-            // Show modal for review/edit before saving
-            openMealEditModal('new', nutritionData);
+            // Show modal for review/edit before saving (corrections are remembered for next analyses)
+            openMealEditModal('new', { ...nutritionData, aiInput: { source: 'audio', text: '' } });
             // Reset audio state
             AppState.audioBlob = null;
             document.getElementById('voiceBtn').textContent = '🎤 Začít nahrávat';
@@ -1088,44 +2024,83 @@ function showGoalsInfoDialog(goals) {
             <span class="info-dialog-value">${goals.bmr} kcal</span>
         </div>
         <div class="info-dialog-row">
-            <span class="info-dialog-label">TDEE (udržovací kalorie)</span>
+            <span class="info-dialog-label">${goals.tdeeSource === 'adaptive' ? 'TDEE (naměřené)' : 'TDEE (udržovací kalorie)'}</span>
             <span class="info-dialog-value">${goals.tdee} kcal</span>
         </div>
     `;
 
+    if (goals.tdeeSource === 'adaptive') {
+        bodyHTML += `
+            <div class="info-dialog-row">
+                <span class="info-dialog-label">TDEE podle vzorce</span>
+                <span class="info-dialog-value">${goals.formulaTdee} kcal</span>
+            </div>
+        `;
+    }
+
     if (goals.deficit !== 0) {
         const deficitText = goals.deficit > 0 ? `+${goals.deficit}` : goals.deficit;
         const deficitLabel = goals.deficit > 0 ? 'Přebytek' : 'Deficit';
+        const weeklyChange = goals.deficit * 7 / ADAPTIVE_TDEE.kcalPerKg;
         bodyHTML += `
             <div class="info-dialog-row">
                 <span class="info-dialog-label">${deficitLabel}</span>
                 <span class="info-dialog-value">${deficitText} kcal/den</span>
             </div>
+            <div class="info-dialog-row">
+                <span class="info-dialog-label">Očekávaná změna váhy</span>
+                <span class="info-dialog-value">${weeklyChange > 0 ? '+' : ''}${weeklyChange.toFixed(2)} kg/týden</span>
+            </div>
         `;
     }
 
+    // Targets typed in by the user instead of calculated
+    const manualLabel = (key) => (goals.manualTargets || []).includes(key) ? ' (ručně)' : '';
+
     bodyHTML += `
         <div class="info-dialog-section">
             <div class="info-dialog-section-title">Denní cílové hodnoty</div>
             <div class="info-dialog-row highlight">
-                <span class="info-dialog-label">Kalorie</span>
+                <span class="info-dialog-label">Kalorie${manualLabel('calories')}</span>
                 <span class="info-dialog-value">${goals.calories} kcal</span>
             </div>
             <div class="info-dialog-row">
-                <span class="info-dialog-label">Bílkoviny</span>
+                <span class="info-dialog-label">Bílkoviny${manualLabel('protein')}</span>
                 <span class="info-dialog-value">${goals.protein} g</span>
             </div>
             <div class="info-dialog-row">
-                <span class="info-dialog-label">Sacharidy</span>
+                <span class="info-dialog-label">Sacharidy${manualLabel('carbs')}</span>
                 <span class="info-dialog-value">${goals.carbs} g</span>
             </div>
             <div class="info-dialog-row">
-                <span class="info-dialog-label">Tuky</span>
+                <span class="info-dialog-label">Tuky${manualLabel('fat')}</span>
                 <span class="info-dialog-value">${goals.fat} g</span>
             </div>
+            ${MICRONUTRIENTS.filter(micro => goals[micro.key]).map(micro => `
+            <div class="info-dialog-row">
+                <span class="info-dialog-label">${micro.label} (${micro.targetType === 'min' ? 'cíl' : 'limit'})</span>
+                <span class="info-dialog-value">${goals[micro.key]} ${micro.unit}</span>
+            </div>`).join('')}
         </div>
     `;
 
+    if (goals.dayTargets) {
+        const { training, rest } = goals.dayTargets;
+        bodyHTML += `
+            <div class="info-dialog-section">
+                <div class="info-dialog-section-title">Tréninkové dny a dny volna</div>
+                <div class="info-dialog-row">
+                    <span class="info-dialog-label">Trénink</span>
+                    <span class="info-dialog-value">${training.calories} kcal · B ${training.protein} · S ${training.carbs} · T ${training.fat} g</span>
+                </div>
+                <div class="info-dialog-row">
+                    <span class="info-dialog-label">Volno</span>
+                    <span class="info-dialog-value">${rest.calories} kcal · B ${rest.protein} · S ${rest.carbs} · T ${rest.fat} g</span>
+                </div>
+            </div>
+        `;
+    }
+
     showInfoDialog('Údaje uloženy', bodyHTML, '✓');
 }
 
@@ -1202,6 +2177,67 @@ function updateGreeting() {
     }
 }
 
+/**
+ * Get goals for the selected date (training/rest day targets or the single daily goals,
+ * plus logged exercise, today optionally adjusted by weekly budget)
+ * @returns {Object|null} Goals or null without profile
+ */
+function getSelectedDayGoals() {
+    const dayGoals = getGoalsForDate(AppState.dailyGoals, getSelectedDateString(), AppState.selectedDayType);
+    const goals = getGoalsWithExercise(dayGoals, ExerciseCalculator.getTotalCalories(AppState.exercises));
+
+    // Today's allowance adjusted by calories banked on previous days of the week
+    const budget = AppState.weeklyBudget;
+    if (goals && budget && AppState.userData?.useWeeklyBudget && budget.date === getSelectedDateString()) {
+        return { ...goals, calories: budget.adjustedToday, weeklyBudget: true };
+    }
+
+    return goals;
+}
+
+/**
+ * Load day type and water of the selected date from its daily summary
+ */
+async function loadSelectedDaySummary() {
+    const dateString = getSelectedDateString();
+    AppState.selectedDayType = null;
+    AppState.selectedWater = 0;
+    if (!AppState.currentUser) return;
+
+    const summary = await getDailySummary(AppState.currentUser.uid, dateString);
+
+    // Date changed while loading - newer call takes care of it
+    if (dateString !== getSelectedDateString()) return;
+
+    AppState.selectedDayType = AppState.dailyGoals?.dayTargets ? summary.dayType || null : null;
+    AppState.selectedWater = summary.water || 0;
+    updateSummary();
+}
+
+/**
+ * Switch selected date between training and rest day
+ */
+async function toggleDayType() {
+    if (!AppState.currentUser) return;
+
+    const dateString = getSelectedDateString();
+    const newType = getSelectedDayGoals().dayType === 'training' ? 'rest' : 'training';
+
+    // Same as the weekday from profile - no override needed
+    const weekdayType = getGoalsForDate(AppState.dailyGoals, dateString).dayType;
+    const dayType = newType === weekdayType ? null : newType;
+
+    try {
+        await setDayType(AppState.currentUser.uid, dateString, dayType);
+        AppState.selectedDayType = dayType;
+        updateSummary();
+        updateWeeklyTrend();
+        showToast(newType === 'training' ? 'Nastaven tréninkový den' : 'Nastaven den volna', 'success');
+    } catch (error) {
+        showToast('Nepodařilo se změnit typ dne', 'error');
+    }
+}
+
 /**
  * Update summary display
  */
@@ -1210,36 +2246,55 @@ function updateSummary() {
         calories: acc.calories + (meal.calories || 0),
         protein: acc.protein + (meal.protein || 0),
         carbs: acc.carbs + (meal.carbs || 0),
-        fat: acc.fat + (meal.fat || 0)
-    }), { calories: 0, protein: 0, carbs: 0, fat: 0 });
+        fat: acc.fat + (meal.fat || 0),
+        fiber: acc.fiber + (meal.fiber || 0),
+        sugar: acc.sugar + (meal.sugar || 0),
+        saturatedFat: acc.saturatedFat + (meal.saturatedFat || 0),
+        sodium: acc.sodium + (meal.sodium || 0),
+        waterMl: acc.waterMl + (meal.waterMl || 0)
+    }), { calories: 0, protein: 0, carbs: 0, fat: 0, fiber: 0, sugar: 0, saturatedFat: 0, sodium: 0, waterMl: 0 });
 
     totals.calories = Math.round(totals.calories);
     totals.protein = Math.round(totals.protein);
     totals.carbs = Math.round(totals.carbs);
     totals.fat = Math.round(totals.fat);
+    totals.fiber = Math.round(totals.fiber);
+    totals.sugar = Math.round(totals.sugar);
+    totals.saturatedFat = Math.round(totals.saturatedFat);
+    totals.sodium = Math.round(totals.sodium);
+
+    // Secondary row - micronutrients (targets are optional, work without profile too)
+    updateMicrosRow(totals);
+
+    // Hydration - water logged by buttons (+ analyzed drinks when enabled)
+    updateWaterBox(totals.waterMl);
 
     // Round to tens for display
     const displayCalories = Math.round(totals.calories / 10) * 10;
     document.getElementById('totalCalories').textContent = displayCalories;
 
-    if (AppState.dailyGoals) {
+    // Goals of the selected date (training and rest days can differ)
+    const goals = getSelectedDayGoals();
+
+    if (goals) {
         // Displayed percentage: relative to goal (100% = goal achieved)
-        const caloriesPercent = Math.round((totals.calories / AppState.dailyGoals.calories) * 100);
+        const caloriesPercent = Math.round((totals.calories / goals.calories) * 100);
 
-        // Visual progress bar: scaled to TDEE (100% bar width = TDEE)
-        const progressWidth = (totals.calories / AppState.dailyGoals.tdee) * 100;
+        // Visual progress bar: scaled to the calorie limit (100% bar width = TDEE, or goal + surplus when gaining)
+        const calorieLimit = getCalorieLimit(goals);
+        const progressWidth = (totals.calories / calorieLimit) * 100;
 
-        // Goal marker position: where the goal sits on the TDEE scale
-        const markerPosition = (AppState.dailyGoals.calories / AppState.dailyGoals.tdee) * 100;
+        // Goal marker position: where the goal sits on the limit scale
+        const markerPosition = (goals.calories / calorieLimit) * 100;
 
         const caloriesPercentageEl = document.getElementById('caloriesPercentage');
         caloriesPercentageEl.textContent = caloriesPercent + '%';
         // Round goal to tens for display
-        const displayGoal = Math.round(AppState.dailyGoals.calories / 10) * 10;
+        const displayGoal = Math.round(goals.calories / 10) * 10;
         document.getElementById('caloriesGoalValue').textContent = displayGoal;
 
         const progressFill = document.getElementById('caloriesProgressFill');
-        // Progress bar width based on TDEE (can go up to 100% = TDEE)
+        // Progress bar width based on the limit (can go up to 100% = limit)
         progressFill.style.width = Math.min(progressWidth, 100) + '%';
 
         // Position the goal marker
@@ -1250,28 +2305,31 @@ function updateSummary() {
         }
 
         // Color coding - progressive based on goal and TDEE
-        progressFill.style.background = getProgressColor(caloriesPercent, totals.calories);
+        progressFill.style.background = getProgressColor(caloriesPercent, totals.calories, goals);
         caloriesPercentageEl.style.color = '#FFFFFF';
         caloriesPercentageEl.style.fontWeight = caloriesPercent >= 95 ? '700' : '600';
 
         // Update calories box background gradient based on state
         const caloriesBox = document.querySelector('.calories-main');
         if (caloriesBox) {
-            caloriesBox.style.background = getCaloriesBoxGradient(totals.calories);
+            caloriesBox.style.background = getCaloriesBoxGradient(totals.calories, goals);
         }
 
         // Update BMR/TDEE meta info
         const caloriesMeta = document.getElementById('caloriesMeta');
         if (caloriesMeta) {
             caloriesMeta.innerHTML = `
-                <span><span class="calories-meta-label">BMR:</span> ${AppState.dailyGoals.bmr} kcal</span>
-                <span><span class="calories-meta-label">TDEE:</span> ${AppState.dailyGoals.tdee} kcal</span>
+                <span><span class="calories-meta-label">BMR:</span> ${goals.bmr} kcal</span>
+                <span><span class="calories-meta-label">TDEE:</span> ${goals.tdee} kcal</span>
+                ${goals.exerciseCalories ? `<span><span class="calories-meta-label">Cíl:</span> ${goals.baseCalories} + 🏃 ${goals.exerciseCalories} kcal</span>` : ''}
+                ${goals.weeklyBudget ? '<span class="calories-meta-label">Týdenní rozpočet</span>' : ''}
+                ${goals.dayType ? `<button class="day-type-toggle" onclick="toggleDayType()">${goals.dayType === 'training' ? '🏋️ Trénink' : '🛋️ Volno'}</button>` : ''}
             `;
         }
 
-        updateMacroBox('protein', totals.protein, AppState.dailyGoals.protein);
-        updateMacroBox('carbs', totals.carbs, AppState.dailyGoals.carbs);
-        updateMacroBox('fat', totals.fat, AppState.dailyGoals.fat);
+        updateMacroBox('protein', totals.protein, goals.protein);
+        updateMacroBox('carbs', totals.carbs, goals.carbs);
+        updateMacroBox('fat', totals.fat, goals.fat);
     } else {
         document.getElementById('caloriesGoalValue').textContent = '?';
         document.getElementById('caloriesProgressFill').style.width = '0%';
@@ -1290,6 +2348,47 @@ function updateSummary() {
     }
 }
 
+/**
+ * Update hydration box (water of the selected date against target from body weight)
+ * @param {number} drinkWater - Liquid volume of analyzed drinks on the selected date (ml)
+ */
+function updateWaterBox(drinkWater) {
+    const countedDrinks = AppState.userData?.countDrinksAsWater ? Math.round(drinkWater) : 0;
+    const total = AppState.selectedWater + countedDrinks;
+    // Goals saved before water target existed - calculate from weight
+    const goal = AppState.dailyGoals?.water || calculateWaterGoal(AppState.userData?.weight);
+
+    document.getElementById('totalWater').textContent = (total / 1000).toFixed(2).replace('.', ',');
+    document.getElementById('waterGoal').textContent = goal ? `z ${(goal / 1000).toFixed(1).replace('.', ',')} l` : 'Nastavte váhu';
+    document.getElementById('waterDrinks').textContent = countedDrinks ? `z toho nápoje ${countedDrinks} ml` : '';
+    document.getElementById('waterUndoBtn').disabled = AppState.selectedWater === 0;
+
+    const percent = goal ? Math.round((total / goal) * 100) : 0;
+    document.getElementById('waterProgressFill').style.width = Math.min(percent, 100) + '%';
+    document.getElementById('waterBox').classList.toggle('reached', percent >= 100);
+}
+
+/**
+ * Add water to the selected date (quick add buttons)
+ * @param {number} ml - Amount in ml (negative = undo last glass)
+ */
+async function addWaterIntake(ml) {
+    if (!AppState.currentUser) return;
+
+    const dateString = getSelectedDateString();
+    try {
+        const water = await addWater(AppState.currentUser.uid, dateString, ml);
+
+        // Date changed while saving - water belongs to the previous date
+        if (dateString !== getSelectedDateString()) return;
+
+        AppState.selectedWater = water;
+        updateSummary();
+    } catch (error) {
+        showToast('Nepodařilo se uložit pitný režim', 'error');
+    }
+}
+
 // Base colors for progressive gradient
 const COLORS = {
     green: { r: 76, g: 175, b: 80 },    // #4CAF50
@@ -1319,16 +2418,30 @@ function interpolateColor(color1, color2, factor) {
 }
 
 /**
- * Get progress bar color based on calories relative to goal and TDEE
+ * Get calories where intake turns red
+ * Deficit/maintenance goals: TDEE. Surplus goals: goal + the planned surplus again,
+ * so eating somewhat over a bulking goal is not flagged like eating over maintenance
+ * @param {Object} goals - Daily goals {calories, tdee}
+ * @returns {number} Calorie limit
+ */
+function getCalorieLimit(goals) {
+    if (goals.calories > goals.tdee) {
+        return goals.calories + (goals.calories - goals.tdee);
+    }
+    return goals.tdee;
+}
+
+/**
+ * Get progress bar color based on calories relative to goal and calorie limit
  * - Under goal: green
- * - Between goal and TDEE: green → orange gradient
- * - Above TDEE: orange → red gradient
+ * - Between goal and limit: green → orange gradient
+ * - Above limit: orange → red gradient
  * @param {number} percent - Percentage of goal
- * @param {number} calories - Actual calories (optional, for TDEE comparison)
+ * @param {number} calories - Actual calories (optional, for limit comparison)
+ * @param {Object} goals - Goals of the day (default: daily goals)
  * @returns {string} Color value
  */
-function getProgressColor(percent, calories = null) {
-    const goals = AppState.dailyGoals;
+function getProgressColor(percent, calories = null, goals = AppState.dailyGoals) {
 
     // Fallback if no goals set - use simple thresholds
     if (!goals || !goals.tdee || !calories) {
@@ -1338,30 +2451,30 @@ function getProgressColor(percent, calories = null) {
     }
 
     const goalCalories = goals.calories;
-    const tdeeCalories = goals.tdee;
-    const rangeToTdee = tdeeCalories - goalCalories;
+    const limitCalories = getCalorieLimit(goals);
+    const rangeToLimit = limitCalories - goalCalories;
 
-    // Transition point: 70% of the way from goal to TDEE
-    const orangePoint = goalCalories + (rangeToTdee * 0.7);
+    // Transition point: 70% of the way from goal to limit
+    const orangePoint = goalCalories + (rangeToLimit * 0.7);
 
     // Under goal - solid green
     if (calories <= goalCalories) {
         return interpolateColor(COLORS.green, COLORS.green, 0);
     }
 
-    // Goal to 70% of TDEE range - green to orange gradient
+    // Goal to 70% of limit range - green to orange gradient
     if (calories <= orangePoint) {
         const factor = (calories - goalCalories) / (orangePoint - goalCalories);
         return interpolateColor(COLORS.green, COLORS.orange, factor);
     }
 
-    // 70% to TDEE - orange to red gradient
-    if (calories <= tdeeCalories) {
-        const factor = (calories - orangePoint) / (tdeeCalories - orangePoint);
+    // 70% to limit - orange to red gradient
+    if (calories <= limitCalories) {
+        const factor = (calories - orangePoint) / (limitCalories - orangePoint);
         return interpolateColor(COLORS.orange, COLORS.red, factor);
     }
 
-    // Above TDEE - solid red
+    // Above limit - solid red
     return interpolateColor(COLORS.red, COLORS.red, 0);
 }
 
@@ -1369,10 +2482,10 @@ function getProgressColor(percent, calories = null) {
  * Get background gradient for calories box based on state
  * Returns a gradient that transitions from green → orange → red
  * @param {number} calories - Actual calories
+ * @param {Object} goals - Goals of the day (default: daily goals)
  * @returns {string} CSS gradient
  */
-function getCaloriesBoxGradient(calories) {
-    const goals = AppState.dailyGoals;
+function getCaloriesBoxGradient(calories, goals = AppState.dailyGoals) {
 
     // Default green gradient
     const greenGradient = 'linear-gradient(135deg, #1A5F4A 0%, #2E8B7A 50%, #4BA3E3 100%)';
@@ -1384,9 +2497,9 @@ function getCaloriesBoxGradient(calories) {
     }
 
     const goalCalories = goals.calories;
-    const tdeeCalories = goals.tdee;
-    const rangeToTdee = tdeeCalories - goalCalories;
-    const orangePoint = goalCalories + (rangeToTdee * 0.7);
+    const limitCalories = getCalorieLimit(goals);
+    const rangeToLimit = limitCalories - goalCalories;
+    const orangePoint = goalCalories + (rangeToLimit * 0.7);
 
     // Under goal - green
     if (calories <= goalCalories) {
@@ -1413,9 +2526,9 @@ function getCaloriesBoxGradient(calories) {
         return `linear-gradient(135deg, rgb(${r1},${g1c},${b1}) 0%, rgb(${r2},${g2c},${b2}) 50%, rgb(${r3},${g3c},${b3}) 100%)`;
     }
 
-    // 70% to TDEE - transition orange to red
-    if (calories <= tdeeCalories) {
-        const factor = (calories - orangePoint) / (tdeeCalories - orangePoint);
+    // 70% to limit - transition orange to red
+    if (calories <= limitCalories) {
+        const factor = (calories - orangePoint) / (limitCalories - orangePoint);
         const g1 = { r1: 95, g1: 74, b1: 26, r2: 139, g2: 107, b2: 46, r3: 227, g3: 163, b3: 75 };
         const g2 = { r1: 95, g1: 26, b1: 26, r2: 139, g2: 46, b2: 46, r3: 227, g3: 75, b3: 75 };
 
@@ -1432,7 +2545,7 @@ function getCaloriesBoxGradient(calories) {
         return `linear-gradient(135deg, rgb(${r1},${g1c},${b1}) 0%, rgb(${r2},${g2c},${b2}) 50%, rgb(${r3},${g3c},${b3}) 100%)`;
     }
 
-    // Above TDEE - red
+    // Above limit - red
     return redGradient;
 }
 
@@ -1477,6 +2590,46 @@ function updateMacroBox(type, current, goal) {
     }
 }
 
+// Micronutrients shown in summary and goals dialog
+// targetType: 'min' = target to reach (fiber), 'max' = limit not to exceed
+const MICRONUTRIENTS = [
+    { key: 'fiber', label: 'Vláknina', unit: 'g', targetType: 'min' },
+    { key: 'sugar', label: 'Cukry', unit: 'g', targetType: 'max' },
+    { key: 'saturatedFat', label: 'Nas. tuky', unit: 'g', targetType: 'max' },
+    { key: 'sodium', label: 'Sodík', unit: 'mg', targetType: 'max' }
+];
+
+/**
+ * Update micronutrients secondary row in summary
+ * @param {Object} totals - Day totals (fiber, sugar, saturatedFat, sodium)
+ */
+function updateMicrosRow(totals) {
+    const microsRow = document.getElementById('microsRow');
+    if (!microsRow) return;
+
+    const goals = AppState.dailyGoals || {};
+
+    microsRow.innerHTML = MICRONUTRIENTS.map(micro => {
+        const current = totals[micro.key];
+        const target = goals[micro.key];
+
+        let stateClass = '';
+        if (target) {
+            if (micro.targetType === 'max' && current > target) stateClass = 'over';
+            if (micro.targetType === 'min' && current >= target) stateClass = 'reached';
+        }
+
+        const value = target ? `${current} / ${target} ${micro.unit}` : `${current} ${micro.unit}`;
+
+        return `
+            <div class="micro-box ${stateClass}">
+                <span class="micro-box-label">${micro.label}</span>
+                <span class="micro-box-value">${value}</span>
+            </div>
+        `;
+    }).join('');
+}
+
 /**
  * Update weekly trend display
  */
@@ -1505,15 +2658,17 @@ async function updateWeeklyTrend() {
             const dayName = date.toLocaleDateString('cs-CZ', { weekday: 'short' }).toUpperCase();
             const dayDate = date.getDate() + '.' + (date.getMonth() + 1) + '.';
 
-            const caloriesGoal = AppState.dailyGoals.calories;
-            const percent = caloriesGoal > 0 ? Math.round((dayData.totalCalories / caloriesGoal) * 100) : 0;
+            // Each day against its own target (training/rest day, logged exercise)
+            const dayGoals = getGoalsForSummary(AppState.dailyGoals, dayData);
+            const caloriesGoal = dayGoals.calories;
+            const percent = caloriesGoal > 0 ? Math.round(((dayData.totalCalories || 0) / caloriesGoal) * 100) : 0;
 
             // Calculate bar height - 100% goal = 80% visual height, allows overflow display
             // Max visual height is 100% (reached at 125% of goal)
             const barHeight = Math.min(Math.round(percent * 0.8), 100);
 
             // Get bar color using progressive gradient based on goal and TDEE
-            const barColor = dayData.totalCalories > 0 ? getProgressColor(percent, dayData.totalCalories) : 'rgba(255, 255, 255, 0.08)';
+            const barColor = dayData.totalCalories > 0 ? getProgressColor(percent, dayData.totalCalories, dayGoals) : 'rgba(255, 255, 255, 0.08)';
 
             const selectedDateString = getSelectedDateString();
             const isSelected = dayData.date === selectedDateString;
@@ -1549,6 +2704,13 @@ async function updateWeeklyTrend() {
                 }
             });
         });
+
+        // Weekly budget from the same summaries - today's goal may move with it
+        AppState.weeklyBudget = calculateWeeklyBudget(weeklyData, AppState.dailyGoals);
+        renderWeeklyBudget();
+        if (AppState.userData?.useWeeklyBudget) {
+            updateSummary();
+        }
     } catch (error) {
         console.error('Error updating weekly trend:', error);
         chartContainer.innerHTML = '<div class="weekly-trend-loading">Chyba při načítání dat</div>';
@@ -1556,14 +2718,455 @@ async function updateWeeklyTrend() {
 }
 
 /**
- * Update only the selected state in weekly trend (without refetching data)
+ * Render weekly budget below the weekly chart
  */
-function updateWeeklyTrendSelection() {
-    const chartContainer = document.getElementById('weeklyTrendChart');
-    if (!chartContainer) return;
-
-    const selectedDateString = getSelectedDateString();
-
+function renderWeeklyBudget() {
+    const container = document.getElementById('weeklyBudget');
+    const budget = AppState.weeklyBudget;
+    if (!container || !budget) return;
+
+    const bankText = budget.bank > 0 ? `+${budget.bank}` : budget.bank;
+    const remainingClass = budget.remaining < 0 ? 'over' : '';
+
+    container.innerHTML = `
+        <div class="weekly-budget-row">
+            <span class="weekly-budget-label">Zbývá na týden</span>
+            <span class="weekly-budget-value ${remainingClass}">${budget.remaining} / ${budget.weekBudget} kcal</span>
+        </div>
+        <div class="weekly-budget-row">
+            <span class="weekly-budget-label">Dnes upraveno (${bankText} kcal z předchozích dní)</span>
+            <span class="weekly-budget-value">${budget.adjustedToday} kcal</span>
+        </div>
+        <label class="settings-checkbox weekly-budget-toggle">
+            <input type="checkbox" ${AppState.userData?.useWeeklyBudget ? 'checked' : ''} onchange="toggleWeeklyBudget(this.checked)">
+            Dnešní cíl podle týdenního rozpočtu
+        </label>
+    `;
+}
+
+/**
+ * Switch today's goal between daily target and weekly budget allowance
+ * @param {boolean} enabled - Use adjusted allowance from weekly budget
+ */
+async function toggleWeeklyBudget(enabled) {
+    if (!AppState.currentUser || !AppState.userData) return;
+
+    try {
+        await updateProfileSettings(AppState.currentUser.uid, { useWeeklyBudget: enabled });
+        AppState.userData.useWeeklyBudget = enabled;
+        updateSummary();
+    } catch (error) {
+        showToast('Nepodařilo se uložit nastavení', 'error');
+        renderWeeklyBudget();
+    }
+}
+
+// =====================================
+// EXERCISES
+// =====================================
+
+/**
+ * Setup real-time listener for exercises of the selected date
+ */
+function setupExercisesListener() {
+    if (!AppState.currentUser) return;
+
+    if (AppState.unsubscribeExercisesListener) {
+        AppState.unsubscribeExercisesListener();
+    }
+
+    const dateString = getSelectedDateString();
+    AppState.unsubscribeExercisesListener = listenToExercisesForDate(
+        AppState.currentUser.uid,
+        dateString,
+        (exercises) => {
+            console.log('📥 Exercises updated from Firestore for', dateString, ':', exercises.length);
+            AppState.exercises = exercises;
+            renderExercises();
+            updateSummary();
+        }
+    );
+}
+
+/**
+ * Render exercises of the selected date
+ */
+function renderExercises() {
+    const list = document.getElementById('exerciseList');
+    if (!list) return;
+
+    if (AppState.exercises.length === 0) {
+        list.innerHTML = '<p class="empty-state">Žádná zapsaná aktivita.</p>';
+        return;
+    }
+
+    list.innerHTML = AppState.exercises.map(exercise => `
+        <div class="exercise-item">
+            <div class="exercise-item-info">
+                <span class="exercise-item-name">${exercise.source === 'ai' ? '🤖 ' : ''}${exercise.name}</span>
+                <span class="exercise-item-meta">${exercise.minutes} min · MET ${exercise.met}</span>
+            </div>
+            <span class="exercise-item-calories">+${exercise.calories} kcal</span>
+            <button class="btn-delete-compact" onclick="deleteExerciseEntry('${exercise.id}')" title="Smazat"><svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M4 6h16"/><path d="M6 6v12a2 2 0 002 2h8a2 2 0 002-2V6"/><path d="M9 6V4a1 1 0 011-1h4a1 1 0 011 1v2"/></svg></button>
+        </div>
+    `).join('');
+}
+
+/**
+ * Get user weight for exercise calories (shows error without profile)
+ * @returns {number|null} Weight in kg
+ */
+function getExerciseWeight() {
+    const weight = AppState.userData?.weight;
+    if (!weight) {
+        showToast('Nastavte nejdřív váhu v osobních údajích', 'error');
+        return null;
+    }
+    return weight;
+}
+
+/**
+ * Open exercise modal
+ */
+function openExerciseModal() {
+    const select = document.getElementById('exerciseActivity');
+    if (select.options.length === 0) {
+        select.innerHTML = Object.entries(ExerciseCalculator.ACTIVITIES)
+            .map(([key, activity]) => `<option value="${key}">${activity.name}</option>`)
+            .join('');
+    }
+
+    document.getElementById('exerciseMinutes').value = '';
+    document.getElementById('exerciseDescription').value = '';
+    updateExerciseEstimate();
+    document.getElementById('exerciseModal').classList.add('active');
+}
+
+/**
+ * Close exercise modal
+ */
+function closeExerciseModal() {
+    document.getElementById('exerciseModal').classList.remove('active');
+}
+
+/**
+ * Show calories estimate of the selected activity and duration
+ */
+function updateExerciseEstimate() {
+    const estimate = document.getElementById('exerciseEstimate');
+    const minutes = parseIntNumber(document.getElementById('exerciseMinutes').value);
+    const weight = AppState.userData?.weight;
+
+    if (!minutes || !weight) {
+        estimate.textContent = '';
+        return;
+    }
+
+    const exercise = ExerciseCalculator.fromActivity(document.getElementById('exerciseActivity').value, minutes, weight);
+    estimate.textContent = exercise ? `≈ ${exercise.calories} kcal navíc k dennímu cíli` : '';
+}
+
+/**
+ * Save exercise to the selected date
+ * @param {Object} exercise - Exercise entry
+ */
+async function saveExercise(exercise) {
+    try {
+        await addExercise(AppState.currentUser.uid, getSelectedDateString(), exercise);
+        showToast(`Aktivita přidána: +${exercise.calories} kcal`, 'success');
+        closeExerciseModal();
+        updateWeeklyTrend();
+    } catch (error) {
+        showToast('Nepodařilo se uložit aktivitu', 'error');
+    }
+}
+
+/**
+ * Add exercise from activity list (MET table)
+ */
+async function addExerciseFromActivity() {
+    if (!AppState.currentUser) return;
+
+    const minutes = parseIntNumber(document.getElementById('exerciseMinutes').value);
+    if (!minutes || minutes <= 0) {
+        showToast('Zadejte dobu trvání v minutách', 'error');
+        return;
+    }
+
+    const weight = getExerciseWeight();
+    if (!weight) return;
+
+    const exercise = ExerciseCalculator.fromActivity(document.getElementById('exerciseActivity').value, minutes, weight);
+    await saveExercise(exercise);
+}
+
+/**
+ * Estimate exercise from text description (AI)
+ */
+async function analyzeExerciseDescription() {
+    if (AppState.isProcessing || !AppState.currentUser) return;
+
+    const description = document.getElementById('exerciseDescription').value.trim();
+    if (!description) {
+        showToast('Popište aktivitu', 'error');
+        return;
+    }
+
+    const weight = getExerciseWeight();
+    if (!weight) return;
+
+    AppState.isProcessing = true;
+    AppState.abortController = new AbortController();
+    showLoading(true, '🏃 Odhaduji aktivitu...');
+
+    try {
+        const exerciseAnalyzer = new ExerciseAnalyzer();
+        const analysis = await exerciseAnalyzer.analyzeText(description, AppState.abortController);
+        await saveExercise(ExerciseCalculator.fromAnalysis(analysis, weight));
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            console.log('✅ Exercise analysis canceled by user');
+        } else {
+            console.error('❌ Exercise analysis error:', error);
+            showToast(error.message, 'error');
+        }
+    } finally {
+        AppState.isProcessing = false;
+        showLoading(false);
+    }
+}
+
+/**
+ * Record exercise description by voice (analyzed after recording stops)
+ */
+function startExerciseRecording() {
+    if (!getExerciseWeight()) return;
+
+    AppState.recordingTarget = 'exercise';
+    startVoiceRecognition();
+}
+
+/**
+ * Estimate exercise from recorded voice description (AI)
+ */
+async function analyzeExerciseVoice() {
+    if (!AppState.audioBlob || AppState.isProcessing) return;
+
+    const weight = getExerciseWeight();
+    if (!weight) return;
+
+    AppState.isProcessing = true;
+    AppState.abortController = new AbortController();
+    showLoading(true, '🏃 Odhaduji aktivitu z nahrávky...');
+
+    try {
+        const exerciseAnalyzer = new ExerciseAnalyzer();
+        const analysis = await exerciseAnalyzer.analyzeAudio(AppState.audioBlob, AppState.abortController);
+        await saveExercise(ExerciseCalculator.fromAnalysis(analysis, weight));
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            console.log('✅ Exercise voice analysis canceled by user');
+        } else {
+            console.error('❌ Exercise voice analysis error:', error);
+            showToast(error.message, 'error');
+        }
+    } finally {
+        AppState.isProcessing = false;
+        AppState.audioBlob = null;
+        showLoading(false);
+    }
+}
+
+/**
+ * Delete exercise from the selected date
+ * @param {string} id - Exercise ID
+ */
+async function deleteExerciseEntry(id) {
+    const confirmed = await showConfirmDialog('Smazat aktivitu?', 'Denní cíl se sníží o její kalorie.');
+    if (!confirmed || !AppState.currentUser) return;
+
+    try {
+        await deleteExercise(AppState.currentUser.uid, getSelectedDateString(), id);
+        updateWeeklyTrend();
+    } catch (error) {
+        showToast('Nepodařilo se smazat aktivitu', 'error');
+    }
+}
+
+// =====================================
+// WEIGHT LOG
+// =====================================
+
+const WEIGHT_CHART_DAYS = 30;       // Days shown in weight chart
+const WEIGHT_HISTORY_DAYS = 90;     // Days loaded for trend (moving average needs history to settle)
+
+/**
+ * Update weight chart (daily weights + smoothed trend line)
+ */
+async function updateWeightTrend() {
+    const chartContainer = document.getElementById('weightTrendChart');
+    if (!chartContainer || !AppState.currentUser) return;
+
+    try {
+        const since = new Date();
+        since.setDate(since.getDate() - WEIGHT_HISTORY_DAYS);
+        const entries = calculateWeightTrend(await getWeightLog(AppState.currentUser.uid, formatDateString(since)));
+
+        if (entries.length === 0) {
+            chartContainer.innerHTML = '<div class="weekly-trend-loading">Zatím žádná váha. Zapisujte ji ideálně každý den.</div>';
+            return;
+        }
+
+        const chartStart = new Date();
+        chartStart.setDate(chartStart.getDate() - WEIGHT_CHART_DAYS);
+        const chartStartString = formatDateString(chartStart);
+        const visible = entries.filter(entry => entry.date >= chartStartString);
+        const latest = entries[entries.length - 1];
+
+        // Trend change against the entry about a week earlier
+        const weekAgo = new Date(latest.date);
+        weekAgo.setDate(weekAgo.getDate() - 7);
+        const weekAgoString = weekAgo.toISOString().split('T')[0];
+        const previous = entries.filter(entry => entry.date <= weekAgoString).pop();
+        const change = previous ? Math.round((latest.trend - previous.trend) * 10) / 10 : null;
+        const changeText = change === null ? '' : `${change > 0 ? '+' : ''}${change} kg za týden`;
+
+        chartContainer.innerHTML = `
+            ${visible.length > 0 ? renderWeightChart(visible, chartStartString) : ''}
+            <div class="weight-trend-stats">
+                <span>Trend: <strong>${latest.trend} kg</strong></span>
+                <span>${changeText}</span>
+                <span>Poslední: ${latest.weight} kg</span>
+            </div>
+        `;
+    } catch (error) {
+        console.error('Error updating weight trend:', error);
+        chartContainer.innerHTML = '<div class="weekly-trend-loading">Chyba při načítání dat</div>';
+    }
+}
+
+/**
+ * Render weight chart as SVG (points = weighings, line = trend)
+ * @param {Array} entries - Entries with trend, sorted by date
+ * @param {string} startDateString - First day of the chart (YYYY-MM-DD)
+ * @returns {string} SVG markup
+ */
+function renderWeightChart(entries, startDateString) {
+    const width = 300;
+    const height = 110;
+    const padding = 8;
+
+    const values = entries.flatMap(entry => [entry.weight, entry.trend]);
+    const min = Math.min(...values) - 0.5;
+    const max = Math.max(...values) + 0.5;
+    const start = new Date(startDateString).getTime();
+
+    const x = (dateString) => padding + (new Date(dateString).getTime() - start) / 86400000 / WEIGHT_CHART_DAYS * (width - 2 * padding);
+    const y = (value) => padding + (max - value) / (max - min) * (height - 2 * padding);
+
+    const line = entries.map(entry => `${x(entry.date).toFixed(1)},${y(entry.trend).toFixed(1)}`).join(' ');
+    const points = entries.map(entry =>
+        `<circle class="weight-trend-point" cx="${x(entry.date).toFixed(1)}" cy="${y(entry.weight).toFixed(1)}" r="2.5"><title>${entry.date}: ${entry.weight} kg</title></circle>`
+    ).join('');
+
+    return `
+        <svg viewBox="0 0 ${width} ${height}" role="img" aria-label="Vývoj váhy">
+            ${points}
+            <polyline class="weight-trend-line" points="${line}"></polyline>
+        </svg>
+    `;
+}
+
+/**
+ * Open dialog for logging weight (defaults to selected date)
+ */
+function openWeightDialog() {
+    document.getElementById('weightDialogValue').value = '';
+    document.getElementById('weightDialogDate').value = getSelectedDateString();
+    document.getElementById('weightDialogDate').max = getTodayString();
+    document.getElementById('weightDialog').classList.add('active');
+    document.getElementById('weightDialogValue').focus();
+}
+
+/**
+ * Close weight dialog, on confirm save entry and update profile weight from trend
+ * @param {boolean} confirmed - Whether user clicked save
+ */
+async function closeWeightDialog(confirmed) {
+    if (!confirmed) {
+        document.getElementById('weightDialog').classList.remove('active');
+        return;
+    }
+
+    const weight = parseNumber(document.getElementById('weightDialogValue').value);
+    const dateString = document.getElementById('weightDialogDate').value || getTodayString();
+
+    if (!weight || weight < 20 || weight > 400) {
+        showToast('Zadejte váhu v kg', 'error');
+        return;
+    }
+
+    if (!AppState.currentUser) return;
+
+    document.getElementById('weightDialog').classList.remove('active');
+
+    try {
+        await addWeightEntry(AppState.currentUser.uid, dateString, Math.round(weight * 10) / 10);
+        await syncProfileWeightWithTrend();
+        showToast(`Váha ${weight} kg zapsána`, 'success');
+    } catch (error) {
+        console.error('Error logging weight:', error);
+        showToast('Chyba při ukládání váhy', 'error');
+    }
+
+    updateWeightTrend();
+    refreshAdaptiveTdee();
+}
+
+/**
+ * Get the latest weight trend value
+ * @returns {Promise<number|null>} Trend weight in kg or null if nothing is logged
+ */
+async function getTrendWeight() {
+    const since = new Date();
+    since.setDate(since.getDate() - WEIGHT_HISTORY_DAYS);
+    const entries = calculateWeightTrend(await getWeightLog(AppState.currentUser.uid, formatDateString(since)));
+    return entries.length > 0 ? entries[entries.length - 1].trend : null;
+}
+
+/**
+ * Update profile weight (and daily goals) from the latest trend value
+ * Trend instead of last weighing - goals don't jump with daily water weight swings
+ */
+async function syncProfileWeightWithTrend() {
+    if (!AppState.userData) return;
+
+    const trendWeight = await getTrendWeight();
+    if (!trendWeight || trendWeight === AppState.userData.weight) return;
+
+    const dailyGoals = await updateProfileWeight(AppState.currentUser.uid, trendWeight);
+    if (!dailyGoals) return;
+
+    AppState.userData.weight = trendWeight;
+    AppState.dailyGoals = dailyGoals;
+    aiService.setUserData(AppState.userData);
+    document.getElementById('userWeight').value = trendWeight;
+    updateTdeePreview();
+
+    console.log('⚖️ Profile weight updated from trend:', trendWeight, 'kg');
+    updateSummary();
+    updateWeeklyTrend();
+}
+
+/**
+ * Update only the selected state in weekly trend (without refetching data)
+ */
+function updateWeeklyTrendSelection() {
+    const chartContainer = document.getElementById('weeklyTrendChart');
+    if (!chartContainer) return;
+
+    const selectedDateString = getSelectedDateString();
+
     chartContainer.querySelectorAll('.trend-column').forEach(column => {
         const columnDate = column.dataset.date;
         const isSelected = columnDate === selectedDateString;
@@ -1946,6 +3549,7 @@ function openManualMealModal() {
     document.getElementById('editMealProtein').value = '';
     document.getElementById('editMealCarbs').value = '';
     document.getElementById('editMealFat').value = '';
+    setMealEditMicronutrients({});
 
     // Setup calories slider with default value
     setupCaloriesSlider(300);
@@ -1953,6 +3557,10 @@ function openManualMealModal() {
     // Setup macro inputs
     setupMacroInputs();
 
+    // Manual entry has no items breakdown or AI estimate
+    setupMealItems(null);
+    setupMealEstimate({});
+
     // Configure UI for manual mode
     title.textContent = 'Přidat jídlo ručně';
     saveBtn.textContent = 'Přidat';
@@ -1978,12 +3586,18 @@ function openManualMealModal() {
 /**
  * Open meal edit modal
  * @param {string} mode - 'edit' for existing meal, 'new' for newly added meal
- * @param {Object} meal - Meal data (id, name, calories, protein, carbs, fat)
+ * @param {Object} meal - Meal data (id, name, calories, protein, carbs, fat, items)
  */
 // Store favoriteId for remove action
 let currentModalFavoriteId = null;
 // Store current meal data for copy to today
 let currentModalMealData = null;
+// Items breakdown of the meal in modal (name, grams, macros + perGram for rescaling)
+let currentModalItems = [];
+// Item values that add up to meal totals
+const MEAL_ITEM_NUTRIENTS = ['calories', 'protein', 'carbs', 'fat'];
+// AI estimate of the meal in modal (confidence, calorie range) - null for manual entries
+let currentModalEstimate = null;
 
 async function openMealEditModal(mode, meal) {
     const modal = document.getElementById('mealEditModal');
@@ -2007,9 +3621,16 @@ async function openMealEditModal(mode, meal) {
 
     // Fill form
     document.getElementById('editMealName').value = meal.name || '';
+    // Existing meal keeps its slot and time, new meal gets current time and a slot suggested from it
+    const eatenAt = mode === 'edit' ? getMealTime(meal) : new Date();
+    document.getElementById('editMealSlot').value = mode === 'edit' ? getMealSlot(meal) : getMealSlotForTime(eatenAt);
+    document.getElementById('editMealDate').value = getSelectedDateString();
+    document.getElementById('editMealTime').value =
+        `${String(eatenAt.getHours()).padStart(2, '0')}:${String(eatenAt.getMinutes()).padStart(2, '0')}`;
     document.getElementById('editMealProtein').value = meal.protein || '';
     document.getElementById('editMealCarbs').value = meal.carbs || '';
     document.getElementById('editMealFat').value = meal.fat || '';
+    setMealEditMicronutrients(meal);
 
     // Setup calories with dynamic slider
     const calories = meal.calories || 100;
@@ -2018,6 +3639,12 @@ async function openMealEditModal(mode, meal) {
     // Setup macro inputs with percentages
     setupMacroInputs();
 
+    // Setup items breakdown (multi-item AI analysis)
+    setupMealItems(meal.items);
+
+    // Show AI confidence and calorie range
+    setupMealEstimate(meal);
+
     // Configure UI based on mode
     const viewingPastDay = !isSelectedDateToday();
 
@@ -2081,9 +3708,10 @@ function setupCaloriesSlider(calories) {
     slider.value = calories;
     input.value = calories;
 
-    // Sync slider → input
+    // Sync slider → input (meal items follow the edited total)
     slider.oninput = function() {
         input.value = this.value;
+        scaleMealItemsToTotal('calories', parseIntNumber(this.value) || 0);
     };
 
     // Sync input → slider (and adjust range if needed)
@@ -2097,6 +3725,7 @@ function setupCaloriesSlider(calories) {
             slider.max = Math.round(newVal * 1.5);
         }
         slider.value = newVal;
+        scaleMealItemsToTotal('calories', newVal);
     };
 }
 
@@ -2132,85 +3761,472 @@ function setupMacroInputs() {
         }
     };
 
-    proteinInput.oninput = updatePercents;
-    carbsInput.oninput = updatePercents;
-    fatInput.oninput = updatePercents;
+    // Meal items follow the edited totals
+    const onMacroInput = (field, input) => () => {
+        scaleMealItemsToTotal(field, parseNumber(input.value) || 0);
+        updatePercents();
+    };
+
+    proteinInput.oninput = onMacroInput('protein', proteinInput);
+    carbsInput.oninput = onMacroInput('carbs', carbsInput);
+    fatInput.oninput = onMacroInput('fat', fatInput);
 
     // Initial update
     updatePercents();
 }
 
+// Czech labels for AI confidence levels
+const CONFIDENCE_LABELS = {
+    low: 'nízká',
+    medium: 'střední',
+    high: 'vysoká'
+};
+
 /**
- * Close meal edit modal
- * @param {boolean} deleteMeal - If true and mode is 'new', delete the meal
+ * Check if meal is a low-confidence AI estimate the user hasn't double-checked yet
+ * @param {Object} meal - Meal data
+ * @returns {boolean}
  */
-function closeMealEditModal(deleteMeal = false) {
-    const modal = document.getElementById('mealEditModal');
-    const mode = document.getElementById('editMealMode').value;
-    const mealId = document.getElementById('editMealId').value;
-
-    // If closing new meal modal without saving, delete the meal
-    if (mode === 'new' && mealId && deleteMeal !== false) {
-        deleteMealSilent(mealId);
-    }
-
-    // Reset save button state
-    const saveBtn = document.getElementById('mealEditSaveBtn');
-    saveBtn.disabled = false;
-    saveBtn.classList.remove('saving');
-
-    modal.classList.remove('active');
+function isUnverifiedEstimate(meal) {
+    return meal.confidence === 'low' && !meal.reviewed;
 }
 
 /**
- * Multiply portion by a factor (2x, 3x)
- * Recalculates calories and all macros
+ * Setup AI estimate info (confidence, calorie range) in meal edit modal
+ * @param {Object} meal - Meal data (confidence, caloriesLow, caloriesHigh)
  */
-function multiplyPortion(factor) {
-    const caloriesInput = document.getElementById('editMealCalories');
-    const proteinInput = document.getElementById('editMealProtein');
-    const carbsInput = document.getElementById('editMealCarbs');
-    const fatInput = document.getElementById('editMealFat');
+function setupMealEstimate(meal) {
+    const info = document.getElementById('mealEstimateInfo');
+    const hasRange = meal.caloriesLow != null && meal.caloriesHigh != null;
 
-    // Multiply all values
-    const newCalories = Math.round((parseIntNumber(caloriesInput.value) || 0) * factor);
-    const newProtein = Math.round((parseNumber(proteinInput.value) || 0) * factor);
-    const newCarbs = Math.round((parseNumber(carbsInput.value) || 0) * factor);
-    const newFat = Math.round((parseNumber(fatInput.value) || 0) * factor);
+    if (!meal.confidence && !hasRange && !meal.atwaterMismatch) {
+        currentModalEstimate = null;
+        info.style.display = 'none';
+        return;
+    }
 
-    // Update values
-    caloriesInput.value = newCalories;
-    proteinInput.value = newProtein;
-    carbsInput.value = newCarbs;
-    fatInput.value = newFat;
+    currentModalEstimate = {
+        calories: meal.calories,
+        confidence: meal.confidence || null,
+        caloriesLow: hasRange ? meal.caloriesLow : null,
+        caloriesHigh: hasRange ? meal.caloriesHigh : null,
+        reviewed: meal.reviewed || false,
+        atwaterMismatch: meal.atwaterMismatch || null
+    };
 
-    // Re-setup slider with new calorie value
-    setupCaloriesSlider(newCalories);
+    // e.g. "Odhad AI: 450 kcal, 350–600 · jistota: nízká"
+    let text = `Odhad AI: ${meal.calories} kcal`;
+    if (hasRange) text += `, ${meal.caloriesLow}–${meal.caloriesHigh}`;
+    if (meal.confidence) text += ` · jistota: ${CONFIDENCE_LABELS[meal.confidence] || meal.confidence}`;
+    if (meal.atwaterMismatch?.action === 'reconciled') {
+        text += ` · kalorie dopočteny z maker (AI uvedla ${meal.atwaterMismatch.reportedCalories} kcal)`;
+    }
+
+    info.textContent = text;
+    info.classList.toggle('low', isUnverifiedEstimate(meal));
+    info.style.display = 'block';
 }
 
 /**
- * Save meal edit
+ * Get AI estimate for saving, range rescaled to the saved calories (portion changes)
+ * @param {number} calories - Calories being saved
+ * @returns {Object} Estimate fields (empty object for manual entries)
  */
-async function saveMealEdit() {
-    const saveBtn = document.getElementById('mealEditSaveBtn');
+function getMealEditEstimate(calories) {
+    if (!currentModalEstimate) return {};
 
-    // Prevent double-click
-    if (saveBtn.disabled) return;
-    saveBtn.disabled = true;
-    saveBtn.classList.add('saving');
-    saveBtn.textContent = 'Ukládám...';
+    const estimate = { confidence: currentModalEstimate.confidence };
 
-    const mode = document.getElementById('editMealMode').value;
-    const mealId = document.getElementById('editMealId').value;
+    if (currentModalEstimate.caloriesLow != null && currentModalEstimate.calories) {
+        const ratio = calories / currentModalEstimate.calories;
+        estimate.caloriesLow = Math.round(currentModalEstimate.caloriesLow * ratio);
+        estimate.caloriesHigh = Math.round(currentModalEstimate.caloriesHigh * ratio);
+    }
+
+    if (currentModalEstimate.reviewed) {
+        estimate.reviewed = true;
+    }
+
+    if (currentModalEstimate.atwaterMismatch) {
+        estimate.atwaterMismatch = currentModalEstimate.atwaterMismatch;
+    }
+
+    return estimate;
+}
+
+/**
+ * Setup items breakdown in meal edit modal
+ * @param {Array|null} items - Meal items (name, grams, calories, protein, carbs, fat, per100g?)
+ */
+function setupMealItems(items) {
+    currentModalItems = (items || []).map(item => {
+        const grams = item.grams || 0;
+        let perGram = null;
+
+        if (item.per100g) {
+            // Custom foods and products carry base values - rescale from those (incl. micronutrients)
+            perGram = {};
+            for (const [field, value] of Object.entries(item.per100g)) {
+                perGram[field] = value / 100;
+            }
+        } else if (grams > 0) {
+            perGram = getMealItemPerGram(item, grams);
+        }
+
+        return { ...item, perGram };
+    });
+
+    renderMealItems();
+}
+
+/**
+ * Per-gram values of item, so grams edits rescale without rounding drift
+ * @param {Object} item - Meal item (calories, protein, carbs, fat)
+ * @param {number} grams - Weight the values belong to (> 0)
+ * @returns {Object} {calories, protein, carbs, fat} per gram
+ */
+function getMealItemPerGram(item, grams) {
+    const perGram = {};
+    MEAL_ITEM_NUTRIENTS.forEach(field => {
+        perGram[field] = (item[field] || 0) / grams;
+    });
+    return perGram;
+}
+
+/**
+ * Render items breakdown in meal edit modal
+ */
+function renderMealItems() {
+    const group = document.getElementById('mealItemsGroup');
+    const list = document.getElementById('mealItemsList');
+
+    if (currentModalItems.length === 0) {
+        group.style.display = 'none';
+        list.innerHTML = '';
+        return;
+    }
+
+    group.style.display = 'block';
+
+    // Last item can't be removed - meal without items makes no sense
+    const canRemove = currentModalItems.length > 1;
+
+    list.innerHTML = currentModalItems.map((item, index) => `
+        <div class="meal-item-row">
+            <input type="text" class="meal-item-name" value="${item.name.replace(/"/g, '&quot;')}" oninput="updateMealItemName(${index}, this.value)">
+            <input type="text" inputmode="numeric" class="meal-item-grams" value="${item.grams || ''}" oninput="updateMealItemGrams(${index}, this.value)">
+            <span class="meal-item-unit">g</span>
+            <span class="meal-item-calories" id="mealItemCalories${index}">${item.calories} kcal</span>
+            ${canRemove ? `<button type="button" class="btn-remove-item" onclick="removeMealItem(${index})" title="Odebrat položku">✕</button>` : ''}
+        </div>
+    `).join('');
+}
+
+/**
+ * Rename meal item
+ */
+function updateMealItemName(index, value) {
+    currentModalItems[index].name = value;
+}
 
+/**
+ * Change grams of meal item and rescale its calories and macros
+ */
+function updateMealItemGrams(index, value) {
+    const item = currentModalItems[index];
+    const grams = parseIntNumber(value) || 0;
+
+    // Item without weight yet - its current values belong to the first weight entered
+    if (!item.perGram && grams > 0) {
+        item.perGram = getMealItemPerGram(item, grams);
+    }
+    item.grams = grams;
+
+    if (item.perGram) {
+        item.calories = Math.round(item.perGram.calories * item.grams);
+        item.protein = Math.round(item.perGram.protein * item.grams);
+        item.carbs = Math.round(item.perGram.carbs * item.grams);
+        item.fat = Math.round(item.perGram.fat * item.grams);
+    }
+
+    // Update only the calorie label - re-rendering would steal input focus
+    document.getElementById(`mealItemCalories${index}`).textContent = `${item.calories} kcal`;
+    applyMealItemTotals();
+}
+
+/**
+ * Scale one value of all items so they add up to the total typed by the user
+ * Items stay the source of meal totals - later grams edits keep the manual change
+ * @param {string} field - 'calories' | 'protein' | 'carbs' | 'fat'
+ * @param {number} total - New meal total
+ */
+function scaleMealItemsToTotal(field, total) {
+    if (currentModalItems.length === 0) return;
+
+    total = Math.max(0, Math.round(total));
+    const currentSum = currentModalItems.reduce((sum, item) => sum + (item[field] || 0), 0);
+    const totalGrams = currentModalItems.reduce((sum, item) => sum + (item.grams || 0), 0);
+
+    // Split by current values, by weight when the value is zero everywhere, evenly as last resort
+    const exact = currentModalItems.map(item => {
+        if (currentSum > 0) return total * (item[field] || 0) / currentSum;
+        if (totalGrams > 0) return total * (item.grams || 0) / totalGrams;
+        return total / currentModalItems.length;
+    });
+
+    // Round down and give the remainder to the items with largest fractions - sum matches exactly
+    const values = exact.map(Math.floor);
+    const remainder = total - values.reduce((sum, value) => sum + value, 0);
+    exact.map((value, index) => index)
+        .sort((a, b) => (exact[b] - values[b]) - (exact[a] - values[a]))
+        .slice(0, remainder)
+        .forEach(index => values[index]++);
+
+    currentModalItems.forEach((item, index) => {
+        item[field] = values[index];
+        if (item.perGram && item.grams > 0) {
+            item.perGram[field] = values[index] / item.grams;
+            // Saved base values of products follow too (used again when the meal is reopened)
+            if (item.per100g) {
+                item.per100g = { ...item.per100g, [field]: Math.round(item.perGram[field] * 1000) / 10 };
+            }
+        }
+
+        if (field === 'calories') {
+            document.getElementById(`mealItemCalories${index}`).textContent = `${item.calories} kcal`;
+        }
+    });
+}
+
+/**
+ * Remove item from meal
+ */
+function removeMealItem(index) {
+    if (currentModalItems.length <= 1) return;
+
+    currentModalItems.splice(index, 1);
+    renderMealItems();
+    applyMealItemTotals();
+}
+
+/**
+ * Recalculate meal totals (calories, macros) from items
+ */
+function applyMealItemTotals() {
+    const totals = NutritionParser.sumItems(currentModalItems);
+
+    document.getElementById('editMealProtein').value = totals.protein;
+    document.getElementById('editMealCarbs').value = totals.carbs;
+    document.getElementById('editMealFat').value = totals.fat;
+
+    // Micronutrients can be recomputed only when every item has a base value for them
+    for (const [field, inputId] of Object.entries(MEAL_EDIT_MICRO_INPUTS)) {
+        if (!currentModalItems.every(item => item.perGram && item.perGram[field] !== undefined)) continue;
+
+        const total = currentModalItems.reduce((sum, item) => sum + item.perGram[field] * item.grams, 0);
+        document.getElementById(inputId).value = field === 'sodium' ? Math.round(total) : Math.round(total * 10) / 10;
+    }
+
+    setupCaloriesSlider(totals.calories);
+    setupMacroInputs();
+}
+
+/**
+ * Get items from meal edit modal for saving (without helper fields)
+ * @returns {Array|null} Items or null if meal has no breakdown
+ */
+function getMealEditItems() {
+    if (currentModalItems.length === 0) return null;
+
+    return currentModalItems.map(({ perGram, ...item }) => ({
+        ...item,
+        name: item.name.trim() || 'Položka'
+    }));
+}
+
+// Micronutrient fields (and drink volume) → meal edit modal input IDs
+const MEAL_EDIT_MICRO_INPUTS = {
+    fiber: 'editMealFiber',
+    sugar: 'editMealSugar',
+    saturatedFat: 'editMealSaturatedFat',
+    sodium: 'editMealSodium',
+    waterMl: 'editMealWater'
+};
+
+/**
+ * Fill micronutrient inputs in meal edit modal (missing value = empty input)
+ * @param {Object} meal - Meal data
+ */
+function setMealEditMicronutrients(meal) {
+    for (const [field, inputId] of Object.entries(MEAL_EDIT_MICRO_INPUTS)) {
+        const value = meal[field];
+        document.getElementById(inputId).value = value === undefined || value === null ? '' : value;
+    }
+}
+
+/**
+ * Read meal data from edit modal form
+ * @returns {Object} Meal data (name, slot, calories, macros and items if present)
+ */
+function getMealEditFormData() {
     const mealData = {
         name: document.getElementById('editMealName').value.trim(),
+        slot: document.getElementById('editMealSlot').value,
         calories: parseIntNumber(document.getElementById('editMealCalories').value) || 0,
         protein: parseNumber(document.getElementById('editMealProtein').value) || 0,
         carbs: parseNumber(document.getElementById('editMealCarbs').value) || 0,
         fat: parseNumber(document.getElementById('editMealFat').value) || 0
     };
 
+    // Micronutrients are optional - empty input = unknown (not stored)
+    for (const [field, inputId] of Object.entries(MEAL_EDIT_MICRO_INPUTS)) {
+        const value = document.getElementById(inputId).value.trim();
+        if (value !== '') {
+            mealData[field] = parseNumber(value) || 0;
+        }
+    }
+
+    const items = getMealEditItems();
+    if (items) {
+        mealData.items = items;
+    }
+
+    Object.assign(mealData, getMealEditEstimate(mealData.calories));
+
+    return mealData;
+}
+
+/**
+ * Save user's correction of an AI estimate (fire and forget - non-critical)
+ * @param {Object} original - AI estimate opened in edit modal (with aiInput)
+ * @param {Object} corrected - Meal data saved by the user
+ */
+async function recordAiCorrection(original, corrected) {
+    const correction = NutritionParser.createCorrection(original, corrected);
+    if (!correction) return;
+
+    const entry = { ...correction, input: original.aiInput.text, source: original.aiInput.source };
+    try {
+        await addCorrection(AppState.currentUser.uid, entry);
+        aiService.setCorrections([{ ...entry, createdAt: Date.now() }, ...aiService.corrections]);
+    } catch (error) {
+        console.error('Error recording AI correction:', error);
+    }
+}
+
+/**
+ * Suggest meal slot after eaten-at time was changed in edit modal
+ */
+function suggestMealSlotFromTime() {
+    const eatenAt = getMealEditEatenAt();
+    if (eatenAt) {
+        document.getElementById('editMealSlot').value = getMealSlotForTime(eatenAt);
+    }
+}
+
+/**
+ * Read eaten-at date and time from edit modal
+ * @returns {Date|null} Local date and time or null if inputs are empty
+ */
+function getMealEditEatenAt() {
+    const date = document.getElementById('editMealDate').value;
+    const time = document.getElementById('editMealTime').value;
+    if (!date || !time) return null;
+
+    const eatenAt = new Date(`${date}T${time}`);
+    return isNaN(eatenAt.getTime()) ? null : eatenAt;
+}
+
+/**
+ * Close meal edit modal
+ * @param {boolean} deleteMeal - If true and mode is 'new', delete the meal
+ */
+function closeMealEditModal(deleteMeal = false) {
+    const modal = document.getElementById('mealEditModal');
+    const mode = document.getElementById('editMealMode').value;
+    const mealId = document.getElementById('editMealId').value;
+
+    // If closing new meal modal without saving, delete the meal
+    if (mode === 'new' && mealId && deleteMeal !== false) {
+        deleteMealSilent(mealId);
+    }
+
+    // Reset save button state
+    const saveBtn = document.getElementById('mealEditSaveBtn');
+    saveBtn.disabled = false;
+    saveBtn.classList.remove('saving');
+
+    modal.classList.remove('active');
+}
+
+/**
+ * Multiply portion by a factor (2x, 3x)
+ * Recalculates calories and all macros
+ */
+function multiplyPortion(factor) {
+    // Micronutrients scale with portion in both cases (unknown values stay empty)
+    for (const inputId of Object.values(MEAL_EDIT_MICRO_INPUTS)) {
+        const input = document.getElementById(inputId);
+        if (input.value.trim() !== '') {
+            input.value = Math.round((parseNumber(input.value) || 0) * factor * 10) / 10;
+        }
+    }
+
+    // Meal with items - scale items and recompute totals from them
+    if (currentModalItems.length > 0) {
+        currentModalItems.forEach((item, index) => {
+            if (item.grams > 0) {
+                updateMealItemGrams(index, Math.round(item.grams * factor));
+            } else {
+                // Item without weight - scale its values directly
+                MEAL_ITEM_NUTRIENTS.forEach(field => {
+                    item[field] = Math.round((item[field] || 0) * factor);
+                });
+            }
+        });
+        renderMealItems();
+        applyMealItemTotals();
+        return;
+    }
+
+    const caloriesInput = document.getElementById('editMealCalories');
+    const proteinInput = document.getElementById('editMealProtein');
+    const carbsInput = document.getElementById('editMealCarbs');
+    const fatInput = document.getElementById('editMealFat');
+
+    // Multiply all values
+    const newCalories = Math.round((parseIntNumber(caloriesInput.value) || 0) * factor);
+    const newProtein = Math.round((parseNumber(proteinInput.value) || 0) * factor);
+    const newCarbs = Math.round((parseNumber(carbsInput.value) || 0) * factor);
+    const newFat = Math.round((parseNumber(fatInput.value) || 0) * factor);
+
+    // Update values
+    caloriesInput.value = newCalories;
+    proteinInput.value = newProtein;
+    carbsInput.value = newCarbs;
+    fatInput.value = newFat;
+
+    // Re-setup slider with new calorie value
+    setupCaloriesSlider(newCalories);
+}
+
+/**
+ * Save meal edit
+ */
+async function saveMealEdit() {
+    const saveBtn = document.getElementById('mealEditSaveBtn');
+
+    // Prevent double-click
+    if (saveBtn.disabled) return;
+    saveBtn.disabled = true;
+    saveBtn.classList.add('saving');
+    saveBtn.textContent = 'Ukládám...';
+
+    const mode = document.getElementById('editMealMode').value;
+    const mealId = document.getElementById('editMealId').value;
+
+    const mealData = getMealEditFormData();
+
     // Helper to reset button state
     const resetBtn = () => {
         saveBtn.disabled = false;
@@ -2234,17 +4250,42 @@ async function saveMealEdit() {
     try {
         const dateString = getSelectedDateString();
 
+        // Date input may move the meal to another day
+        const eatenAt = getMealEditEatenAt();
+        const targetDateString = document.getElementById('editMealDate').value || dateString;
+        if (eatenAt) {
+            mealData.eatenAt = eatenAt;
+        }
+
         if (mode === 'manual' || mode === 'new') {
             // Manual entry or new meal from AI analysis - create new meal in Firestore
-            await addMealToFirestore(AppState.currentUser.uid, mealData, dateString);
+            await addMealToFirestore(AppState.currentUser.uid, mealData, targetDateString);
             console.log('✅ Meal added successfully');
         } else {
-            // Update existing meal (edit mode)
-            await updateMealInFirestore(AppState.currentUser.uid, mealId, mealData, dateString);
+            // Saving an existing low-confidence meal = user has double-checked it
+            if (mealData.confidence === 'low') {
+                mealData.reviewed = true;
+            }
+
+            // Update existing meal (edit mode), moves it when the date changed
+            await updateMealInFirestore(AppState.currentUser.uid, mealId, mealData, dateString, targetDateString);
         }
 
-        // Update food history
-        await updateFoodHistory(AppState.currentUser.uid, mealData);
+        if (targetDateString !== dateString) {
+            const [year, month, day] = targetDateString.split('-').map(Number);
+            const dateLabel = new Date(year, month - 1, day).toLocaleDateString('cs-CZ', { day: 'numeric', month: 'numeric' });
+            showToast(`"${mealData.name}" uloženo do dne ${dateLabel}`, 'success');
+        }
+
+        // Update food history (edited meal replaces its previous use)
+        await updateFoodHistory(AppState.currentUser.uid, mealData, mode === 'edit' ? currentModalMealData : null);
+        AppState.foodIndex = null;
+        invalidateTextSuggestionSources();
+
+        // AI estimate changed by the user - remember it for next analyses
+        if (mode === 'new' && currentModalMealData?.aiInput) {
+            recordAiCorrection(currentModalMealData, mealData);
+        }
 
         console.log('✅ Meal saved successfully');
 
@@ -2275,6 +4316,8 @@ async function deleteMealFromEdit() {
     try {
         const dateString = getSelectedDateString();
         await deleteMealFromFirestore(AppState.currentUser.uid, mealId, dateString);
+        AppState.foodIndex = null;
+        invalidateTextSuggestionSources();
         console.log('✅ Meal deleted from edit modal');
 
         // Close modal
@@ -2339,6 +4382,16 @@ function openFavoritesModal() {
     modal.classList.add('active');
 }
 
+/**
+ * Open custom foods modal (shows custom foods tab)
+ */
+function openCustomFoodsModal() {
+    document.getElementById('foodSearchInput').value = '';
+    switchFoodModalTab('custom');
+    const modal = document.getElementById('foodHistoryModal');
+    modal.classList.add('active');
+}
+
 /**
  * Close food history modal
  */
@@ -2347,33 +4400,35 @@ function closeFoodHistoryModal() {
     modal.classList.remove('active');
 }
 
+// Food modal tabs → tab button ID, modal title and optional actions bar
+const FOOD_MODAL_TABS = {
+    history: { tabId: 'historyTab', title: 'Historie jídel' },
+    favorites: { tabId: 'favoritesTab', title: 'Oblíbená jídla' },
+    custom: { tabId: 'customFoodsTab', title: 'Vlastní potraviny', actionsId: 'customFoodsActions' },
+    recipes: { tabId: 'recipesTab', title: 'Recepty', actionsId: 'recipesActions' }
+};
+
 /**
- * Switch between history and favorites tabs
+ * Switch between history, favorites, custom foods and recipes tabs
  */
 async function switchFoodModalTab(tab) {
     currentFoodModalTab = tab;
 
-    // Update tab buttons
-    const historyTab = document.getElementById('historyTab');
-    const favoritesTab = document.getElementById('favoritesTab');
-    const title = document.getElementById('foodHistoryTitle');
-
-    if (tab === 'history') {
-        historyTab.classList.add('active');
-        favoritesTab.classList.remove('active');
-        title.textContent = 'Historie jídel';
-    } else {
-        historyTab.classList.remove('active');
-        favoritesTab.classList.add('active');
-        title.textContent = 'Oblíbená jídla';
+    // Update tab buttons and actions
+    for (const [name, config] of Object.entries(FOOD_MODAL_TABS)) {
+        document.getElementById(config.tabId).classList.toggle('active', name === tab);
+        if (config.actionsId) {
+            document.getElementById(config.actionsId).style.display = name === tab ? 'block' : 'none';
+        }
     }
+    document.getElementById('foodHistoryTitle').textContent = FOOD_MODAL_TABS[tab].title;
 
     // Load data
     await loadFoodList(tab);
 }
 
 /**
- * Load food list (history or favorites)
+ * Load food list (history, favorites, custom foods or recipes)
  */
 async function loadFoodList(type) {
     const listContainer = document.getElementById('foodHistoryList');
@@ -2388,7 +4443,11 @@ async function loadFoodList(type) {
     try {
         let foods = [];
         if (type === 'history') {
-            foods = await getFoodHistory(AppState.currentUser.uid);
+            foods = FoodSearch.rank(await loadFoodIndex());
+        } else if (type === 'custom') {
+            foods = await getCustomFoods(AppState.currentUser.uid);
+        } else if (type === 'recipes') {
+            foods = await getRecipes(AppState.currentUser.uid);
         } else {
             foods = await getFavoriteFoods(AppState.currentUser.uid);
         }
@@ -2398,7 +4457,7 @@ async function loadFoodList(type) {
             type === 'favorites' ? { ...food, favoriteId: food.id } : food
         );
 
-        renderFoodList(currentFoodListData, type);
+        renderFoodList(getFoodListPage(currentFoodListData), type);
 
     } catch (error) {
         console.error('Error loading food list:', error);
@@ -2416,20 +4475,55 @@ function renderFoodList(foods, type) {
         const searchValue = document.getElementById('foodSearchInput').value;
         const emptyMessage = searchValue
             ? 'Žádné výsledky.'
-            : (type === 'history'
-                ? 'Zatím žádná historie jídel.'
-                : 'Zatím žádná oblíbená jídla.');
+            : {
+                history: 'Zatím žádná historie jídel.',
+                favorites: 'Zatím žádná oblíbená jídla.',
+                custom: 'Zatím žádné vlastní potraviny.',
+                recipes: 'Zatím žádné recepty.'
+            }[type];
         listContainer.innerHTML = `<p class="empty-state">${emptyMessage}</p>`;
         return;
     }
 
+    if (type === 'custom') {
+        // Custom foods have per-100g values - pick portion first
+        listContainer.innerHTML = foods.map(food => `
+            <div class="food-item" onclick="addCustomFoodFromList('${food.id}')">
+                <div class="food-item-info">
+                    <span class="food-item-name">${food.brand ? `${food.name} (${food.brand})` : food.name}</span>
+                    <span class="food-item-calories">${food.per100g.calories} kcal/100 g</span>
+                </div>
+                <button class="food-item-edit" onclick="event.stopPropagation(); openCustomFoodForm('${food.id}')" title="Upravit">✎</button>
+            </div>
+        `).join('');
+        return;
+    }
+
+    if (type === 'recipes') {
+        // Recipes are logged by serving or grams of cooked dish
+        listContainer.innerHTML = foods.map(recipe => {
+            const food = RecipeCalculator.toFood(recipe);
+            const servingCalories = Math.round(food.per100g.calories * food.servingGrams / 100);
+            return `
+                <div class="food-item" onclick="addRecipeFromList('${recipe.id}')">
+                    <div class="food-item-info">
+                        <span class="food-item-name">${recipe.name}</span>
+                        <span class="food-item-calories">${servingCalories} kcal/porce</span>
+                    </div>
+                    <button class="food-item-edit" onclick="event.stopPropagation(); openRecipeForm('${recipe.id}')" title="Upravit">✎</button>
+                </div>
+            `;
+        }).join('');
+        return;
+    }
+
     listContainer.innerHTML = foods.map(food => {
         const foodJson = JSON.stringify(food).replace(/'/g, "\\'").replace(/"/g, '&quot;');
         return `
             <div class="food-item" onclick="addFoodFromList(${foodJson})">
                 <div class="food-item-info">
                     <span class="food-item-name">${food.name}</span>
-                    <span class="food-item-calories">${food.calories} kcal</span>
+                    <span class="food-item-calories">${food.calories} kcal${food.useCount > 1 ? ` · ${food.useCount}×` : ''}</span>
                 </div>
             </div>
         `;
@@ -2437,21 +4531,42 @@ function renderFoodList(foods, type) {
 }
 
 /**
- * Filter food list by search query
+ * Filter food list by search query (prefix and fuzzy match, frequent and recent foods first)
  */
 function filterFoodList() {
-    const searchValue = document.getElementById('foodSearchInput').value.toLowerCase().trim();
+    const searchValue = document.getElementById('foodSearchInput').value.trim();
 
     if (!searchValue) {
-        renderFoodList(currentFoodListData, currentFoodModalTab);
+        renderFoodList(getFoodListPage(currentFoodListData), currentFoodModalTab);
         return;
     }
 
-    const filtered = currentFoodListData.filter(food =>
-        food.name.toLowerCase().includes(searchValue)
-    );
+    renderFoodList(getFoodListPage(FoodSearch.search(currentFoodListData, searchValue)), currentFoodModalTab);
+}
+
+// Food history can hold hundreds of foods - list shows only the best matches
+const FOOD_LIST_LIMIT = 50;
 
-    renderFoodList(filtered, currentFoodModalTab);
+/**
+ * Get foods shown in the list (history is limited, other tabs are short)
+ * @param {Array} foods - Foods in display order
+ * @returns {Array}
+ */
+function getFoodListPage(foods) {
+    return currentFoodModalTab === 'history' ? foods.slice(0, FOOD_LIST_LIMIT) : foods;
+}
+
+/**
+ * Load food index (all foods ever logged), cached until the next logged meal
+ * @returns {Promise<Array>} Index entries
+ */
+async function loadFoodIndex() {
+    if (!AppState.currentUser) return [];
+
+    if (!AppState.foodIndex) {
+        AppState.foodIndex = await getFoodHistory(AppState.currentUser.uid);
+    }
+    return AppState.foodIndex;
 }
 
 /**
@@ -2467,6 +4582,16 @@ function addFoodFromList(food) {
         protein: food.protein,
         carbs: food.carbs,
         fat: food.fat,
+        fiber: food.fiber,
+        sugar: food.sugar,
+        saturatedFat: food.saturatedFat,
+        sodium: food.sodium,
+        confidence: food.confidence,
+        caloriesLow: food.caloriesLow,
+        caloriesHigh: food.caloriesHigh,
+        reviewed: food.reviewed,
+        atwaterMismatch: food.atwaterMismatch,
+        items: food.items || null,
         favoriteId: food.favoriteId || null  // Pass favoriteId if from favorites
     };
 
@@ -2474,6 +4599,509 @@ function addFoodFromList(food) {
     openMealEditModal('manual', nutritionData);
 }
 
+/**
+ * Add custom food from list - asks for portion, then opens edit modal
+ * @param {string} foodId - Custom food ID
+ */
+function addCustomFoodFromList(foodId) {
+    const food = currentFoodListData.find(item => item.id === foodId);
+    if (!food) return;
+
+    closeFoodHistoryModal();
+    openPortionDialog(food, { icon: '🥫' });
+}
+
+// =====================================
+// CUSTOM FOOD FORM
+// =====================================
+
+// Per-100g fields → custom food form input IDs
+const CUSTOM_FOOD_INPUTS = {
+    calories: 'customFoodCalories',
+    protein: 'customFoodProtein',
+    carbs: 'customFoodCarbs',
+    fat: 'customFoodFat',
+    fiber: 'customFoodFiber',
+    sugar: 'customFoodSugar',
+    saturatedFat: 'customFoodSaturatedFat',
+    sodium: 'customFoodSodium'
+};
+
+let currentCustomFoodUnits = [];   // [{name, grams}] edited in form
+
+/**
+ * Open custom food form (new food or edit existing)
+ * @param {string|null} foodId - Custom food ID to edit, null for new food
+ */
+function openCustomFoodForm(foodId = null) {
+    const food = foodId ? currentFoodListData.find(item => item.id === foodId) : null;
+    const per100g = food ? food.per100g : {};
+
+    document.getElementById('customFoodId').value = food ? food.id : '';
+    document.getElementById('customFoodTitle').textContent = food ? 'Upravit potravinu' : 'Nová potravina';
+    document.getElementById('customFoodDeleteBtn').style.display = food ? 'flex' : 'none';
+    document.getElementById('customFoodName').value = food ? food.name : '';
+    document.getElementById('customFoodBrand').value = food?.brand || '';
+    document.getElementById('customFoodServing').value = food?.servingGrams || '';
+
+    for (const [field, inputId] of Object.entries(CUSTOM_FOOD_INPUTS)) {
+        const value = per100g[field];
+        document.getElementById(inputId).value = value === undefined || value === null ? '' : value;
+    }
+
+    currentCustomFoodUnits = (food?.units || []).map(unit => ({ ...unit }));
+    renderCustomFoodUnits();
+
+    document.getElementById('customFoodModal').classList.add('active');
+}
+
+/**
+ * Close custom food form
+ */
+function closeCustomFoodForm() {
+    document.getElementById('customFoodModal').classList.remove('active');
+}
+
+/**
+ * Render unit rows (name + grams per unit) in custom food form
+ */
+function renderCustomFoodUnits() {
+    const container = document.getElementById('customFoodUnits');
+
+    container.innerHTML = currentCustomFoodUnits.map((unit, index) => `
+        <div class="custom-food-unit-row">
+            <span>1</span>
+            <input type="text" value="${unit.name.replace(/"/g, '&quot;')}" placeholder="jednotka" oninput="updateCustomFoodUnit(${index}, 'name', this.value)">
+            <span>=</span>
+            <input type="text" inputmode="decimal" value="${unit.grams || ''}" placeholder="g" oninput="updateCustomFoodUnit(${index}, 'grams', this.value)">
+            <span>g</span>
+            <button type="button" class="btn-remove-item" onclick="removeCustomFoodUnit(${index})" title="Odebrat jednotku">✕</button>
+        </div>
+    `).join('');
+}
+
+/**
+ * Add unit row to custom food form
+ * @param {string} name - Unit name (ks, lžíce, lžička, ml)
+ */
+function addCustomFoodUnit(name) {
+    currentCustomFoodUnits.push({ name, grams: 0 });
+    renderCustomFoodUnits();
+}
+
+/**
+ * Update unit name or grams (no re-render - keeps input focus)
+ */
+function updateCustomFoodUnit(index, key, value) {
+    currentCustomFoodUnits[index][key] = key === 'grams' ? (parseNumber(value) || 0) : value.trim();
+}
+
+/**
+ * Remove unit row from custom food form
+ */
+function removeCustomFoodUnit(index) {
+    currentCustomFoodUnits.splice(index, 1);
+    renderCustomFoodUnits();
+}
+
+/**
+ * Validate and save custom food form
+ */
+async function saveCustomFoodForm() {
+    if (!AppState.currentUser) return;
+
+    const foodId = document.getElementById('customFoodId').value;
+    const name = document.getElementById('customFoodName').value.trim();
+    if (!name) {
+        showToast('Zadejte název potraviny', 'error');
+        return;
+    }
+
+    const per100g = {};
+    for (const [field, inputId] of Object.entries(CUSTOM_FOOD_INPUTS)) {
+        const value = document.getElementById(inputId).value.trim();
+        if (value !== '') {
+            per100g[field] = parseNumber(value) || 0;
+        } else if (!NutritionSchema.FIELDS[field].micronutrient) {
+            per100g[field] = 0;   // Macros are required, micronutrients only if known
+        }
+    }
+
+    const servingGrams = parseNumber(document.getElementById('customFoodServing').value) || null;
+    const errors = NutritionSchema.validateRanges({ ...per100g, servingGrams: servingGrams ?? undefined }, NutritionSchema.LABEL_FIELDS);
+    if (errors.length > 0) {
+        showToast(`Neplatné hodnoty: ${NutritionSchema.formatErrors(errors)}`, 'error');
+        return;
+    }
+
+    const foodData = {
+        name,
+        brand: document.getElementById('customFoodBrand').value.trim() || null,
+        per100g,
+        servingGrams,
+        units: currentCustomFoodUnits.filter(unit => unit.name && unit.grams > 0)
+    };
+
+    try {
+        if (foodId) {
+            await updateCustomFood(AppState.currentUser.uid, foodId, foodData);
+        } else {
+            await addCustomFood(AppState.currentUser.uid, { ...foodData, source: 'manual' });
+        }
+        invalidateTextSuggestionSources();
+
+        closeCustomFoodForm();
+        showToast('Potravina uložena', 'success');
+        await loadFoodList('custom');
+    } catch (error) {
+        console.error('Error saving custom food:', error);
+        showToast('Chyba při ukládání potraviny', 'error');
+    }
+}
+
+/**
+ * Delete custom food opened in form (with confirmation)
+ */
+async function deleteCustomFoodFromForm() {
+    const foodId = document.getElementById('customFoodId').value;
+    if (!AppState.currentUser || !foodId) return;
+
+    const confirmed = await showConfirmDialog(
+        'Smazat potravinu?',
+        'Potravina bude odstraněna z vlastní databáze. Již zapsaná jídla zůstanou.',
+        '🗑️',
+        'Smazat'
+    );
+    if (!confirmed) return;
+
+    try {
+        await deleteCustomFood(AppState.currentUser.uid, foodId);
+        invalidateTextSuggestionSources();
+        closeCustomFoodForm();
+        showToast('Potravina smazána', 'success');
+        await loadFoodList('custom');
+    } catch (error) {
+        console.error('Error deleting custom food:', error);
+        showToast('Chyba při mazání potraviny', 'error');
+    }
+}
+
+// =====================================
+// RECIPES
+// =====================================
+
+let currentRecipeIngredients = [];                          // Ingredients edited in recipe form
+let currentRecipeSources = { custom: [], favorites: [] };   // Foods offered in ingredient select
+
+/**
+ * Log recipe from list - asks for servings or grams, then opens edit modal
+ * @param {string} recipeId - Recipe ID
+ */
+function addRecipeFromList(recipeId) {
+    const recipe = currentFoodListData.find(item => item.id === recipeId);
+    if (!recipe) return;
+
+    closeFoodHistoryModal();
+    openPortionDialog(RecipeCalculator.toFood(recipe), { icon: '🍲' });
+}
+
+/**
+ * Open recipe form (new recipe or edit existing)
+ * @param {string|null} recipeId - Recipe ID to edit, null for new recipe
+ */
+async function openRecipeForm(recipeId = null) {
+    if (!AppState.currentUser) return;
+
+    const recipe = recipeId ? currentFoodListData.find(item => item.id === recipeId) : null;
+
+    document.getElementById('recipeId').value = recipe ? recipe.id : '';
+    document.getElementById('recipeTitle').textContent = recipe ? 'Upravit recept' : 'Nový recept';
+    document.getElementById('recipeDeleteBtn').style.display = recipe ? 'flex' : 'none';
+    document.getElementById('recipeName').value = recipe ? recipe.name : '';
+    document.getElementById('recipeCookedGrams').value = recipe?.cookedGrams || '';
+    document.getElementById('recipeServings').value = recipe?.servings || 1;
+    document.getElementById('recipeIngredientText').value = '';
+    document.getElementById('recipeIngredientGrams').value = '';
+
+    currentRecipeIngredients = (recipe?.ingredients || []).map(ingredient => ({ ...ingredient }));
+    renderRecipeIngredients();
+
+    document.getElementById('recipeModal').classList.add('active');
+
+    // Ingredient sources - custom foods (per 100 g) and favorites (fixed portion)
+    const [custom, favorites] = await Promise.all([
+        getCustomFoods(AppState.currentUser.uid),
+        getFavoriteFoods(AppState.currentUser.uid)
+    ]);
+    currentRecipeSources = { custom, favorites };
+
+    const toOptions = (foods, type) => foods
+        .map(food => `<option value="${type}:${food.id}">${food.name}</option>`)
+        .join('');
+    document.getElementById('recipeIngredientSelect').innerHTML = `
+        <option value="">Vyberte...</option>
+        ${custom.length > 0 ? `<optgroup label="Vlastní potraviny">${toOptions(custom, 'custom')}</optgroup>` : ''}
+        ${favorites.length > 0 ? `<optgroup label="Oblíbená jídla">${toOptions(favorites, 'favorites')}</optgroup>` : ''}
+    `;
+}
+
+/**
+ * Close recipe form
+ */
+function closeRecipeForm() {
+    document.getElementById('recipeModal').classList.remove('active');
+}
+
+/**
+ * Find food selected in recipe ingredient select
+ * @returns {{type: string, food: Object}|null}
+ */
+function getSelectedRecipeSource() {
+    const [type, id] = document.getElementById('recipeIngredientSelect').value.split(':');
+    const food = type ? currentRecipeSources[type].find(item => item.id === id) : null;
+    return food ? { type, food } : null;
+}
+
+/**
+ * Prefill grams for selected ingredient (default portion of custom food, grams of favorite)
+ */
+function onRecipeIngredientSelect() {
+    const selected = getSelectedRecipeSource();
+    const gramsInput = document.getElementById('recipeIngredientGrams');
+
+    if (!selected) {
+        gramsInput.value = '';
+    } else if (selected.type === 'custom') {
+        gramsInput.value = selected.food.servingGrams || 100;
+    } else {
+        const items = selected.food.items || [];
+        gramsInput.value = items.reduce((sum, item) => sum + (item.grams || 0), 0) || '';
+    }
+}
+
+/**
+ * Add selected custom food or favorite as recipe ingredient
+ */
+function addRecipeIngredientFromSelect() {
+    const selected = getSelectedRecipeSource();
+    if (!selected) {
+        showToast('Vyberte potravinu', 'error');
+        return;
+    }
+
+    const grams = parseNumber(document.getElementById('recipeIngredientGrams').value) || 0;
+
+    if (selected.type === 'custom') {
+        if (grams <= 0) {
+            showToast('Zadejte množství v gramech', 'error');
+            return;
+        }
+        currentRecipeIngredients.push(RecipeCalculator.ingredientFromFood(selected.food, grams));
+    } else {
+        // Favorite is one fixed portion - grams only make it rescalable
+        currentRecipeIngredients.push(RecipeCalculator.ingredientFromPortion({ ...selected.food, grams }));
+    }
+
+    document.getElementById('recipeIngredientSelect').value = '';
+    document.getElementById('recipeIngredientGrams').value = '';
+    renderRecipeIngredients();
+}
+
+/**
+ * Analyze ingredient lines with AI and add resulting items as ingredients
+ */
+async function analyzeRecipeIngredients() {
+    if (AppState.isProcessing) return;
+
+    const textInput = document.getElementById('recipeIngredientText');
+    const text = textInput.value.trim();
+    if (!text) {
+        showToast('Zadejte ingredience', 'error');
+        return;
+    }
+
+    AppState.isProcessing = true;
+    AppState.abortController = new AbortController();
+    showLoading(true, '📝 Analyzuji ingredience...');
+
+    try {
+        const textAnalyzer = new TextAnalyzer();
+        const nutritionData = await textAnalyzer.analyze(text, AppState.abortController);
+
+        // Items breakdown = one ingredient per line, otherwise the whole result is one ingredient
+        const portions = nutritionData.items && nutritionData.items.length > 0
+            ? nutritionData.items
+            : [nutritionData];
+        portions.forEach(portion => {
+            currentRecipeIngredients.push(RecipeCalculator.ingredientFromPortion(portion));
+        });
+
+        textInput.value = '';
+        renderRecipeIngredients();
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            console.log('✅ Recipe ingredient analysis canceled by user');
+        } else {
+            console.error('❌ Recipe ingredient analysis error:', error);
+            showToast(`Chyba při analýze: ${error.message}`, 'error');
+        }
+    } finally {
+        AppState.isProcessing = false;
+        showLoading(false);
+    }
+}
+
+/**
+ * Render recipe ingredients (name, grams, calories)
+ */
+function renderRecipeIngredients() {
+    const list = document.getElementById('recipeIngredients');
+
+    if (currentRecipeIngredients.length === 0) {
+        list.innerHTML = '<p class="empty-state">Zatím žádné ingredience.</p>';
+    } else {
+        list.innerHTML = currentRecipeIngredients.map((ingredient, index) => `
+            <div class="meal-item-row">
+                <input type="text" class="meal-item-name" value="${ingredient.name.replace(/"/g, '&quot;')}" oninput="updateRecipeIngredientName(${index}, this.value)">
+                <input type="text" inputmode="numeric" class="meal-item-grams" value="${ingredient.grams || ''}" oninput="updateRecipeIngredientGrams(${index}, this.value)">
+                <span class="meal-item-unit">g</span>
+                <span class="meal-item-calories" id="recipeIngredientCalories${index}">${ingredient.calories} kcal</span>
+                <button type="button" class="btn-remove-item" onclick="removeRecipeIngredient(${index})" title="Odebrat ingredienci">✕</button>
+            </div>
+        `).join('');
+    }
+
+    updateRecipeSummary();
+}
+
+/**
+ * Rename recipe ingredient
+ */
+function updateRecipeIngredientName(index, value) {
+    currentRecipeIngredients[index].name = value;
+}
+
+/**
+ * Change grams of recipe ingredient and rescale its values
+ */
+function updateRecipeIngredientGrams(index, value) {
+    const ingredient = RecipeCalculator.scaleIngredient(currentRecipeIngredients[index], parseNumber(value) || 0);
+    currentRecipeIngredients[index] = ingredient;
+
+    // Update only the calorie label - re-rendering would steal input focus
+    document.getElementById(`recipeIngredientCalories${index}`).textContent = `${ingredient.calories} kcal`;
+    updateRecipeSummary();
+}
+
+/**
+ * Remove ingredient from recipe
+ */
+function removeRecipeIngredient(index) {
+    currentRecipeIngredients.splice(index, 1);
+    renderRecipeIngredients();
+}
+
+/**
+ * Read recipe from form
+ * @returns {Object} Recipe {name, ingredients, cookedGrams, servings}
+ */
+function getRecipeFormData() {
+    return {
+        name: document.getElementById('recipeName').value.trim(),
+        ingredients: currentRecipeIngredients.map(ingredient => ({
+            ...ingredient,
+            name: ingredient.name.trim() || 'Ingredience'
+        })),
+        cookedGrams: parseIntNumber(document.getElementById('recipeCookedGrams').value) || null,
+        servings: parseIntNumber(document.getElementById('recipeServings').value) || 1
+    };
+}
+
+/**
+ * Update recipe summary (total, per serving, per 100 g)
+ */
+function updateRecipeSummary() {
+    const recipe = getRecipeFormData();
+    const totals = RecipeCalculator.getTotals(recipe.ingredients);
+    const summary = document.getElementById('recipeSummary');
+
+    // Raw weight of ingredients is the default cooked weight
+    document.getElementById('recipeCookedGrams').placeholder = totals.rawGrams > 0 ? Math.round(totals.rawGrams) : 'g';
+
+    if (recipe.ingredients.length === 0 || !(recipe.cookedGrams || totals.rawGrams)) {
+        summary.textContent = '';
+        return;
+    }
+
+    const food = RecipeCalculator.toFood(recipe);
+    const servingCalories = Math.round(food.per100g.calories * food.servingGrams / 100);
+    summary.textContent = `Celkem ${Math.round(totals.calories)} kcal · porce ${food.servingGrams} g = ${servingCalories} kcal · ${food.per100g.calories} kcal/100 g`;
+}
+
+/**
+ * Validate and save recipe form
+ */
+async function saveRecipeForm() {
+    if (!AppState.currentUser) return;
+
+    const recipeId = document.getElementById('recipeId').value;
+    const recipe = getRecipeFormData();
+
+    if (!recipe.name) {
+        showToast('Zadejte název receptu', 'error');
+        return;
+    }
+    if (recipe.ingredients.length === 0) {
+        showToast('Přidejte alespoň jednu ingredienci', 'error');
+        return;
+    }
+    if (!(recipe.cookedGrams || RecipeCalculator.getTotals(recipe.ingredients).rawGrams)) {
+        showToast('Zadejte hmotnost hotového jídla', 'error');
+        return;
+    }
+
+    try {
+        if (recipeId) {
+            await updateRecipe(AppState.currentUser.uid, recipeId, recipe);
+        } else {
+            await addRecipe(AppState.currentUser.uid, recipe);
+        }
+
+        closeRecipeForm();
+        showToast('Recept uložen', 'success');
+        await loadFoodList('recipes');
+    } catch (error) {
+        console.error('Error saving recipe:', error);
+        showToast('Chyba při ukládání receptu', 'error');
+    }
+}
+
+/**
+ * Delete recipe opened in form (with confirmation)
+ */
+async function deleteRecipeFromForm() {
+    const recipeId = document.getElementById('recipeId').value;
+    if (!AppState.currentUser || !recipeId) return;
+
+    const confirmed = await showConfirmDialog(
+        'Smazat recept?',
+        'Recept bude odstraněn. Již zapsaná jídla zůstanou.',
+        '🗑️',
+        'Smazat'
+    );
+    if (!confirmed) return;
+
+    try {
+        await deleteRecipe(AppState.currentUser.uid, recipeId);
+        closeRecipeForm();
+        showToast('Recept smazán', 'success');
+        await loadFoodList('recipes');
+    } catch (error) {
+        console.error('Error deleting recipe:', error);
+        showToast('Chyba při mazání receptu', 'error');
+    }
+}
+
 /**
  * Remove favorite food from list
  */
@@ -2482,6 +5110,7 @@ async function removeFavorite(favoriteId) {
 
     try {
         await removeFavoriteFood(AppState.currentUser.uid, favoriteId);
+        invalidateTextSuggestionSources();
         // Reload the list
         await loadFoodList('favorites');
     } catch (error) {
@@ -2506,6 +5135,7 @@ async function removeFromFavoritesAndClose() {
 
     try {
         await removeFavoriteFood(AppState.currentUser.uid, currentModalFavoriteId);
+        invalidateTextSuggestionSources();
         closeMealEditModal(false);
     } catch (error) {
         console.error('Error removing favorite:', error);
@@ -2525,13 +5155,7 @@ async function toggleMealFavorite() {
         return;
     }
 
-    const mealData = {
-        name: mealName,
-        calories: parseIntNumber(document.getElementById('editMealCalories').value) || 0,
-        protein: parseNumber(document.getElementById('editMealProtein').value) || 0,
-        carbs: parseNumber(document.getElementById('editMealCarbs').value) || 0,
-        fat: parseNumber(document.getElementById('editMealFat').value) || 0
-    };
+    const mealData = getMealEditFormData();
 
     try {
         if (currentMealFavoriteId) {
@@ -2545,6 +5169,7 @@ async function toggleMealFavorite() {
             currentMealFavoriteId = id;
             updateFavoriteIcon(true);
         }
+        invalidateTextSuggestionSources();
     } catch (error) {
         console.error('Error toggling favorite:', error);
         alert('Chyba při změně oblíbených');
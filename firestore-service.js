@@ -136,13 +136,20 @@ async function getUserProfile(userId) {
 /**
  * Save user profile to Firestore
  * @param {string} userId - User ID
- * @param {Object} profileData - Profile data {age, gender, weight, height, activity}
- * @returns {Promise<void>}
+ * @param {Object} profileData - Profile data {age, gender, weight, height, activity, useAdaptiveTdee?}
+ * @returns {Promise<Object>} Calculated daily goals
  */
 async function saveUserProfile(userId, profileData) {
     try {
+        // Measured expenditure replaces formula TDEE when enabled and reliable
+        let adaptiveTdee = null;
+        if (profileData.useAdaptiveTdee) {
+            const { formulaTdee } = calculateDailyGoalsFromProfile(profileData);
+            adaptiveTdee = (await getAdaptiveTdee(userId, formulaTdee)).tdee;
+        }
+
         // Calculate daily goals
-        const dailyGoals = calculateDailyGoalsFromProfile(profileData);
+        const dailyGoals = calculateDailyGoalsFromProfile(profileData, adaptiveTdee);
 
         const dataToSave = {
             ...profileData,
@@ -160,6 +167,46 @@ async function saveUserProfile(userId, profileData) {
     }
 }
 
+/**
+ * Update profile settings that do not affect daily goals (no recalculation)
+ * @param {string} userId - User ID
+ * @param {Object} settings - Fields to merge into profile (e.g. {useWeeklyBudget})
+ */
+async function updateProfileSettings(userId, settings) {
+    try {
+        await db.collection('users').doc(userId).collection('data').doc('profile').set(settings, { merge: true });
+    } catch (error) {
+        console.error('Error updating profile settings:', error);
+        throw error;
+    }
+}
+
+/**
+ * Recalculate daily goals from the stored profile with a new measured TDEE
+ * Writes only the goals - profile fields edited on another device stay untouched
+ * @param {string} userId - User ID
+ * @param {number|null} adaptiveTdee - Measured TDEE (null = formula TDEE)
+ * @returns {Promise<Object|null>} New daily goals or null if user has no profile yet
+ */
+async function updateProfileGoals(userId, adaptiveTdee) {
+    try {
+        const profile = await getUserProfile(userId);
+        if (!profile) return null;
+
+        const dailyGoals = calculateDailyGoalsFromProfile(profile, profile.useAdaptiveTdee ? adaptiveTdee : null);
+
+        await db.collection('users').doc(userId).collection('data').doc('profile').set({
+            dailyGoals,
+            updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+        }, { merge: true });
+
+        return dailyGoals;
+    } catch (error) {
+        console.error('Error updating profile goals:', error);
+        throw error;
+    }
+}
+
 // BMR coefficients (Oxford/Henry equation - 2005)
 // Format: [multiplier, constant] for each age bracket
 const BMR_COEFFICIENTS = {
@@ -182,7 +229,34 @@ const GOAL_PERCENTAGES = {
     'loss-mild': 0.90,      // -10%
     'loss-moderate': 0.85,  // -15%
     'loss-aggressive': 0.80, // -20%
-    'maintain': 1.0          // 0%
+    'maintain': 1.0,         // 0%
+    'gain-lean': 1.10,       // +10%
+    'gain-bulk': 1.20        // +20%
+};
+
+// Activity factor of sedentary lifestyle - base for days with explicitly logged exercise
+const SEDENTARY_ACTIVITY = 1.2;
+
+// Daily water target from body weight
+const WATER_ML_PER_KG = 35;
+const WATER_STEP_ML = 250; // Quick add button (one glass)
+
+/**
+ * Calculate daily water target from body weight
+ * @param {number} weight - Weight in kg
+ * @returns {number|null} Water target in ml (rounded to 50 ml), null without weight
+ */
+function calculateWaterGoal(weight) {
+    if (!weight) return null;
+    return Math.round(weight * WATER_ML_PER_KG / 50) * 50;
+}
+
+// Macro presets - split of calories left after protein between carbs and fat
+const MACRO_PRESETS = {
+    'balanced': { carbs: 0.55, fat: 0.45 },
+    'low-carb': { carbs: 0.30, fat: 0.70 },
+    'keto': { carbs: 0.10, fat: 0.90 },
+    'high-carb': { carbs: 0.70, fat: 0.30 }   // Endurance training
 };
 
 /**
@@ -209,44 +283,315 @@ function calculateBMR(gender, age, weight) {
     return multiplier * weight + constant;
 }
 
+/**
+ * Calculate macro targets for a calorie target
+ * Manual overrides win, macros without override share the remaining calories by preset
+ * @param {number} calories - Calorie target
+ * @param {Object} profile - {weight, proteinPerKg, macroPreset?, proteinOverride?, carbsOverride?, fatOverride?}
+ * @returns {Object} {protein, carbs, fat} in grams
+ */
+function calculateMacroTargets(calories, profile) {
+    const { weight, proteinPerKg = 2.0, macroPreset = 'balanced' } = profile;
+    const split = MACRO_PRESETS[macroPreset] || MACRO_PRESETS.balanced;
+
+    // Overrides are kept even when 0 (e.g. 0 g carbs on keto)
+    // Protein: manual grams or based on g/kg body weight (user configurable, default 2.0)
+    const protein = profile.proteinOverride ?? Math.round(weight * proteinPerKg);
+    const remainingCalories = Math.max(0, calories - protein * 4);
+
+    let carbs = profile.carbsOverride ?? null;
+    let fat = profile.fatOverride ?? null;
+
+    if (carbs === null && fat === null) {
+        carbs = Math.round(remainingCalories * split.carbs / 4);   // 4 kcal per gram
+        fat = Math.round(remainingCalories * split.fat / 9);       // 9 kcal per gram
+    } else if (carbs === null) {
+        carbs = Math.round(Math.max(0, remainingCalories - fat * 9) / 4);
+    } else if (fat === null) {
+        fat = Math.round(Math.max(0, remainingCalories - carbs * 4) / 9);
+    }
+
+    return { protein, carbs, fat };
+}
+
+/**
+ * Calculate training day and rest day targets (carb cycling)
+ * Training days get extra calories, rest days give them back so the weekly total stays the same
+ * @param {number} calories - Average daily calorie target
+ * @param {Object} profile - {weight, proteinPerKg, trainingWeekdays, trainingDayCalories?, carbCycling?, macroPreset?, ...overrides}
+ * @returns {Object|null} {training: {calories, protein, carbs, fat}, rest: {...}} or null without training days
+ */
+function calculateDayTargets(calories, profile) {
+    const trainingCount = (profile.trainingWeekdays || []).length;
+    if (trainingCount === 0) return null;
+
+    const extraCalories = profile.trainingDayCalories || 0;
+    const restCount = 7 - trainingCount;
+    const restReduction = restCount > 0 ? extraCalories * trainingCount / restCount : extraCalories;
+
+    const targetsFor = (dayCalories, cyclingPreset) => {
+        const macroPreset = profile.carbCycling ? cyclingPreset : profile.macroPreset;
+        return { calories: dayCalories, ...calculateMacroTargets(dayCalories, { ...profile, macroPreset }) };
+    };
+
+    return {
+        training: targetsFor(Math.round(calories + extraCalories), 'high-carb'),
+        rest: targetsFor(Math.round(calories - restReduction), 'low-carb')
+    };
+}
+
+/**
+ * Get goals for a specific date (training or rest day targets when the profile has training days)
+ * @param {Object} dailyGoals - Daily goals from calculateDailyGoalsFromProfile
+ * @param {string} dateString - Date string (YYYY-MM-DD)
+ * @param {string|null} dayType - Override for the date ('training' | 'rest'), null = by weekday
+ * @returns {Object} Goals for the date, with dayType when training days are set
+ */
+function getGoalsForDate(dailyGoals, dateString, dayType = null) {
+    if (!dailyGoals?.dayTargets) return dailyGoals;
+
+    const weekday = new Date(dateString + 'T00:00:00').getDay();
+    const type = dayType || (dailyGoals.trainingWeekdays.includes(weekday) ? 'training' : 'rest');
+    const targets = dailyGoals.dayTargets[type];
+
+    return {
+        ...dailyGoals,
+        ...targets,
+        deficit: targets.calories - dailyGoals.tdee,
+        dayType: type
+    };
+}
+
+/**
+ * Add logged exercise to goals of a day ("goal + exercise")
+ * Protein stays, extra calories go to carbs and fat in the current ratio
+ * @param {Object} goals - Goals of the day
+ * @param {number} exerciseCalories - Calories burned by logged exercise
+ * @returns {Object} Goals with exerciseCalories and baseCalories (goal before exercise)
+ */
+function getGoalsWithExercise(goals, exerciseCalories) {
+    if (!goals || !(exerciseCalories > 0)) return goals;
+
+    const ratio = goals.exerciseSedentaryRatio || 1;
+    const baseCalories = Math.round(goals.calories * ratio);
+    const calories = baseCalories + exerciseCalories;
+
+    const proteinCalories = goals.protein * 4;
+    const scale = goals.calories > proteinCalories
+        ? (calories - proteinCalories) / (goals.calories - proteinCalories)
+        : 1;
+
+    return {
+        ...goals,
+        calories,
+        carbs: Math.round(goals.carbs * scale),
+        fat: Math.round(goals.fat * scale),
+        tdee: Math.round(goals.tdee * ratio) + exerciseCalories,
+        deficit: calories - (Math.round(goals.tdee * ratio) + exerciseCalories),
+        baseCalories,
+        exerciseCalories
+    };
+}
+
+/**
+ * Get goals of a day from its summary (training/rest day and logged exercise)
+ * @param {Object} dailyGoals - Daily goals
+ * @param {Object} summary - Daily summary {date, dayType?, exerciseCalories?}
+ * @returns {Object} Goals of the day
+ */
+function getGoalsForSummary(dailyGoals, summary) {
+    const goals = getGoalsForDate(dailyGoals, summary.date, summary.dayType || null);
+    return getGoalsWithExercise(goals, summary.exerciseCalories || 0);
+}
+
 /**
  * Calculate daily goals from profile data
- * @param {Object} profile - {age, gender, weight, height, activity, goal, proteinPerKg}
- * @returns {Object} Daily goals {calories, protein, carbs, fat, tdee, bmr, deficit}
+ * @param {Object} profile - {age, gender, weight, height, activity, goal, proteinPerKg, macroPreset?, caloriesOverride?, proteinOverride?, carbsOverride?, fatOverride?, trainingWeekdays?, trainingDayCalories?, carbCycling?, exerciseSedentaryBase?, useAdaptiveTdee?, fiberTarget?, sugarLimit?, saturatedFatLimit?, sodiumLimit?}
+ * @param {number|null} adaptiveTdee - Measured TDEE (used instead of formula when profile.useAdaptiveTdee)
+ * @returns {Object} Daily goals {calories, protein, carbs, fat, macroPreset, manualTargets, trainingWeekdays, dayTargets, exerciseSedentaryRatio, tdee, formulaTdee, adaptiveTdee, tdeeSource, bmr, deficit, fiber, sugar, saturatedFat, sodium, water}
  */
-function calculateDailyGoalsFromProfile(profile) {
+function calculateDailyGoalsFromProfile(profile, adaptiveTdee = null) {
     const { age, gender, weight, activity, goal = 'maintain', proteinPerKg = 2.0 } = profile;
 
     // BMR calculation (Oxford/Henry equation - 2005)
     const bmr = calculateBMR(gender, age, weight);
 
     // TDEE = BMR * activity factor (maintenance calories)
-    const tdee = Math.round(bmr * parseFloat(activity));
+    const formulaTdee = Math.round(bmr * parseFloat(activity));
+    const useAdaptive = !!(profile.useAdaptiveTdee && adaptiveTdee);
+    const tdee = useAdaptive ? adaptiveTdee : formulaTdee;
 
     // Apply percentage-based calorie adjustment based on goal
     const tdeePercentage = GOAL_PERCENTAGES[goal] || 1.0;
 
-    // Target calories (TDEE * percentage)
-    const targetCalories = Math.round(tdee * tdeePercentage);
+    // Target calories (TDEE * percentage), manual override replaces it
+    const targetCalories = profile.caloriesOverride ?? Math.round(tdee * tdeePercentage);
     const calorieAdjustment = targetCalories - tdee; // For display purposes
 
-    // Protein: based on g/kg body weight (user configurable, default 2.0)
-    const proteinGrams = Math.round(weight * proteinPerKg);
-    const proteinCalories = proteinGrams * 4;
-
-    // Remaining calories split between carbs (55%) and fat (45%)
-    const remainingCalories = targetCalories - proteinCalories;
-    const carbsCalories = remainingCalories * 0.55;
-    const fatCalories = remainingCalories * 0.45;
+    const macros = calculateMacroTargets(targetCalories, { ...profile, proteinPerKg });
 
     return {
         calories: targetCalories,
-        protein: proteinGrams,                    // Based on g/kg
-        carbs: Math.round(carbsCalories / 4),     // 4 kcal per gram
-        fat: Math.round(fatCalories / 9),         // 9 kcal per gram
+        protein: macros.protein,                  // Based on g/kg unless overridden
+        carbs: macros.carbs,
+        fat: macros.fat,
+        macroPreset: MACRO_PRESETS[profile.macroPreset] ? profile.macroPreset : 'balanced',
+        manualTargets: ['calories', 'protein', 'carbs', 'fat'].filter(key => profile[`${key}Override`] != null),
+        trainingWeekdays: profile.trainingWeekdays || [], // Date.getDay() numbers (0 = Sunday)
+        dayTargets: calculateDayTargets(targetCalories, { ...profile, proteinPerKg }), // Training/rest day targets or null
+        // Days with logged exercise start from sedentary TDEE (exercise is added explicitly)
+        exerciseSedentaryRatio: profile.exerciseSedentaryBase ? Math.min(1, SEDENTARY_ACTIVITY / parseFloat(activity)) : null,
         tdee: tdee,                               // Maintenance calories
+        formulaTdee,                              // BMR × activity factor
+        adaptiveTdee: adaptiveTdee || null,       // Measured from intake and weight trend
+        tdeeSource: useAdaptive ? 'adaptive' : 'formula',
         bmr: Math.round(bmr),                     // Basal metabolic rate
-        deficit: calorieAdjustment                // Calorie adjustment (+/-)
+        deficit: calorieAdjustment,               // Calorie adjustment (+/-)
+        // Optional micronutrient targets from profile (null = not tracked against a target)
+        fiber: profile.fiberTarget || null,        // Minimum (g)
+        sugar: profile.sugarLimit || null,         // Maximum (g)
+        saturatedFat: profile.saturatedFatLimit || null, // Maximum (g)
+        sodium: profile.sodiumLimit || null,       // Maximum (mg)
+        water: calculateWaterGoal(weight)          // Drinking target (ml)
+    };
+}
+
+// ==================== ADAPTIVE TDEE ====================
+
+// Energy balance over a rolling window: TDEE = average intake - weight change energy / days
+const ADAPTIVE_TDEE = {
+    windowDays: 28,          // Rolling window (ends yesterday - today is not complete yet)
+    minLoggedDays: 14,       // Fewer logged days = estimate is not reliable
+    minDayCalories: 800,     // Days below are treated as not fully logged
+    minWeightSpanDays: 14,   // Weight trend has to cover at least two weeks
+    weightHistoryDays: 90,   // Weight history loaded so the moving average settles
+    kcalPerKg: 7700,         // Energy of 1 kg body weight change
+    minRatio: 0.6,           // Estimate outside formula TDEE × ratio is rejected
+    maxRatio: 1.5            // (usually incomplete logging)
+};
+
+/**
+ * Estimate TDEE from logged intake and weight trend
+ * @param {Array} summaries - Daily summaries of the window ({date, totalCalories, mealCount})
+ * @param {Array} weightEntries - Weight entries with trend, sorted by date
+ * @param {string} windowStart - First day of the window (YYYY-MM-DD)
+ * @param {string} windowEnd - Last day of the window (YYYY-MM-DD)
+ * @param {number|null} formulaTdee - Formula TDEE for sanity check
+ * @returns {Object} {tdee, loggedDays, averageIntake, weightChange, weightDays} or {tdee: null, reason, loggedDays}
+ *   reason: 'few-logged-days' | 'few-weighings' | 'out-of-range'
+ */
+function estimateAdaptiveTdee(summaries, weightEntries, windowStart, windowEnd, formulaTdee = null) {
+    const loggedDays = summaries.filter(summary =>
+        summary.mealCount > 0 && summary.totalCalories >= ADAPTIVE_TDEE.minDayCalories
+    );
+
+    if (loggedDays.length < ADAPTIVE_TDEE.minLoggedDays) {
+        return { tdee: null, reason: 'few-logged-days', loggedDays: loggedDays.length };
+    }
+
+    // Trend at window start (last weighing before it, or first one inside) and at window end
+    const startEntry = weightEntries.filter(entry => entry.date <= windowStart).pop()
+        || weightEntries.find(entry => entry.date <= windowEnd);
+    const endEntry = weightEntries.filter(entry => entry.date <= windowEnd).pop();
+    const weightDays = startEntry && endEntry
+        ? Math.round((new Date(endEntry.date) - new Date(startEntry.date)) / 86400000)
+        : 0;
+
+    if (weightDays < ADAPTIVE_TDEE.minWeightSpanDays) {
+        return { tdee: null, reason: 'few-weighings', loggedDays: loggedDays.length };
+    }
+
+    const averageIntake = loggedDays.reduce((sum, summary) => sum + summary.totalCalories, 0) / loggedDays.length;
+    const weightChange = endEntry.trend - startEntry.trend;
+    const tdee = Math.round((averageIntake - weightChange * ADAPTIVE_TDEE.kcalPerKg / weightDays) / 10) * 10;
+
+    if (formulaTdee && (tdee < formulaTdee * ADAPTIVE_TDEE.minRatio || tdee > formulaTdee * ADAPTIVE_TDEE.maxRatio)) {
+        return { tdee: null, reason: 'out-of-range', loggedDays: loggedDays.length };
+    }
+
+    return {
+        tdee,
+        loggedDays: loggedDays.length,
+        averageIntake: Math.round(averageIntake),
+        weightChange: Math.round(weightChange * 10) / 10,
+        weightDays
+    };
+}
+
+/**
+ * Load intake and weight data of the rolling window and estimate TDEE
+ * Days without summary document count as not logged
+ * @param {string} userId - User ID
+ * @param {number|null} formulaTdee - Formula TDEE for sanity check
+ * @returns {Promise<Object>} Result of estimateAdaptiveTdee
+ */
+async function getAdaptiveTdee(userId, formulaTdee = null) {
+    try {
+        const windowStart = getDateString(ADAPTIVE_TDEE.windowDays);
+        const windowEnd = getDateString(1);
+
+        const [summariesSnapshot, weightLog] = await Promise.all([
+            db.collection('users').doc(userId).collection('dailySummaries')
+                .where(firebase.firestore.FieldPath.documentId(), '>=', windowStart)
+                .where(firebase.firestore.FieldPath.documentId(), '<=', windowEnd)
+                .get(),
+            getWeightLog(userId, getDateString(ADAPTIVE_TDEE.windowDays + ADAPTIVE_TDEE.weightHistoryDays))
+        ]);
+
+        const summaries = [];
+        summariesSnapshot.forEach(doc => summaries.push({ date: doc.id, ...doc.data() }));
+
+        const result = estimateAdaptiveTdee(summaries, calculateWeightTrend(weightLog), windowStart, windowEnd, formulaTdee);
+        console.log('📊 Adaptive TDEE:', result);
+        return result;
+    } catch (error) {
+        console.error('Error estimating adaptive TDEE:', error);
+        return { tdee: null, reason: 'error', loggedDays: 0 };
+    }
+}
+
+// ==================== WEEKLY BUDGET ====================
+
+// Days below are treated as not fully logged - they neither bank nor spend the allowance
+const WEEKLY_BUDGET_MIN_DAY_CALORIES = ADAPTIVE_TDEE.minDayCalories;
+
+/**
+ * Calculate rolling weekly calorie budget (previous 6 days + today)
+ * Calories left over (or overeaten) on previous days move to today's allowance
+ * @param {Array} summaries - Daily summaries of the week, oldest first, last = today ({date, totalCalories, dayType?, exerciseCalories?})
+ * @param {Object} dailyGoals - Daily goals
+ * @returns {Object} {date, weekBudget, weekConsumed, remaining, bank, todayGoal, adjustedToday, loggedDays}
+ */
+function calculateWeeklyBudget(summaries, dailyGoals) {
+    const today = summaries[summaries.length - 1];
+    const todayGoal = getGoalsForSummary(dailyGoals, today).calories;
+
+    let weekBudget = todayGoal;
+    let weekConsumed = today.totalCalories || 0;
+    let bank = 0;
+    let loggedDays = 0;
+
+    summaries.slice(0, -1).forEach(summary => {
+        const consumed = summary.totalCalories || 0;
+        if (consumed < WEEKLY_BUDGET_MIN_DAY_CALORIES) return;
+
+        const goal = getGoalsForSummary(dailyGoals, summary).calories;
+        weekBudget += goal;
+        weekConsumed += consumed;
+        bank += goal - consumed;
+        loggedDays++;
+    });
+
+    return {
+        date: today.date,
+        weekBudget,
+        weekConsumed,
+        remaining: weekBudget - weekConsumed,
+        bank,
+        todayGoal,
+        // Never suggest eating below BMR to pay off previous days
+        adjustedToday: Math.max(todayGoal + bank, dailyGoals.bmr || 0),
+        loggedDays
     };
 }
 
@@ -368,14 +713,44 @@ async function recalculateDailySummary(userId, dateString) {
         let totalProtein = 0;
         let totalCarbs = 0;
         let totalFat = 0;
+        let totalFiber = 0;
+        let totalSugar = 0;
+        let totalSaturatedFat = 0;
+        let totalSodium = 0;
+        let drinkWater = 0;
         let mealCount = 0;
 
+        // Per-slot subtotals - shows where the calories come from
+        const slots = {};
+        MEAL_SLOTS.forEach(slot => {
+            slots[slot] = { calories: 0, protein: 0, carbs: 0, fat: 0, mealCount: 0 };
+        });
+
+        // Logged exercise raises the goal of the day
+        const exercisesSnapshot = await db.collection('users').doc(userId).collection('exercises').doc(dateString).collection('items').get();
+        let exerciseCalories = 0;
+        exercisesSnapshot.forEach(doc => {
+            exerciseCalories += doc.data().calories || 0;
+        });
+
         snapshot.forEach(doc => {
             const meal = doc.data();
+            const slotTotals = slots[getMealSlot(meal)];
+            slotTotals.calories += meal.calories || 0;
+            slotTotals.protein += meal.protein || 0;
+            slotTotals.carbs += meal.carbs || 0;
+            slotTotals.fat += meal.fat || 0;
+            slotTotals.mealCount++;
+
             totalCalories += meal.calories || 0;
             totalProtein += meal.protein || 0;
             totalCarbs += meal.carbs || 0;
             totalFat += meal.fat || 0;
+            totalFiber += meal.fiber || 0;
+            totalSugar += meal.sugar || 0;
+            totalSaturatedFat += meal.saturatedFat || 0;
+            totalSodium += meal.sodium || 0;
+            drinkWater += meal.waterMl || 0;
             mealCount++;
         });
 
@@ -384,13 +759,20 @@ async function recalculateDailySummary(userId, dateString) {
             totalProtein,
             totalCarbs,
             totalFat,
+            totalFiber: Math.round(totalFiber * 10) / 10,
+            totalSugar: Math.round(totalSugar * 10) / 10,
+            totalSaturatedFat: Math.round(totalSaturatedFat * 10) / 10,
+            totalSodium: Math.round(totalSodium),
+            drinkWater: Math.round(drinkWater),
             mealCount,
+            slots,
+            exerciseCalories,
             updatedAt: firebase.firestore.FieldValue.serverTimestamp()
         };
 
-        // Save to dailySummaries collection
+        // Save to dailySummaries collection (merge keeps day type and water set by the user)
         const summaryRef = db.collection('users').doc(userId).collection('dailySummaries').doc(dateString);
-        await summaryRef.set(summary);
+        await summaryRef.set(summary, { merge: true });
 
         console.log('📊 Daily summary updated for', dateString, ':', totalCalories, 'kcal');
         return summary;
@@ -423,7 +805,65 @@ async function getDailySummary(userId, dateString) {
         }
     } catch (error) {
         console.error('Error getting daily summary:', error);
-        return { date: dateString, totalCalories: 0, totalProtein: 0, totalCarbs: 0, totalFat: 0, mealCount: 0 };
+        return { date: dateString, totalCalories: 0, totalProtein: 0, totalCarbs: 0, totalFat: 0, totalFiber: 0, totalSugar: 0, totalSaturatedFat: 0, totalSodium: 0, mealCount: 0 };
+    }
+}
+
+/**
+ * Set training/rest day for a date (stored on the daily summary)
+ * @param {string} userId - User ID
+ * @param {string} dateString - Date string (YYYY-MM-DD)
+ * @param {string|null} dayType - 'training' | 'rest', null = by weekday from profile
+ */
+async function setDayType(userId, dateString, dayType) {
+    try {
+        const summaryRef = db.collection('users').doc(userId).collection('dailySummaries').doc(dateString);
+        const doc = await summaryRef.get();
+
+        await summaryRef.set({
+            dayType: dayType || firebase.firestore.FieldValue.delete()
+        }, { merge: true });
+
+        // Day without summary yet - fill in totals so it is not a day type only
+        if (!doc.exists) {
+            await recalculateDailySummary(userId, dateString);
+        }
+    } catch (error) {
+        console.error('Error setting day type:', error);
+        throw error;
+    }
+}
+
+/**
+ * Add water intake to a date (stored on the daily summary)
+ * @param {string} userId - User ID
+ * @param {string} dateString - Date string (YYYY-MM-DD)
+ * @param {number} ml - Amount in ml (negative = undo, total never goes below zero)
+ * @returns {Promise<number>} New water total in ml
+ */
+async function addWater(userId, dateString, ml) {
+    try {
+        const summaryRef = db.collection('users').doc(userId).collection('dailySummaries').doc(dateString);
+
+        // Read and write in one transaction - quick taps and other devices must not overwrite each other
+        const { water, created } = await db.runTransaction(async (transaction) => {
+            const doc = await transaction.get(summaryRef);
+            const newWater = Math.max(0, ((doc.exists && doc.data().water) || 0) + ml);
+
+            transaction.set(summaryRef, { water: newWater }, { merge: true });
+            return { water: newWater, created: !doc.exists };
+        });
+
+        // Day without summary yet - fill in totals so it is not water only
+        // (the recalculation merges meal totals only and never touches water)
+        if (created) {
+            await recalculateDailySummary(userId, dateString);
+        }
+
+        return water;
+    } catch (error) {
+        console.error('Error adding water:', error);
+        throw error;
     }
 }
 
@@ -451,10 +891,72 @@ async function getWeeklySummaries(userId) {
 
 // ==================== MEAL CRUD OPERATIONS ====================
 
+// Optional micronutrients stored on meals (g, except sodium in mg)
+// Missing value = unknown (older meals, manual entries), not zero
+const MICRONUTRIENT_FIELDS = ['fiber', 'sugar', 'saturatedFat', 'sodium'];
+
+// Optional AI estimate metadata: confidence (low/medium/high), calorie range,
+// whether the user has double-checked a low-confidence meal and calories vs. macros mismatch (diagnostics)
+const ESTIMATE_FIELDS = ['confidence', 'caloriesLow', 'caloriesHigh', 'reviewed', 'atwaterMismatch'];
+
+// Optional liquid volume of drinks (ml) - can count toward daily water intake
+const DRINK_FIELDS = ['waterMl'];
+
+// Meal slots in display order
+const MEAL_SLOTS = ['breakfast', 'lunch', 'dinner', 'snack'];
+
+// Hours [from, to) suggesting a slot - anything outside is a snack
+const MEAL_SLOT_HOURS = [
+    { slot: 'breakfast', from: 4, to: 10 },
+    { slot: 'lunch', from: 11, to: 15 },
+    { slot: 'dinner', from: 17, to: 22 }
+];
+
+/**
+ * Suggest meal slot from time of day
+ * @param {Date} date - Time of the meal (defaults to now)
+ * @returns {string} Meal slot (breakfast, lunch, dinner, snack)
+ */
+function getMealSlotForTime(date = new Date()) {
+    const hour = date.getHours();
+    const range = MEAL_SLOT_HOURS.find(({ from, to }) => hour >= from && hour < to);
+    return range ? range.slot : 'snack';
+}
+
+/**
+ * Get time the meal was eaten (older meals without eatenAt fall back to logging time)
+ * @param {Object} meal - Meal data
+ * @returns {Date}
+ */
+function getMealTime(meal) {
+    // Timestamp from Firestore, serialized timestamp (meal passed through JSON), Date,
+    // or null for a pending server timestamp that is not confirmed yet
+    const time = meal.eatenAt || meal.timestamp;
+    if (time?.toDate) {
+        return time.toDate();
+    }
+    if (time?.seconds) {
+        return new Date(time.seconds * 1000);
+    }
+    return time instanceof Date ? time : new Date();
+}
+
+/**
+ * Get meal slot (older meals without slot fall back to their time)
+ * @param {Object} meal - Meal data
+ * @returns {string} Meal slot
+ */
+function getMealSlot(meal) {
+    if (MEAL_SLOTS.includes(meal.slot)) {
+        return meal.slot;
+    }
+    return getMealSlotForTime(getMealTime(meal));
+}
+
 /**
  * Add a new meal
  * @param {string} userId - User ID
- * @param {Object} mealData - {name, calories, protein, carbs, fat}
+ * @param {Object} mealData - {name, slot, eatenAt?, calories, protein, carbs, fat, fiber?, sugar?, saturatedFat?, sodium?, waterMl?, confidence?, caloriesLow?, caloriesHigh?, items?}
  * @param {string} dateString - Optional date string (YYYY-MM-DD), defaults to today
  * @returns {Promise<string>} Document ID of created meal
  */
@@ -467,10 +969,19 @@ async function addMealToFirestore(userId, mealData, dateString = null) {
 
         const mealToSave = {
             ...mealData,
+            slot: mealData.slot || getMealSlotForTime(),
+            eatenAt: mealData.eatenAt || firebase.firestore.FieldValue.serverTimestamp(),
             timestamp: firebase.firestore.FieldValue.serverTimestamp(),
             date: dateString
         };
 
+        // Don't store unknown optional values (Firestore rejects undefined)
+        [...MICRONUTRIENT_FIELDS, ...ESTIMATE_FIELDS, ...DRINK_FIELDS].forEach(field => {
+            if (mealToSave[field] === undefined || mealToSave[field] === null) {
+                delete mealToSave[field];
+            }
+        });
+
         const docRef = await mealsRef.add(mealToSave);
         console.log('✅ Meal added:', docRef.id, 'for date:', dateString);
 
@@ -499,9 +1010,17 @@ async function deleteMealFromFirestore(userId, mealId, dateString = null) {
         if (!dateString) {
             dateString = getTodayDateString();
         }
-        await db.collection('users').doc(userId).collection('meals').doc(dateString).collection('items').doc(mealId).delete();
+        const mealRef = db.collection('users').doc(userId).collection('meals').doc(dateString).collection('items').doc(mealId);
+        const meal = await mealRef.get();
+
+        await mealRef.delete();
         console.log('✅ Meal deleted:', mealId, 'from date:', dateString);
 
+        // Deleted meal no longer counts in food history
+        if (meal.exists) {
+            await removeFoodHistoryUse(userId, meal.data());
+        }
+
         // Update daily summary (fire and forget - don't await)
         recalculateDailySummary(userId, dateString);
     } catch (error) {
@@ -512,27 +1031,64 @@ async function deleteMealFromFirestore(userId, mealId, dateString = null) {
 
 /**
  * Update an existing meal
+ * Changed date moves the meal to the other day (see moveMealToDate)
  * @param {string} userId - User ID
  * @param {string} mealId - Meal document ID
- * @param {Object} mealData - Updated meal data (name, calories, protein, carbs, fat)
+ * @param {Object} mealData - Updated meal data (name, slot, eatenAt, calories, protein, carbs, fat)
  * @param {string} dateString - Optional date string (YYYY-MM-DD), defaults to today
+ * @param {string} newDateString - Optional target date when the meal was logged on a wrong day
  * @returns {Promise<void>}
  */
-async function updateMealInFirestore(userId, mealId, mealData, dateString = null) {
+async function updateMealInFirestore(userId, mealId, mealData, dateString = null, newDateString = null) {
     try {
         if (!dateString) {
             dateString = getTodayDateString();
         }
-        const mealRef = db.collection('users').doc(userId).collection('meals').doc(dateString).collection('items').doc(mealId);
 
-        await mealRef.update({
+        const updates = {
             name: mealData.name,
             calories: mealData.calories,
             protein: mealData.protein,
             carbs: mealData.carbs,
             fat: mealData.fat,
             updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+        };
+
+        // Items breakdown is optional (only for multi-item AI analysis)
+        if (mealData.items) {
+            updates.items = mealData.items;
+        }
+
+        if (mealData.slot) {
+            updates.slot = mealData.slot;
+        }
+
+        if (mealData.eatenAt) {
+            updates.eatenAt = mealData.eatenAt;
+        }
+
+        // Micronutrients, estimate and drink volume - cleared value removes the field
+        const clearedFields = [];
+        [...MICRONUTRIENT_FIELDS, ...ESTIMATE_FIELDS, ...DRINK_FIELDS].forEach(field => {
+            const value = mealData[field];
+            if (value === undefined || value === null) {
+                clearedFields.push(field);
+            } else {
+                updates[field] = value;
+            }
+        });
+
+        if (newDateString && newDateString !== dateString) {
+            await moveMealToDate(userId, mealId, dateString, newDateString, updates, clearedFields);
+            return;
+        }
+
+        clearedFields.forEach(field => {
+            updates[field] = firebase.firestore.FieldValue.delete();
         });
+
+        const mealRef = db.collection('users').doc(userId).collection('meals').doc(dateString).collection('items').doc(mealId);
+        await mealRef.update(updates);
         console.log('✅ Meal updated:', mealId, 'for date:', dateString);
 
         // Update daily summary (fire and forget - don't await)
@@ -543,6 +1099,47 @@ async function updateMealInFirestore(userId, mealId, mealData, dateString = null
     }
 }
 
+/**
+ * Move meal to another day in one transaction (create in target day, delete from source day)
+ * Keeps the document ID and recalculates summaries of both days
+ * @param {string} userId - User ID
+ * @param {string} mealId - Meal document ID
+ * @param {string} fromDateString - Current date of the meal (YYYY-MM-DD)
+ * @param {string} toDateString - Target date (YYYY-MM-DD)
+ * @param {Object} updates - Fields to change together with the move
+ * @param {Array<string>} clearedFields - Fields to remove together with the move
+ * @returns {Promise<void>}
+ */
+async function moveMealToDate(userId, mealId, fromDateString, toDateString, updates = {}, clearedFields = []) {
+    try {
+        const mealsRef = db.collection('users').doc(userId).collection('meals');
+        const fromRef = mealsRef.doc(fromDateString).collection('items').doc(mealId);
+        const toRef = mealsRef.doc(toDateString).collection('items').doc(mealId);
+
+        await db.runTransaction(async (transaction) => {
+            const doc = await transaction.get(fromRef);
+            if (!doc.exists) {
+                throw new Error(`Meal ${mealId} not found for date ${fromDateString}`);
+            }
+
+            const moved = { ...doc.data(), ...updates, date: toDateString };
+            clearedFields.forEach(field => delete moved[field]);
+
+            transaction.set(toRef, moved);
+            transaction.delete(fromRef);
+        });
+
+        console.log('✅ Meal moved:', mealId, 'from', fromDateString, 'to', toDateString);
+
+        // Update daily summaries of both days (fire and forget - don't await)
+        recalculateDailySummary(userId, fromDateString);
+        recalculateDailySummary(userId, toDateString);
+    } catch (error) {
+        console.error('Error moving meal:', error);
+        throw error;
+    }
+}
+
 /**
  * Convert Firestore snapshot to array of documents with IDs
  * @param {QuerySnapshot} snapshot - Firestore query snapshot
@@ -585,6 +1182,64 @@ function listenToMealsForDate(userId, dateString, callback) {
     );
 }
 
+// ==================== EXERCISES ====================
+
+/**
+ * Add exercise to a date
+ * @param {string} userId - User ID
+ * @param {string} dateString - Date string (YYYY-MM-DD)
+ * @param {Object} exerciseData - {name, activity?, minutes, met, calories, source}
+ * @returns {Promise<string>} Document ID
+ */
+async function addExercise(userId, dateString, exerciseData) {
+    try {
+        const docRef = await db.collection('users').doc(userId).collection('exercises').doc(dateString).collection('items').add({
+            ...exerciseData,
+            timestamp: firebase.firestore.FieldValue.serverTimestamp()
+        });
+
+        console.log('✅ Exercise added:', docRef.id, 'to date:', dateString);
+        await recalculateDailySummary(userId, dateString);
+        return docRef.id;
+    } catch (error) {
+        console.error('Error adding exercise:', error);
+        throw error;
+    }
+}
+
+/**
+ * Delete exercise
+ * @param {string} userId - User ID
+ * @param {string} dateString - Date string (YYYY-MM-DD)
+ * @param {string} exerciseId - Exercise document ID
+ */
+async function deleteExercise(userId, dateString, exerciseId) {
+    try {
+        await db.collection('users').doc(userId).collection('exercises').doc(dateString).collection('items').doc(exerciseId).delete();
+        console.log('✅ Exercise deleted:', exerciseId, 'from date:', dateString);
+        await recalculateDailySummary(userId, dateString);
+    } catch (error) {
+        console.error('Error deleting exercise:', error);
+        throw error;
+    }
+}
+
+/**
+ * Listen to exercises of a date (real-time)
+ * @param {string} userId - User ID
+ * @param {string} dateString - Date string (YYYY-MM-DD)
+ * @param {Function} callback - Called with array of exercises
+ * @returns {Function} Unsubscribe function
+ */
+function listenToExercisesForDate(userId, dateString, callback) {
+    const exercisesRef = db.collection('users').doc(userId).collection('exercises').doc(dateString).collection('items');
+
+    return exercisesRef.orderBy('timestamp', 'asc').onSnapshot(
+        (snapshot) => callback(snapshotToArray(snapshot)),
+        (error) => console.error('Error listening to exercises:', error)
+    );
+}
+
 // ==================== RATE LIMITING ====================
 
 /**
@@ -757,75 +1412,229 @@ async function checkIsFavorite(userId, foodName) {
     }
 }
 
+// Food index = foodHistory collection, one entry per food ever logged (by lowercase name)
+// Entry: {name, nameLower, useCount, lastUsed, calories, protein, carbs, fat (typical = average of uses), micronutrients of last use}
+const FOOD_INDEX_NUTRIENTS = ['calories', 'protein', 'carbs', 'fat'];
+const FOOD_INDEX_REBUILD_CONCURRENCY = 10; // Dates loaded in parallel when building the index
+const FOOD_INDEX_RECENT_DAYS = 60; // Days checked even without a summary when building the index
+
+// Rebuilds in progress by user - concurrent callers share one rebuild
+const foodIndexRebuilds = new Map();
+
 /**
- * Get food history (last 10 unique foods)
- * @param {string} userId - User ID
- * @returns {Promise<Array>} Array of recent food objects
+ * Document ID of a food index entry (same food = same document, so repeated writes never duplicate it)
+ * @param {string} nameLower - Lowercase food name
+ * @returns {string} Firestore document ID
  */
-async function getFoodHistory(userId) {
-    try {
-        const allMeals = [];
-        const seenNames = new Set();
+function getFoodIndexDocId(nameLower) {
+    return encodeURIComponent(nameLower);
+}
 
-        // Get meals from last 7 days
-        for (let i = 0; i < 7; i++) {
-            const dateString = getDateString(i);
-            const mealsRef = db.collection('users').doc(userId).collection('meals').doc(dateString).collection('items');
-            const snapshot = await mealsRef.orderBy('timestamp', 'desc').get();
-
-            snapshot.forEach(doc => {
-                const meal = { id: doc.id, ...doc.data() };
-                // Deduplicate by name (keep first occurrence = most recent)
-                if (!seenNames.has(meal.name.toLowerCase())) {
-                    seenNames.add(meal.name.toLowerCase());
-                    allMeals.push(meal);
-                }
-            });
-        }
+/**
+ * Add one use of a food to its index entry (running average of nutrients)
+ * @param {Object|null} entry - Existing index entry or null for new food
+ * @param {Object} foodData - Logged meal {name, calories, protein, carbs, fat, fiber?, sugar?, saturatedFat?, sodium?}
+ * @returns {Object} Index entry without lastUsed
+ */
+function mergeFoodIndexEntry(entry, foodData) {
+    const name = foodData.name.trim();
+    const useCount = (entry?.useCount || 0) + 1;
+    const merged = { name, nameLower: name.toLowerCase(), useCount };
+
+    FOOD_INDEX_NUTRIENTS.forEach(field => {
+        const value = Number(foodData[field]) || 0;
+        const average = entry ? entry[field] + (value - entry[field]) / useCount : value;
+        merged[field] = field === 'calories' ? Math.round(average) : Math.round(average * 10) / 10;
+    });
 
-        return allMeals;
+    // Micronutrients are not known for every use - keep the last known value
+    MICRONUTRIENT_FIELDS.forEach(field => {
+        const value = foodData[field] ?? entry?.[field];
+        if (value !== undefined && value !== null) {
+            merged[field] = value;
+        }
+    });
+
+    return merged;
+}
+
+/**
+ * Remove one use of a food from its index entry (reverse of mergeFoodIndexEntry)
+ * Micronutrients and lastUsed stay - the previous values are not known
+ * @param {Object} entry - Existing index entry
+ * @param {Object} foodData - Meal that is no longer logged {calories, protein, carbs, fat}
+ * @returns {Object|null} Updated entry or null when it was the last use
+ */
+function unmergeFoodIndexEntry(entry, foodData) {
+    const useCount = (entry.useCount || 1) - 1;
+    if (useCount <= 0) return null;
+
+    const unmerged = { ...entry, useCount };
+    FOOD_INDEX_NUTRIENTS.forEach(field => {
+        const value = Number(foodData[field]) || 0;
+        const average = Math.max(0, ((entry[field] || 0) * (useCount + 1) - value) / useCount);
+        unmerged[field] = field === 'calories' ? Math.round(average) : Math.round(average * 10) / 10;
+    });
+
+    return unmerged;
+}
+
+/**
+ * Get food history - all foods ever logged
+ * Builds the index from all logged days on first use (lazy migration)
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} Index entries, lastUsed in ms, most recent first
+ */
+async function getFoodHistory(userId) {
+    try {
+        const indexStateRef = db.collection('users').doc(userId).collection('data').doc('foodIndex');
+        const indexState = await indexStateRef.get();
+        if (!indexState.exists) {
+            await rebuildFoodIndex(userId);
+        }
+
+        const historyRef = db.collection('users').doc(userId).collection('foodHistory');
+        const snapshot = await historyRef.orderBy('lastUsed', 'desc').get();
+
+        return snapshotToArray(snapshot).map(entry => ({
+            ...entry,
+            // Pending server timestamp = just logged
+            lastUsed: entry.lastUsed ? entry.lastUsed.toMillis() : Date.now()
+        }));
     } catch (error) {
         console.error('Error fetching food history:', error);
         return [];
     }
 }
 
+/**
+ * Rebuild food index from all logged days
+ * Concurrent calls for the same user share one rebuild
+ * @param {string} userId - User ID
+ * @returns {Promise<number>} Number of indexed foods
+ */
+function rebuildFoodIndex(userId) {
+    if (!foodIndexRebuilds.has(userId)) {
+        const rebuild = buildFoodIndex(userId).finally(() => foodIndexRebuilds.delete(userId));
+        foodIndexRebuilds.set(userId, rebuild);
+    }
+    return foodIndexRebuilds.get(userId);
+}
+
+/**
+ * Get dates to read meals from when building the index
+ * Meal day documents only hold the items subcollection and cannot be listed. Recent days are
+ * checked one by one (their summary may be missing or stale), older days come from summaries
+ * with meals - a bounded number of queries even for old accounts
+ * @param {string} userId - User ID
+ * @returns {Promise<Array<string>>} Date strings (YYYY-MM-DD), oldest first
+ */
+async function getFoodIndexDates(userId) {
+    const summariesSnapshot = await db.collection('users').doc(userId).collection('dailySummaries')
+        .where('mealCount', '>', 0)
+        .get();
+
+    const dates = new Set(summariesSnapshot.docs.map(doc => doc.id));
+    for (let i = 0; i < FOOD_INDEX_RECENT_DAYS; i++) {
+        dates.add(getDateString(i));
+    }
+    return [...dates].sort();
+}
+
+/**
+ * Build food index from meals of all logged days (replaces the existing index)
+ * @param {string} userId - User ID
+ * @returns {Promise<number>} Number of indexed foods
+ */
+async function buildFoodIndex(userId) {
+    try {
+        const userRef = db.collection('users').doc(userId);
+        const dates = await getFoodIndexDates(userId);
+
+        // Oldest days first, so the last use wins for micronutrients and lastUsed
+        const entries = new Map();
+        for (let i = 0; i < dates.length; i += FOOD_INDEX_REBUILD_CONCURRENCY) {
+            const chunk = dates.slice(i, i + FOOD_INDEX_REBUILD_CONCURRENCY);
+            const snapshots = await Promise.all(chunk.map(dateString =>
+                userRef.collection('meals').doc(dateString).collection('items').orderBy('timestamp', 'asc').get()
+            ));
+
+            snapshots.forEach((snapshot, index) => {
+                const dayStart = firebase.firestore.Timestamp.fromDate(new Date(chunk[index]));
+                snapshot.forEach(doc => {
+                    const meal = doc.data();
+                    if (!meal.name || !meal.name.trim()) return;
+
+                    const key = meal.name.trim().toLowerCase();
+                    entries.set(key, {
+                        ...mergeFoodIndexEntry(entries.get(key) || null, meal),
+                        lastUsed: meal.timestamp || dayStart
+                    });
+                });
+            });
+        }
+
+        // Replace old index (batches are limited to 500 writes)
+        // Fixed IDs per food - a rebuild running on another device writes the same documents
+        const historyRef = userRef.collection('foodHistory');
+        const oldSnapshot = await historyRef.get();
+        const newIds = new Set([...entries.keys()].map(getFoodIndexDocId));
+        const writes = [
+            ...oldSnapshot.docs.filter(doc => !newIds.has(doc.id)).map(doc => batch => batch.delete(doc.ref)),
+            ...[...entries].map(([key, entry]) => batch => batch.set(historyRef.doc(getFoodIndexDocId(key)), entry))
+        ];
+
+        for (let i = 0; i < writes.length; i += 500) {
+            const batch = db.batch();
+            writes.slice(i, i + 500).forEach(write => write(batch));
+            await batch.commit();
+        }
+
+        await userRef.collection('data').doc('foodIndex').set({
+            builtAt: firebase.firestore.FieldValue.serverTimestamp(),
+            foodCount: entries.size
+        });
+
+        console.log(`✅ Food index built: ${entries.size} foods from ${dates.length} days`);
+        return entries.size;
+    } catch (error) {
+        console.error('Error rebuilding food index:', error);
+        throw error;
+    }
+}
+
 /**
  * Add or update food in history
- * Called when a meal is added
+ * Called when a meal is added or edited (the edited meal replaces its previous use)
  * @param {string} userId - User ID
- * @param {Object} foodData - {name, calories, protein, carbs, fat}
+ * @param {Object} foodData - {name, calories, protein, carbs, fat, fiber?, sugar?, saturatedFat?, sodium?}
+ * @param {Object|null} previousData - Meal before the edit, null for a new meal
  * @returns {Promise<void>}
  */
-async function updateFoodHistory(userId, foodData) {
+async function updateFoodHistory(userId, foodData, previousData = null) {
     try {
+        if (previousData) {
+            await removeFoodHistoryUse(userId, previousData);
+        }
+
         const historyRef = db.collection('users').doc(userId).collection('foodHistory');
 
-        // Check if food already exists in history (by name)
+        // Check if food already exists in history (by name - older entries have random IDs)
+        const nameLower = foodData.name.trim().toLowerCase();
         const existing = await historyRef
-            .where('nameLower', '==', foodData.name.toLowerCase())
+            .where('nameLower', '==', nameLower)
+            .limit(1)
             .get();
 
+        const entry = {
+            ...mergeFoodIndexEntry(existing.empty ? null : existing.docs[0].data(), foodData),
+            lastUsed: firebase.firestore.FieldValue.serverTimestamp()
+        };
+
         if (!existing.empty) {
-            // Update existing entry
-            const docId = existing.docs[0].id;
-            await historyRef.doc(docId).update({
-                ...foodData,
-                nameLower: foodData.name.toLowerCase(),
-                lastUsed: firebase.firestore.FieldValue.serverTimestamp(),
-                useCount: firebase.firestore.FieldValue.increment(1)
-            });
+            await existing.docs[0].ref.set(entry);
         } else {
-            // Add new entry
-            await historyRef.add({
-                ...foodData,
-                nameLower: foodData.name.toLowerCase(),
-                lastUsed: firebase.firestore.FieldValue.serverTimestamp(),
-                useCount: 1
-            });
-
-            // Clean up old history entries (keep only 10)
-            await cleanupFoodHistory(userId);
+            await historyRef.doc(getFoodIndexDocId(nameLower)).set(entry);
         }
     } catch (error) {
         console.error('Error updating food history:', error);
@@ -834,33 +1643,417 @@ async function updateFoodHistory(userId, foodData) {
 }
 
 /**
- * Clean up food history to keep only 10 entries
+ * Remove one use of a food from history
+ * Called when a meal is deleted or edited, so counts and averages follow the logged meals
  * @param {string} userId - User ID
+ * @param {Object} foodData - Removed meal {name, calories, protein, carbs, fat}
+ * @returns {Promise<void>}
  */
-async function cleanupFoodHistory(userId) {
+async function removeFoodHistoryUse(userId, foodData) {
     try {
-        const historyRef = db.collection('users').doc(userId).collection('foodHistory');
-        const snapshot = await historyRef.orderBy('lastUsed', 'desc').get();
+        if (!foodData.name || !foodData.name.trim()) return;
 
-        if (snapshot.size > 10) {
-            const toDelete = [];
-            let count = 0;
-            snapshot.forEach(doc => {
-                count++;
-                if (count > 10) {
-                    toDelete.push(doc.ref);
-                }
-            });
+        const existing = await db.collection('users').doc(userId).collection('foodHistory')
+            .where('nameLower', '==', foodData.name.trim().toLowerCase())
+            .limit(1)
+            .get();
+        if (existing.empty) return;
+
+        const entry = unmergeFoodIndexEntry(existing.docs[0].data(), foodData);
+        if (entry) {
+            await existing.docs[0].ref.set(entry);
+        } else {
+            await existing.docs[0].ref.delete();
+        }
+    } catch (error) {
+        console.error('Error removing food history use:', error);
+        // Non-critical - don't throw
+    }
+}
+
+// ==================== AI CORRECTIONS ====================
+
+// User corrections of AI estimates - few-shot examples for next analyses
+const MAX_CORRECTIONS = 50;
+
+/**
+ * Get user's corrections of AI estimates
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} Corrections {input, source, original, corrected, createdAt (ms)}, newest first
+ */
+async function getCorrections(userId) {
+    try {
+        const snapshot = await db.collection('users').doc(userId).collection('corrections')
+            .orderBy('createdAt', 'desc')
+            .limit(MAX_CORRECTIONS)
+            .get();
+
+        return snapshotToArray(snapshot).map(correction => ({
+            ...correction,
+            createdAt: correction.createdAt ? correction.createdAt.toMillis() : Date.now()
+        }));
+    } catch (error) {
+        console.error('Error fetching corrections:', error);
+        return [];
+    }
+}
 
-            // Delete in batch
+/**
+ * Save correction of an AI estimate (keeps only the newest MAX_CORRECTIONS)
+ * @param {string} userId - User ID
+ * @param {Object} correction - {input, source: 'text' | 'image' | 'audio', original, corrected}
+ * @returns {Promise<string>} Document ID
+ */
+async function addCorrection(userId, correction) {
+    try {
+        const correctionsRef = db.collection('users').doc(userId).collection('corrections');
+        const docRef = await correctionsRef.add({
+            ...correction,
+            createdAt: firebase.firestore.FieldValue.serverTimestamp()
+        });
+
+        const snapshot = await correctionsRef.orderBy('createdAt', 'desc').get();
+        if (snapshot.size > MAX_CORRECTIONS) {
             const batch = db.batch();
-            toDelete.forEach(ref => batch.delete(ref));
+            snapshot.docs.slice(MAX_CORRECTIONS).forEach(doc => batch.delete(doc.ref));
             await batch.commit();
+        }
+
+        console.log('✅ Correction saved:', correction.original.name);
+        return docRef.id;
+    } catch (error) {
+        console.error('Error saving correction:', error);
+        throw error;
+    }
+}
+
+// ==================== WEIGHT LOG ====================
+
+// Exponential moving average smoothing per day (10% of the difference from trend)
+// Smooths out day-to-day water weight swings
+const WEIGHT_TREND_ALPHA = 0.1;
+
+/**
+ * Save weight entry (one entry per day, later entry overwrites)
+ * @param {string} userId - User ID
+ * @param {string} dateString - Date string (YYYY-MM-DD)
+ * @param {number} weight - Weight in kg
+ * @returns {Promise<void>}
+ */
+async function addWeightEntry(userId, dateString, weight) {
+    try {
+        await db.collection('users').doc(userId).collection('weightLog').doc(dateString).set({
+            date: dateString,
+            weight,
+            updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+        });
+        console.log('✅ Weight logged:', weight, 'kg for date:', dateString);
+    } catch (error) {
+        console.error('Error logging weight:', error);
+        throw error;
+    }
+}
+
+/**
+ * Delete weight entry
+ * @param {string} userId - User ID
+ * @param {string} dateString - Date string (YYYY-MM-DD)
+ * @returns {Promise<void>}
+ */
+async function deleteWeightEntry(userId, dateString) {
+    try {
+        await db.collection('users').doc(userId).collection('weightLog').doc(dateString).delete();
+        console.log('✅ Weight entry deleted for date:', dateString);
+    } catch (error) {
+        console.error('Error deleting weight entry:', error);
+        throw error;
+    }
+}
+
+/**
+ * Get weight entries sorted by date
+ * @param {string} userId - User ID
+ * @param {string} sinceDateString - First date to include (YYYY-MM-DD), null = whole log
+ * @returns {Promise<Array>} Array of {date, weight}
+ */
+async function getWeightLog(userId, sinceDateString = null) {
+    try {
+        let query = db.collection('users').doc(userId).collection('weightLog');
+        if (sinceDateString) {
+            query = query.where('date', '>=', sinceDateString);
+        }
+        const snapshot = await query.orderBy('date').get();
+        return snapshotToArray(snapshot);
+    } catch (error) {
+        console.error('Error getting weight log:', error);
+        return [];
+    }
+}
 
-            console.log(`✅ Cleaned up ${toDelete.length} old history entries`);
+/**
+ * Add smoothed trend (exponential moving average) to weight entries
+ * Days without entry count too - after a gap the trend moves further towards the new weight
+ * @param {Array} entries - Weight entries sorted by date
+ * @returns {Array} Entries with trend field (kg, rounded to 0.1)
+ */
+function calculateWeightTrend(entries) {
+    let trend = null;
+    let previousDate = null;
+
+    return entries.map(entry => {
+        const date = new Date(entry.date);
+        if (trend === null) {
+            trend = entry.weight;
+        } else {
+            const days = Math.max(1, Math.round((date - previousDate) / 86400000));
+            const alpha = 1 - Math.pow(1 - WEIGHT_TREND_ALPHA, days);
+            trend += alpha * (entry.weight - trend);
+        }
+        previousDate = date;
+
+        return { ...entry, trend: Math.round(trend * 10) / 10 };
+    });
+}
+
+/**
+ * Update profile weight and recalculate daily goals
+ * @param {string} userId - User ID
+ * @param {number} weight - Weight in kg (latest trend value)
+ * @returns {Promise<Object|null>} New daily goals or null if user has no profile yet
+ */
+async function updateProfileWeight(userId, weight) {
+    try {
+        const profile = await getUserProfile(userId);
+        if (!profile) return null;
+
+        const { dailyGoals, updatedAt, ...profileData } = profile;
+        return await saveUserProfile(userId, { ...profileData, weight });
+    } catch (error) {
+        console.error('Error updating profile weight:', error);
+        throw error;
+    }
+}
+
+// ==================== CUSTOM FOODS ====================
+
+/**
+ * Add or update custom food (by name, case-insensitive)
+ * @param {string} userId - User ID
+ * @param {Object} foodData - {name, brand, per100g, servingGrams, packageGrams, units?, source}
+ * @returns {Promise<string>} Document ID
+ */
+async function addCustomFood(userId, foodData) {
+    try {
+        const customFoodsRef = db.collection('users').doc(userId).collection('customFoods');
+        const nameLower = foodData.name.toLowerCase();
+
+        const existing = await customFoodsRef
+            .where('nameLower', '==', nameLower)
+            .limit(1)
+            .get();
+
+        if (!existing.empty) {
+            const docId = existing.docs[0].id;
+            await customFoodsRef.doc(docId).update({
+                ...foodData,
+                nameLower,
+                updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+            });
+            console.log('✅ Custom food updated:', docId);
+            return docId;
+        }
+
+        const docRef = await customFoodsRef.add({
+            ...foodData,
+            nameLower,
+            createdAt: firebase.firestore.FieldValue.serverTimestamp()
+        });
+
+        console.log('✅ Custom food added:', docRef.id);
+        return docRef.id;
+    } catch (error) {
+        console.error('Error adding custom food:', error);
+        throw error;
+    }
+}
+
+/**
+ * Get all custom foods sorted by name
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} Array of custom foods
+ */
+async function getCustomFoods(userId) {
+    try {
+        const snapshot = await db.collection('users').doc(userId).collection('customFoods')
+            .orderBy('nameLower')
+            .get();
+
+        return snapshotToArray(snapshot);
+    } catch (error) {
+        console.error('Error getting custom foods:', error);
+        return [];
+    }
+}
+
+/**
+ * Update custom food
+ * @param {string} userId - User ID
+ * @param {string} foodId - Custom food document ID
+ * @param {Object} foodData - {name, brand, per100g, servingGrams, units}
+ */
+async function updateCustomFood(userId, foodId, foodData) {
+    try {
+        await db.collection('users').doc(userId).collection('customFoods').doc(foodId).update({
+            ...foodData,
+            nameLower: foodData.name.toLowerCase(),
+            updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+        });
+        console.log('✅ Custom food updated:', foodId);
+    } catch (error) {
+        console.error('Error updating custom food:', error);
+        throw error;
+    }
+}
+
+/**
+ * Delete custom food
+ * @param {string} userId - User ID
+ * @param {string} foodId - Custom food document ID
+ */
+async function deleteCustomFood(userId, foodId) {
+    try {
+        await db.collection('users').doc(userId).collection('customFoods').doc(foodId).delete();
+        console.log('✅ Custom food deleted:', foodId);
+    } catch (error) {
+        console.error('Error deleting custom food:', error);
+        throw error;
+    }
+}
+
+// ==================== RECIPES ====================
+
+/**
+ * Get all recipes sorted by name
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} Array of recipes
+ */
+async function getRecipes(userId) {
+    try {
+        const snapshot = await db.collection('users').doc(userId).collection('recipes')
+            .orderBy('nameLower')
+            .get();
+
+        return snapshotToArray(snapshot);
+    } catch (error) {
+        console.error('Error getting recipes:', error);
+        return [];
+    }
+}
+
+/**
+ * Add recipe
+ * @param {string} userId - User ID
+ * @param {Object} recipeData - {name, ingredients, cookedGrams, servings}
+ * @returns {Promise<string>} Document ID
+ */
+async function addRecipe(userId, recipeData) {
+    try {
+        const docRef = await db.collection('users').doc(userId).collection('recipes').add({
+            ...recipeData,
+            nameLower: recipeData.name.toLowerCase(),
+            createdAt: firebase.firestore.FieldValue.serverTimestamp()
+        });
+
+        console.log('✅ Recipe added:', docRef.id);
+        return docRef.id;
+    } catch (error) {
+        console.error('Error adding recipe:', error);
+        throw error;
+    }
+}
+
+/**
+ * Update recipe
+ * @param {string} userId - User ID
+ * @param {string} recipeId - Recipe document ID
+ * @param {Object} recipeData - {name, ingredients, cookedGrams, servings}
+ */
+async function updateRecipe(userId, recipeId, recipeData) {
+    try {
+        await db.collection('users').doc(userId).collection('recipes').doc(recipeId).update({
+            ...recipeData,
+            nameLower: recipeData.name.toLowerCase(),
+            updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+        });
+        console.log('✅ Recipe updated:', recipeId);
+    } catch (error) {
+        console.error('Error updating recipe:', error);
+        throw error;
+    }
+}
+
+/**
+ * Delete recipe
+ * @param {string} userId - User ID
+ * @param {string} recipeId - Recipe document ID
+ */
+async function deleteRecipe(userId, recipeId) {
+    try {
+        await db.collection('users').doc(userId).collection('recipes').doc(recipeId).delete();
+        console.log('✅ Recipe deleted:', recipeId);
+    } catch (error) {
+        console.error('Error deleting recipe:', error);
+        throw error;
+    }
+}
+
+// ==================== PRODUCT DATABASE ====================
+
+// Firestore batch allows max 500 writes
+const PRODUCT_BATCH_SIZE = 400;
+
+/**
+ * Get product by barcode from user's product database
+ * @param {string} userId - User ID
+ * @param {string} barcode - Barcode digits (document ID)
+ * @returns {Promise<Object|null>} Product {barcode, name, brand, per100g, servingGrams} or null
+ */
+async function getProductFromFirestore(userId, barcode) {
+    try {
+        const doc = await db.collection('users').doc(userId).collection('products').doc(barcode).get();
+        return doc.exists ? doc.data() : null;
+    } catch (error) {
+        console.error('Error fetching product:', error);
+        return null;
+    }
+}
+
+/**
+ * Save products to user's product database (overwrites by barcode)
+ * @param {string} userId - User ID
+ * @param {Array} products - Products {barcode, name, brand, per100g, servingGrams}
+ * @returns {Promise<number>} Number of saved products
+ */
+async function saveProductsToFirestore(userId, products) {
+    try {
+        const productsRef = db.collection('users').doc(userId).collection('products');
+
+        for (let i = 0; i < products.length; i += PRODUCT_BATCH_SIZE) {
+            const batch = db.batch();
+            products.slice(i, i + PRODUCT_BATCH_SIZE).forEach(product => {
+                batch.set(productsRef.doc(product.barcode), {
+                    ...product,
+                    importedAt: firebase.firestore.FieldValue.serverTimestamp()
+                });
+            });
+            await batch.commit();
         }
+
+        console.log(`✅ Saved ${products.length} products`);
+        return products.length;
     } catch (error) {
-        console.error('Error cleaning up food history:', error);
+        console.error('Error saving products:', error);
+        throw error;
     }
 }
 
@@ -890,3 +2083,18 @@ async function initializeNewUser(userId, email) {
         console.error('Error initializing user:', error);
     }
 }
+
+// Export pure calculations for Node tests (browser uses the globals above)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        calculateMacroTargets,
+        calculateDailyGoalsFromProfile,
+        mergeFoodIndexEntry,
+        unmergeFoodIndexEntry,
+        calculateWeightTrend,
+        estimateAdaptiveTdee,
+        calculateDayTargets,
+        getGoalsForDate,
+        calculateWeeklyBudget
+    };
+}
@@ -13,7 +13,10 @@ class AIService {
     static CAPABILITY_MAP = {
         'text': 'text',
         'image': 'images',
-        'audio': 'audio'
+        'label': 'images',
+        'audio': 'audio',
+        'exercise': 'text',
+        'exercise-audio': 'audio'
     };
 
     constructor() {
@@ -21,6 +24,7 @@ class AIService {
         this.config = null;
         this.defaultProvider = null;
         this.userData = null;
+        this.corrections = [];
     }
 
     /**
@@ -32,6 +36,14 @@ class AIService {
         console.log('✅ AIService: UserData nastavena pro personalizaci promptů');
     }
 
+    /**
+     * Nastaví opravy dřívějších odhadů uživatelem (příklady v promptech)
+     * @param {Array<Object>} corrections - Opravy { input, original, corrected }, nejnovější první
+     */
+    setCorrections(corrections) {
+        this.corrections = corrections || [];
+    }
+
     /**
      * Inicializuje AI službu s konfigurací z Firestore
      * @param {Object} aiConfig - Kompletní konfigurace AI providerů
@@ -70,7 +82,7 @@ class AIService {
      * @returns {Promise<Object>} Výživové údaje
      */
     async analyzeText(foodDescription, preferredProvider = null, abortController = null) {
-        const prompt = NutritionParser.createFoodAnalysisPrompt(foodDescription, this.userData);
+        const prompt = NutritionParser.createFoodAnalysisPrompt(foodDescription, this.userData, this.corrections);
         return await this._analyzeWithFallback('text', prompt, null, preferredProvider, abortController);
     }
 
@@ -83,10 +95,23 @@ class AIService {
      * @returns {Promise<Object>} Výživové údaje
      */
     async analyzeImage(imageBase64, additionalContext = '', preferredProvider = null, abortController = null) {
-        const prompt = NutritionParser.createImageAnalysisPrompt(additionalContext, this.userData);
+        const prompt = NutritionParser.createImageAnalysisPrompt(additionalContext, this.userData, this.corrections);
         return await this._analyzeWithFallback('image', prompt, imageBase64, preferredProvider, abortController);
     }
 
+    /**
+     * Přečte nutriční tabulku z fotky obalu
+     * @param {string} imageBase64 - Base64 obrázek etikety
+     * @param {string} additionalContext - Dodatečný kontext (optional)
+     * @param {string} preferredProvider - Preferovaný provider (optional)
+     * @param {AbortController} abortController - Pro zrušení požadavku (optional)
+     * @returns {Promise<Object>} Produkt s hodnotami na 100 g (name, brand, per100g, servingGrams, packageGrams)
+     */
+    async analyzeLabel(imageBase64, additionalContext = '', preferredProvider = null, abortController = null) {
+        const prompt = NutritionParser.createLabelAnalysisPrompt(additionalContext);
+        return await this._analyzeWithFallback('label', prompt, imageBase64, preferredProvider, abortController);
+    }
+
     /**
      * Analyzuje audio
      * @param {string} audioBase64 - Base64 audio
@@ -99,6 +124,30 @@ class AIService {
         return await this._analyzeWithFallback('audio', prompt, audioBase64, preferredProvider, abortController);
     }
 
+    /**
+     * Odhadne pohybovou aktivitu z textového popisu
+     * @param {string} description - Popis aktivity
+     * @param {string} preferredProvider - Preferovaný provider (optional)
+     * @param {AbortController} abortController - Pro zrušení požadavku (optional)
+     * @returns {Promise<Object>} Aktivita { name, minutes, met }
+     */
+    async analyzeExercise(description, preferredProvider = null, abortController = null) {
+        const prompt = NutritionParser.createExerciseAnalysisPrompt(description);
+        return await this._analyzeWithFallback('exercise', prompt, null, preferredProvider, abortController);
+    }
+
+    /**
+     * Odhadne pohybovou aktivitu z hlasového popisu
+     * @param {string} audioBase64 - Base64 audio
+     * @param {string} preferredProvider - Preferovaný provider (optional)
+     * @param {AbortController} abortController - Pro zrušení požadavku (optional)
+     * @returns {Promise<Object>} Aktivita { name, minutes, met }
+     */
+    async analyzeExerciseAudio(audioBase64, preferredProvider = null, abortController = null) {
+        const prompt = NutritionParser.createExerciseAnalysisPrompt();
+        return await this._analyzeWithFallback('exercise-audio', prompt, audioBase64, preferredProvider, abortController);
+    }
+
     /**
      * Interní metoda pro analýzu s fallback logikou
      * @private
@@ -148,32 +197,15 @@ class AIService {
         try {
             console.log(`🔄 AIService: Analyzing ${analysisType} with ${provider.getName()}`);
 
-            let aiResponse;
-            switch (analysisType) {
-                case 'text':
-                    aiResponse = await provider.analyzeText(prompt, abortController);
-                    break;
-                case 'image':
-                    aiResponse = await provider.analyzeImage(prompt, mediaData, abortController);
-                    break;
-                case 'audio':
-                    aiResponse = await provider.analyzeAudio(prompt, mediaData, abortController);
-                    break;
-                default:
-                    throw new Error(`Nepodporovaný typ analýzy: ${analysisType}`);
-            }
+            const aiResponse = await this._callProvider(provider, analysisType, prompt, mediaData, abortController);
 
             // Kontrola zrušení po analýze
             if (abortController?.signal.aborted) {
                 throw new DOMException('Request aborted', 'AbortError');
             }
 
-            // Parsuj odpověď
-            const nutritionData = NutritionParser.parse(aiResponse);
-
-            if (!nutritionData) {
-                throw new Error('Nepodařilo se parsovat odpověď AI');
-            }
+            // Parsuj a validuj odpověď podle schématu (včetně kontroly kalorií vs. makra)
+            const nutritionData = await this._parseAndCheck(provider, analysisType, prompt, mediaData, aiResponse, abortController);
 
             console.log(`✅ AIService: Analýza úspěšná`, nutritionData);
             return nutritionData;
@@ -187,7 +219,7 @@ class AIService {
             console.error(`❌ AIService: Chyba při analýze s ${provider.getName()}:`, error);
 
             // Zkus fallback na jiného providera
-            return await this._tryFallbackProvider(analysisType, prompt, mediaData, provider.getName(), abortController);
+            return await this._tryFallbackProvider(analysisType, prompt, mediaData, provider, abortController);
         }
     }
 
@@ -195,7 +227,7 @@ class AIService {
      * Pokus o fallback na jiného providera
      * @private
      */
-    async _tryFallbackProvider(analysisType, prompt, mediaData, failedProviderName, abortController = null) {
+    async _tryFallbackProvider(analysisType, prompt, mediaData, failedProvider, abortController = null) {
         // Kontrola zrušení
         if (abortController?.signal.aborted) {
             throw new DOMException('Request aborted', 'AbortError');
@@ -205,9 +237,11 @@ class AIService {
 
         console.log(`🔄 AIService: Zkouším fallback pro ${analysisType}`);
 
+        let lastError = null;
+
         // Najdi jiného providera s potřebnou capability
         for (const [name, provider] of this.providers) {
-            if (name === failedProviderName) continue; // Přeskoč selhavšího
+            if (provider === failedProvider) continue; // Přeskoč selhavšího
             if (!provider.getCapabilities()[requiredCapability]) continue;
 
             // Kontrola zrušení před každým pokusem
@@ -218,37 +252,149 @@ class AIService {
             try {
                 console.log(`🔄 AIService: Fallback na ${name}`);
 
-                let aiResponse;
-                switch (analysisType) {
-                    case 'text':
-                        aiResponse = await provider.analyzeText(prompt, abortController);
-                        break;
-                    case 'image':
-                        aiResponse = await provider.analyzeImage(prompt, mediaData, abortController);
-                        break;
-                    case 'audio':
-                        aiResponse = await provider.analyzeAudio(prompt, mediaData, abortController);
-                        break;
-                }
+                const aiResponse = await this._callProvider(provider, analysisType, prompt, mediaData, abortController);
+                const nutritionData = await this._parseAndCheck(provider, analysisType, prompt, mediaData, aiResponse, abortController);
 
-                const nutritionData = NutritionParser.parse(aiResponse);
-
-                if (nutritionData) {
-                    console.log(`✅ AIService: Fallback úspěšný s ${name}`);
-                    return nutritionData;
-                }
+                console.log(`✅ AIService: Fallback úspěšný s ${name}`);
+                return nutritionData;
 
             } catch (error) {
                 // Propaguj AbortError
                 if (error.name === 'AbortError') {
                     throw error;
                 }
+                lastError = error;
                 console.warn(`⚠️ AIService: Fallback s ${name} selhal:`, error.message);
             }
         }
 
         // Všichni provideři selhali
-        throw new Error(`Analýza ${analysisType} selhala u všech dostupných providerů`);
+        const detail = lastError ? ` (${lastError.message})` : '';
+        throw new Error(`Analýza ${analysisType} selhala u všech dostupných providerů${detail}`);
+    }
+
+    /**
+     * Zavolá providera podle typu analýzy
+     * Při zapnutém structured output předá JSON Schema výživových dat
+     * @private
+     */
+    async _callProvider(provider, analysisType, prompt, mediaData, abortController = null) {
+        const fields = analysisType === 'label'
+            ? NutritionSchema.LABEL_FIELDS
+            : analysisType.startsWith('exercise') ? NutritionSchema.EXERCISE_FIELDS : NutritionSchema.FIELDS;
+        const options = this.config?.structuredOutput !== false
+            ? { schema: NutritionSchema.toJSONSchema(fields) }
+            : {};
+
+        switch (analysisType) {
+            case 'text':
+            case 'exercise':
+                return await provider.analyzeText(prompt, abortController, options);
+            case 'image':
+            case 'label':
+                return await provider.analyzeImage(prompt, mediaData, abortController, options);
+            case 'audio':
+            case 'exercise-audio':
+                return await provider.analyzeAudio(prompt, mediaData, abortController, options);
+            default:
+                throw new Error(`Nepodporovaný typ analýzy: ${analysisType}`);
+        }
+    }
+
+    /**
+     * Parsuje odpověď a ověří, že kalorie odpovídají makrům (Atwater 4/4/9)
+     * Režim podle config.consistencyCheck:
+     *   'reconcile' (výchozí) - kalorie se dopočtou z maker
+     *   'reask' - provider dostane jednu šanci odpověď opravit, pak reconcile
+     *   'off' - bez kontroly
+     * Nesoulad zůstává v datech (atwaterMismatch) pro diagnostiku
+     * @private
+     */
+    async _parseAndCheck(provider, analysisType, prompt, mediaData, aiResponse, abortController = null) {
+        // Etiketa se opisuje, ne odhaduje - kontrola maker se neprovádí
+        if (analysisType === 'label') {
+            return this._parseLabelResponse(aiResponse);
+        }
+
+        // Aktivita nemá makra ke kontrole
+        if (analysisType.startsWith('exercise')) {
+            return this._parseExerciseResponse(aiResponse);
+        }
+
+        const mode = this.config?.consistencyCheck || 'reconcile';
+
+        if (mode !== 'reask') {
+            return this._parseResponse(aiResponse, mode);
+        }
+
+        const data = this._parseResponse(aiResponse, 'detect');
+        if (!data.atwaterMismatch) {
+            return data;
+        }
+
+        try {
+            console.log(`🔄 AIService: Žádám ${provider.getName()} o opravu nekonzistentní odpovědi`);
+            const correctionPrompt = NutritionParser.createCorrectionPrompt(prompt, data, data.atwaterMismatch);
+            const correctedResponse = await this._callProvider(provider, analysisType, correctionPrompt, mediaData, abortController);
+            const corrected = this._parseResponse(correctedResponse, 'detect');
+
+            if (!corrected.atwaterMismatch) {
+                console.log('✅ AIService: Opravená odpověď je konzistentní');
+                return { ...corrected, atwaterMismatch: { ...data.atwaterMismatch, action: 'reasked' } };
+            }
+
+            // Ani oprava nesedí - dopočti kalorie z opravených maker
+            return NutritionParser.reconcile(corrected);
+
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw error;
+            }
+            console.warn('⚠️ AIService: Oprava odpovědi selhala, dopočítávám kalorie z maker:', error.message);
+            return NutritionParser.reconcile(data);
+        }
+    }
+
+    /**
+     * Parsuje odpověď AI, při selhání vyhodí chybu s názvem neplatného pole
+     * @private
+     */
+    _parseResponse(aiResponse, consistency = 'reconcile') {
+        const { data, errors } = NutritionParser.parseDetailed(aiResponse, consistency);
+
+        if (!data) {
+            throw new Error(`Nepodařilo se parsovat odpověď AI: ${NutritionSchema.formatErrors(errors)}`);
+        }
+
+        return data;
+    }
+
+    /**
+     * Parsuje odpověď AI na fotku etikety, při selhání vyhodí chybu s názvem neplatného pole
+     * @private
+     */
+    _parseLabelResponse(aiResponse) {
+        const { data, errors } = NutritionParser.parseLabelDetailed(aiResponse);
+
+        if (!data) {
+            throw new Error(`Nepodařilo se přečíst nutriční tabulku: ${NutritionSchema.formatErrors(errors)}`);
+        }
+
+        return data;
+    }
+
+    /**
+     * Parsuje odpověď AI na popis aktivity, při selhání vyhodí chybu s názvem neplatného pole
+     * @private
+     */
+    _parseExerciseResponse(aiResponse) {
+        const { data, errors } = NutritionParser.parseExerciseDetailed(aiResponse);
+
+        if (!data) {
+            throw new Error(`Nepodařilo se rozpoznat aktivitu: ${NutritionSchema.formatErrors(errors)}`);
+        }
+
+        return data;
     }
 
     /**
@@ -291,6 +437,7 @@ class AIService {
                 name: name,
                 displayName: provider.getName(),
                 capabilities: provider.getCapabilities(),
+                isLocal: provider.isLocal(),
                 isDefault: this.defaultProvider === provider
             });
         }
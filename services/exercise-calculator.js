@@ -0,0 +1,102 @@
+// =====================================
+// EXERCISE CALCULATOR
+// =====================================
+// Odhad energetického výdeje pohybových aktivit z MET hodnot
+// MET podle Compendium of Physical Activities (Ainsworth 2011)
+
+/**
+ * ExerciseCalculator utility třída
+ * Aktivita: { name, activity?, minutes, met, calories, source: 'met' | 'ai' }
+ */
+class ExerciseCalculator {
+    // Nabídka aktivit pro ruční zápis (klíč → název, MET)
+    static ACTIVITIES = {
+        'walking': { name: 'Chůze (5 km/h)', met: 3.5 },
+        'walking-brisk': { name: 'Rychlá chůze (6 km/h)', met: 4.3 },
+        'hiking': { name: 'Turistika', met: 6.0 },
+        'running-8': { name: 'Běh 8 km/h', met: 8.3 },
+        'running-10': { name: 'Běh 10 km/h', met: 9.8 },
+        'running-12': { name: 'Běh 12 km/h', met: 11.8 },
+        'cycling-leisure': { name: 'Kolo - rekreačně (do 16 km/h)', met: 4.0 },
+        'cycling-moderate': { name: 'Kolo - středně (16-19 km/h)', met: 6.8 },
+        'cycling-fast': { name: 'Kolo - rychle (20-22 km/h)', met: 8.0 },
+        'swimming-moderate': { name: 'Plavání - volným tempem', met: 5.8 },
+        'swimming-vigorous': { name: 'Plavání - intenzivně', met: 9.8 },
+        'strength': { name: 'Posilovna', met: 3.5 },
+        'strength-vigorous': { name: 'Posilování - intenzivně', met: 6.0 },
+        'hiit': { name: 'Kruhový trénink / HIIT', met: 8.0 },
+        'rowing': { name: 'Veslovací trenažér', met: 7.0 },
+        'elliptical': { name: 'Eliptický trenažér', met: 5.0 },
+        'yoga': { name: 'Jóga', met: 2.5 },
+        'dancing': { name: 'Tanec', met: 5.0 },
+        'tennis': { name: 'Tenis', met: 7.3 },
+        'football': { name: 'Fotbal', met: 7.0 },
+        'skiing': { name: 'Běžky', met: 9.0 },
+        'inline': { name: 'Inline bruslení', met: 7.5 }
+    };
+
+    /**
+     * Odhadne kalorie spálené aktivitou nad klidový výdej
+     * Klidový výdej (1 MET) už je v TDEE, proto se počítá jen (MET - 1)
+     * @param {number} met - MET hodnota aktivity
+     * @param {number} minutes - Doba trvání
+     * @param {number} weight - Váha uživatele v kg
+     * @returns {number} Kalorie (kcal), 0 pro chybějící, záporné nebo nečíselné vstupy
+     */
+    static estimateCalories(met, minutes, weight) {
+        [met, minutes, weight] = [met, minutes, weight].map(Number);
+        if (![met, minutes, weight].every(value => Number.isFinite(value) && value > 0)) return 0;
+        return Math.round(Math.max(0, met - 1) * weight * minutes / 60);
+    }
+
+    /**
+     * Vytvoří záznam aktivity z nabídky
+     * @param {string} activity - Klíč aktivity z ACTIVITIES
+     * @param {number} minutes - Doba trvání
+     * @param {number} weight - Váha uživatele v kg
+     * @returns {Object|null} Aktivita nebo null pro neznámý klíč
+     */
+    static fromActivity(activity, minutes, weight) {
+        const definition = this.ACTIVITIES[activity];
+        if (!definition) return null;
+
+        return {
+            name: definition.name,
+            activity,
+            minutes,
+            met: definition.met,
+            calories: this.estimateCalories(definition.met, minutes, weight),
+            source: 'met'
+        };
+    }
+
+    /**
+     * Vytvoří záznam aktivity z AI odhadu
+     * @param {Object} analysis - Výsledek AI analýzy { name, minutes, met }
+     * @param {number} weight - Váha uživatele v kg
+     * @returns {Object} Aktivita
+     */
+    static fromAnalysis(analysis, weight) {
+        return {
+            name: analysis.name,
+            minutes: analysis.minutes,
+            met: analysis.met,
+            calories: this.estimateCalories(analysis.met, analysis.minutes, weight),
+            source: 'ai'
+        };
+    }
+
+    /**
+     * Sečte kalorie aktivit
+     * @param {Array<Object>} exercises - Aktivity
+     * @returns {number} Kalorie (kcal)
+     */
+    static getTotalCalories(exercises) {
+        return exercises.reduce((sum, exercise) => sum + (Number(exercise.calories) || 0), 0);
+    }
+}
+
+// Export pro použití v ostatních modulech
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ExerciseCalculator;
+}
@@ -0,0 +1,162 @@
+// =====================================
+// FOOD SEARCH
+// =====================================
+// Vyhledávání v historii jídel (a ostatních seznamech potravin)
+// Prefixové i přibližné hledání bez diakritiky, řazení podle četnosti a toho, kdy bylo jídlo naposledy
+
+/**
+ * FoodSearch utility třída
+ * Záznam: { name, useCount?, lastUsed? (ms) } - ostatní pole se jen předávají dál
+ */
+class FoodSearch {
+    // Skóre shody (vyšší = lepší)
+    static MATCH_SCORES = {
+        prefix: 4,      // Název začíná dotazem ("rohl" → "Rohlík s máslem")
+        wordPrefix: 3,  // Každé slovo dotazu začíná některé slovo názvu ("s másl" → "Rohlík s máslem")
+        substring: 2,   // Dotaz je uvnitř názvu
+        fuzzy: 1        // Překlepy ("rohlik s maslme")
+    };
+
+    // Polovina váhy "naposledy" po 30 dnech
+    static RECENCY_HALF_LIFE_DAYS = 30;
+
+    /**
+     * Normalizuje text pro porovnání (malá písmena, bez diakritiky)
+     * @param {string} text - Text
+     * @returns {string}
+     */
+    static normalize(text) {
+        return String(text || '')
+            .toLowerCase()
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .trim();
+    }
+
+    /**
+     * Oblíbenost záznamu - četnost (logaritmicky) a jak nedávno bylo jídlo
+     * @param {Object} entry - Záznam { useCount?, lastUsed? }
+     * @param {number} now - Aktuální čas v ms
+     * @returns {number}
+     */
+    static getPopularity(entry, now = Date.now()) {
+        const frequency = Math.log2(1 + (entry.useCount || 0));
+        if (!entry.lastUsed) return frequency;
+
+        const days = Math.max(0, (now - entry.lastUsed) / 86400000);
+        const recency = 2 * Math.pow(0.5, days / this.RECENCY_HALF_LIFE_DAYS);
+        return frequency + recency;
+    }
+
+    /**
+     * Seřadí záznamy podle oblíbenosti (bez hledání)
+     * @param {Array<Object>} entries - Záznamy
+     * @returns {Array<Object>} Nové seřazené pole
+     */
+    static rank(entries) {
+        const now = Date.now();
+        return entries
+            .map(entry => ({ entry, popularity: this.getPopularity(entry, now) }))
+            .sort((a, b) => b.popularity - a.popularity)
+            .map(({ entry }) => entry);
+    }
+
+    /**
+     * Vyhledá záznamy podle dotazu, nejlepší shoda a nejoblíbenější jídla první
+     * @param {Array<Object>} entries - Záznamy
+     * @param {string} query - Hledaný text
+     * @param {number|null} limit - Maximální počet výsledků (null = všechny)
+     * @returns {Array<Object>} Nalezené záznamy
+     */
+    static search(entries, query, limit = null) {
+        const normalizedQuery = this.normalize(query);
+        if (!normalizedQuery) {
+            return limit ? this.rank(entries).slice(0, limit) : this.rank(entries);
+        }
+
+        const queryWords = normalizedQuery.split(/\s+/);
+        const now = Date.now();
+
+        const results = [];
+        for (const entry of entries) {
+            const match = this._getMatchScore(this.normalize(entry.name), normalizedQuery, queryWords);
+            if (match === 0) continue;
+
+            // Shoda rozhoduje, oblíbenost řadí v rámci podobných shod
+            results.push({ entry, score: match * 2 + this.getPopularity(entry, now) });
+        }
+
+        results.sort((a, b) => b.score - a.score);
+        const found = results.map(({ entry }) => entry);
+        return limit ? found.slice(0, limit) : found;
+    }
+
+    /**
+     * Skóre shody názvu s dotazem (0 = neshoduje se)
+     * @param {string} name - Normalizovaný název
+     * @param {string} query - Normalizovaný dotaz
+     * @param {Array<string>} queryWords - Slova dotazu
+     * @returns {number}
+     */
+    static _getMatchScore(name, query, queryWords) {
+        if (name.startsWith(query)) return this.MATCH_SCORES.prefix;
+
+        const nameWords = name.split(/[\s,.;()/-]+/).filter(Boolean);
+        if (queryWords.every(word => nameWords.some(nameWord => nameWord.startsWith(word)))) {
+            return this.MATCH_SCORES.wordPrefix;
+        }
+
+        if (name.includes(query)) return this.MATCH_SCORES.substring;
+
+        // Překlepy - každé slovo dotazu se podobá začátku některého slova názvu (krátká slova musí sedět přesně)
+        const fuzzyMatch = queryWords.every(word =>
+            nameWords.some(nameWord => word.length < 3
+                ? nameWord.startsWith(word)
+                : this._levenshtein(word, nameWord.slice(0, word.length)) <= this._getMaxTypos(word) ||
+                  this._levenshtein(word, nameWord.slice(0, word.length + 1)) <= this._getMaxTypos(word)
+            )
+        );
+        return fuzzyMatch ? this.MATCH_SCORES.fuzzy : 0;
+    }
+
+    /**
+     * Povolený počet překlepů podle délky slova
+     * @param {string} word - Slovo dotazu
+     * @returns {number}
+     */
+    static _getMaxTypos(word) {
+        return word.length >= 7 ? 2 : 1;
+    }
+
+    /**
+     * Editační vzdálenost dvou řetězců (prohození sousedních znaků = jeden překlep)
+     * @param {string} a
+     * @param {string} b
+     * @returns {number}
+     */
+    static _levenshtein(a, b) {
+        let beforePrevious = [];
+        let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+
+                if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+                }
+            }
+            beforePrevious = previous;
+            previous = current;
+        }
+
+        return previous[b.length];
+    }
+}
+
+// Export pro použití v ostatních modulech
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FoodSearch;
+}
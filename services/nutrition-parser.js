@@ -9,89 +9,306 @@
  * Podporuje JSON i textový formát
  */
 class NutritionParser {
-    // Required fields for nutrition data
-    static REQUIRED_FIELDS = ['name', 'calories', 'protein', 'carbs', 'fat'];
-
-    // Validation limits
-    static LIMITS = {
-        minCalories: 5,
-        maxCalories: 10000,
-        maxProtein: 500,
-        maxCarbs: 1000,
-        maxFat: 500
-    };
+    // Atwaterovy faktory (kcal na gram)
+    static ATWATER = { protein: 4, carbs: 4, fat: 9, alcohol: 7 };
+
+    // Povolená odchylka kalorií od maker - relativní a minimální absolutní (malá jídla, zaokrouhlení)
+    static ATWATER_TOLERANCE = 0.15;
+    static ATWATER_MIN_DIFFERENCE = 30;
+
     /**
      * Parsuje AI odpověď a extrahuje výživové údaje
      * @param {string} aiResponse - Textová odpověď z AI
      * @returns {Object|null} Výživové údaje nebo null při chybě
      */
     static parse(aiResponse) {
+        return this.parseDetailed(aiResponse).data;
+    }
+
+    /**
+     * Parsuje AI odpověď a při selhání vrací přesný důvod (které pole neprošlo validací)
+     * @param {string} aiResponse - Textová odpověď z AI
+     * @param {string} consistency - Kontrola kalorií vs. makra: 'reconcile' (opravit), 'detect' (jen označit), 'off'
+     * @returns {{data: Object|null, errors: Array<{field: string, message: string}>}}
+     */
+    static parseDetailed(aiResponse, consistency = 'reconcile') {
+        const result = this._parseResponse(aiResponse);
+
+        if (result.data && consistency !== 'off') {
+            const mismatch = this.checkConsistency(result.data);
+            if (mismatch) {
+                console.warn(`⚠️ NutritionParser: Kalorie neodpovídají makrům (${mismatch.reportedCalories} vs. ${mismatch.expectedCalories} kcal)`);
+                result.data.atwaterMismatch = mismatch;
+                if (consistency === 'reconcile') {
+                    result.data = this.reconcile(result.data);
+                }
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Zkontroluje, zda kalorie odpovídají makrům (4/4/9, alkohol 7 kcal/g)
+     * @param {Object} data - Normalizovaná výživová data
+     * @returns {Object|null} Záznam o nesouladu nebo null, pokud data sedí
+     */
+    static checkConsistency(data) {
+        const expected = Math.round(
+            data.protein * this.ATWATER.protein +
+            data.carbs * this.ATWATER.carbs +
+            data.fat * this.ATWATER.fat +
+            (data.alcohol || 0) * this.ATWATER.alcohol
+        );
+
+        if (expected <= 0) return null;
+
+        const difference = Math.abs(data.calories - expected);
+        const allowed = Math.max(this.ATWATER_MIN_DIFFERENCE, expected * this.ATWATER_TOLERANCE);
+        if (difference <= allowed) return null;
+
+        return {
+            reportedCalories: data.calories,
+            expectedCalories: expected,
+            deviationPercent: Math.round(((data.calories - expected) / expected) * 100),
+            action: 'detected'
+        };
+    }
+
+    /**
+     * Srovná kalorie s makry - makra jsou spolehlivější než celkový odhad kalorií
+     * Položky a rozsah kalorií se přeškálují ve stejném poměru
+     * @param {Object} data - Výživová data (s atwaterMismatch nebo bez)
+     * @returns {Object} Opravená data se záznamem atwaterMismatch (action: 'reconciled')
+     */
+    static reconcile(data) {
+        const mismatch = data.atwaterMismatch || this.checkConsistency(data);
+        if (!mismatch) return data;
+
+        const ratio = mismatch.expectedCalories / data.calories;
+        const result = { ...data, calories: mismatch.expectedCalories };
+
+        if (result.items) {
+            result.items = result.items.map(item => ({ ...item, calories: Math.round(item.calories * ratio) }));
+        }
+        if (result.caloriesLow !== undefined) {
+            result.caloriesLow = Math.round(result.caloriesLow * ratio);
+            result.caloriesHigh = Math.round(result.caloriesHigh * ratio);
+        }
+
+        result.atwaterMismatch = { ...mismatch, action: 'reconciled' };
+        console.log(`🔄 NutritionParser: Kalorie srovnány s makry: ${mismatch.reportedCalories} → ${mismatch.expectedCalories} kcal`);
+
+        return result;
+    }
+
+    /**
+     * Vytvoří prompt s žádostí o opravu nekonzistentní odpovědi
+     * @param {string} originalPrompt - Původní prompt
+     * @param {Object} data - Nekonzistentní výživová data
+     * @param {Object} mismatch - Záznam z checkConsistency
+     * @returns {string} Prompt pro opakovaný dotaz
+     */
+    static createCorrectionPrompt(originalPrompt, data, mismatch) {
+        const alcoholText = data.alcohol ? ` + alkohol ${data.alcohol} g × 7` : '';
+
+        return `${originalPrompt}
+
+POZOR - tvoje předchozí odpověď byla nekonzistentní:
+uvedl jsi ${mismatch.reportedCalories} kcal, ale z maker (bílkoviny ${data.protein} g × 4 + sacharidy ${data.carbs} g × 4 + tuky ${data.fat} g × 9${alcoholText}) vychází ${mismatch.expectedCalories} kcal.
+Zkontroluj množství, kalorie i makra a vrať opravený JSON, ve kterém si hodnoty odpovídají.`;
+    }
+
+    /**
+     * Parsuje odpověď AI na fotku nutriční tabulky (pouze JSON)
+     * @param {string} aiResponse - Textová odpověď z AI
+     * @returns {{data: Object|null, errors: Array<{field: string, message: string}>}}
+     *          data = produkt { name, brand, per100g, servingGrams, packageGrams }
+     */
+    static parseLabelDetailed(aiResponse) {
+        if (!aiResponse || typeof aiResponse !== 'string') {
+            return { data: null, errors: [{ field: null, message: 'prázdná nebo neplatná odpověď' }] };
+        }
+
+        const parsed = this._extractJSON(aiResponse);
+        if (parsed === null) {
+            return { data: null, errors: [{ field: null, message: 'odpověď neobsahuje JSON' }] };
+        }
+
+        const structureErrors = NutritionSchema.validateStructure(parsed, NutritionSchema.LABEL_FIELDS);
+        if (structureErrors.length > 0) {
+            return { data: null, errors: structureErrors };
+        }
+
+        // Velikost porce a balení nejsou hodnoty na 100 g - patří k produktu (0 = neuvedeno)
+        const sizes = {};
+        const per100g = {};
+        for (const field of NutritionSchema.getNumericFields(NutritionSchema.LABEL_FIELDS)) {
+            const value = parsed[field];
+            if (value === undefined || value === null) continue;
+
+            if (field === 'servingGrams' || field === 'packageGrams') {
+                if (value > 0) sizes[field] = Math.round(value);
+                continue;
+            }
+            // Sodík v mg na celá čísla, ostatní na desetiny (etiketa uvádí např. 0,5 g)
+            per100g[field] = field === 'sodium' ? Math.round(value) : Math.round(value * 10) / 10;
+        }
+
+        const errors = NutritionSchema.validateRanges({ ...per100g, ...sizes }, NutritionSchema.LABEL_FIELDS);
+
+        // Makra na 100 g nemohou dohromady přesáhnout 100 g (malá rezerva na zaokrouhlení etikety)
+        if (per100g.protein + per100g.carbs + per100g.fat > 105) {
+            errors.push({ field: 'protein/carbs/fat', message: 'součet maker přesahuje 100 g na 100 g' });
+        }
+
+        if (errors.length > 0) {
+            console.warn('⚠️ NutritionParser: Invalid label values:', NutritionSchema.formatErrors(errors), per100g);
+            return { data: null, errors };
+        }
+
+        if (per100g.sugar !== undefined) per100g.sugar = Math.min(per100g.sugar, per100g.carbs);
+        if (per100g.saturatedFat !== undefined) per100g.saturatedFat = Math.min(per100g.saturatedFat, per100g.fat);
+
+        const product = {
+            name: String(parsed.name).trim() || 'Produkt',
+            brand: parsed.brand ? String(parsed.brand).trim() : null,
+            per100g,
+            ...sizes
+        };
+
+        console.log('✅ NutritionParser: Parsed nutrition label', product);
+        return { data: product, errors: [] };
+    }
+
+    /**
+     * Parsuje odpověď AI na popis pohybové aktivity (pouze JSON)
+     * @param {string} aiResponse - Textová odpověď z AI
+     * @returns {{data: Object|null, errors: Array<{field: string, message: string}>}}
+     *          data = aktivita { name, minutes, met }
+     */
+    static parseExerciseDetailed(aiResponse) {
+        if (!aiResponse || typeof aiResponse !== 'string') {
+            return { data: null, errors: [{ field: null, message: 'prázdná nebo neplatná odpověď' }] };
+        }
+
+        const parsed = this._extractJSON(aiResponse);
+        if (parsed === null) {
+            return { data: null, errors: [{ field: null, message: 'odpověď neobsahuje JSON' }] };
+        }
+
+        const structureErrors = NutritionSchema.validateStructure(parsed, NutritionSchema.EXERCISE_FIELDS);
+        if (structureErrors.length > 0) {
+            return { data: null, errors: structureErrors };
+        }
+
+        const exercise = {
+            name: String(parsed.name).trim() || 'Aktivita',
+            minutes: Math.round(parsed.minutes),
+            met: Math.round(parsed.met * 10) / 10
+        };
+
+        const errors = NutritionSchema.validateRanges(exercise, NutritionSchema.EXERCISE_FIELDS);
+        if (errors.length > 0) {
+            console.warn('⚠️ NutritionParser: Invalid exercise values:', NutritionSchema.formatErrors(errors), exercise);
+            return { data: null, errors };
+        }
+
+        console.log('✅ NutritionParser: Parsed exercise', exercise);
+        return { data: exercise, errors: [] };
+    }
+
+    /**
+     * Parsuje AI odpověď (JSON nebo text) bez kontroly konzistence
+     * @private
+     */
+    static _parseResponse(aiResponse) {
         if (!aiResponse || typeof aiResponse !== 'string') {
             console.error('❌ NutritionParser: Neplatná odpověď');
-            return null;
+            return { data: null, errors: [{ field: null, message: 'prázdná nebo neplatná odpověď' }] };
         }
 
         try {
             console.log('🔍 NutritionParser: Parsing AI response');
 
-            // Pokus 1: Parsování JSON formátu
-            const jsonResult = this._parseJSON(aiResponse);
-            if (jsonResult) {
-                console.log('✅ NutritionParser: Parsed from JSON');
+            // Pokus 1: JSON (structured output nebo JSON objekt v textu)
+            const parsed = this._extractJSON(aiResponse);
+            if (parsed !== null) {
+                const jsonResult = this._parseJSON(parsed);
+                if (jsonResult.data) {
+                    console.log('✅ NutritionParser: Parsed from JSON');
+                } else {
+                    console.warn('⚠️ NutritionParser: JSON neodpovídá schématu:', NutritionSchema.formatErrors(jsonResult.errors));
+                }
                 return jsonResult;
             }
 
             // Pokus 2: Parsování textového formátu
             const textResult = this._parseText(aiResponse);
-            if (textResult) {
+            if (textResult.data) {
                 console.log('✅ NutritionParser: Parsed from text');
-                return textResult;
+            } else {
+                console.error('❌ NutritionParser: Nepodařilo se parsovat odpověď');
             }
-
-            console.error('❌ NutritionParser: Nepodařilo se parsovat odpověď');
-            return null;
+            return textResult;
 
         } catch (error) {
             console.error('❌ NutritionParser: Parsing error:', error);
             console.error('Original response:', aiResponse);
-            return null;
+            return { data: null, errors: [{ field: null, message: error.message }] };
         }
     }
 
     /**
-     * Parsuje JSON formát z AI odpovědi
+     * Najde a parsuje JSON objekt v AI odpovědi
      * @private
+     * @returns {*} Parsovaná hodnota nebo null
      */
-    static _parseJSON(aiResponse) {
-        try {
-            // Hledání JSON objektu v textu
-            const jsonMatch = aiResponse.match(/\{[\s\S]*\}/);
-            if (!jsonMatch) {
-                return null;
-            }
+    static _extractJSON(aiResponse) {
+        const trimmed = aiResponse.trim();
 
-            const parsed = JSON.parse(jsonMatch[0]);
+        // Structured output - celá odpověď je JSON
+        try {
+            return JSON.parse(trimmed);
+        } catch (error) {
+            // Pokračuj hledáním JSON v textu
+        }
 
-            // Validace struktury
-            if (!this._validateStructure(parsed)) {
-                console.warn('⚠️ NutritionParser: Invalid JSON structure:', parsed);
-                return null;
-            }
+        // JSON obalený textem nebo markdown blokem
+        const jsonMatch = trimmed.match(/\{[\s\S]*\}/);
+        if (!jsonMatch) {
+            return null;
+        }
 
-            // Normalizace dat
-            const result = this._normalizeData(parsed);
+        try {
+            return JSON.parse(jsonMatch[0]);
+        } catch (error) {
+            // Neplatný JSON, zkusí se textový formát
+            return null;
+        }
+    }
 
-            // Validace hodnot
-            if (!this._validateValues(result)) {
-                return null;
-            }
+    /**
+     * Validuje a normalizuje parsovaný JSON podle schématu
+     * @private
+     */
+    static _parseJSON(parsed) {
+        // Validace struktury
+        const structureErrors = NutritionSchema.validateStructure(parsed);
+        if (structureErrors.length > 0) {
+            return { data: null, errors: structureErrors };
+        }
 
-            return result;
+        // Normalizace dat
+        const result = this._normalizeData(parsed);
 
-        } catch (error) {
-            // JSON parsing selhal, zkusí se textový formát
-            return null;
+        // Validace hodnot
+        const valueErrors = this._validateValues(result);
+        if (valueErrors.length > 0) {
+            return { data: null, errors: valueErrors };
         }
+
+        return { data: result, errors: [] };
     }
 
     /**
@@ -107,21 +324,35 @@ class NutritionParser {
                 calories: Math.round(this._extractNumber(lines, /(\d+)\s*(kcal|kalori)/)),
                 protein: Math.round(this._extractNumber(lines, /bílkovin[ya]?:?\s*(\d+)/)),
                 carbs: Math.round(this._extractNumber(lines, /sacharid[yů]?:?\s*(\d+)/)),
-                fat: Math.round(this._extractNumber(lines, /tuk[yů]?:?\s*(\d+)/))
+                fat: Math.round(this._extractNumber(lines, /(?<!nasycené\s)tuk[yů]?:?\s*(\d+)/))
+            };
+
+            // Mikroživiny jsou volitelné - přidají se jen pokud jsou v textu
+            const micronutrientPatterns = {
+                fiber: /vláknin[ay]?:?\s*(\d+)/,
+                sugar: /cukr[yů]?:?\s*(\d+)/,
+                saturatedFat: /nasycen[éý]\s*tuk[yů]?:?\s*(\d+)/,
+                sodium: /sodík[u]?:?\s*(\d+)/
             };
+            for (const [field, pattern] of Object.entries(micronutrientPatterns)) {
+                if (pattern.test(lines)) {
+                    result[field] = this._extractNumber(lines, pattern);
+                }
+            }
 
             console.log('🔍 NutritionParser: Parsed from text:', result);
 
             // Validace hodnot
-            if (!this._validateValues(result)) {
-                return null;
+            const valueErrors = this._validateValues(result);
+            if (valueErrors.length > 0) {
+                return { data: null, errors: valueErrors };
             }
 
-            return result;
+            return { data: result, errors: [] };
 
         } catch (error) {
             console.error('❌ NutritionParser: Text parsing error:', error);
-            return null;
+            return { data: null, errors: [{ field: null, message: error.message }] };
         }
     }
 
@@ -144,68 +375,116 @@ class NutritionParser {
         return match ? parseInt(match[1]) : 0;
     }
 
-    /**
-     * Validuje strukturu parsovaných dat
-     * @private
-     */
-    static _validateStructure(data) {
-        if (!data || typeof data !== 'object') return false;
-
-        // Check all required fields exist
-        const hasAllFields = this.REQUIRED_FIELDS.every(field => field in data);
-        if (!hasAllFields) return false;
-
-        // Check numeric fields are numbers
-        const numericFields = ['calories', 'protein', 'carbs', 'fat'];
-        return numericFields.every(field => typeof data[field] === 'number');
-    }
-
     /**
      * Normalizuje data (zaokrouhlení, type conversion)
      * @private
      */
     static _normalizeData(data) {
-        return {
+        const result = {
             name: String(data.name || "Analyzované jídlo").trim(),
             calories: Math.round(Number(data.calories) || 0),
             protein: Math.round(Number(data.protein) || 0),
             carbs: Math.round(Number(data.carbs) || 0),
             fat: Math.round(Number(data.fat) || 0)
         };
+
+        // Mikroživiny - jen pokud je AI uvedla (chybějící = neznámé, ne nula)
+        for (const field of NutritionSchema.getMicronutrientFields()) {
+            if (data[field] === undefined || data[field] === null) continue;
+            const value = Number(data[field]) || 0;
+            // Sodík v mg na celá čísla, gramy na desetiny (vláknina bývá 2,5 g)
+            result[field] = field === 'sodium' ? Math.round(value) : Math.round(value * 10) / 10;
+        }
+
+        // Cukry jsou součástí sacharidů, nasycené tuky součástí tuků
+        if (result.sugar !== undefined) result.sugar = Math.min(result.sugar, result.carbs);
+        if (result.saturatedFat !== undefined) result.saturatedFat = Math.min(result.saturatedFat, result.fat);
+
+        // Rozpis položek - součty se přepočítají z položek, aby vždy seděly
+        if (Array.isArray(data.items) && data.items.length > 0) {
+            result.items = data.items.map(item => ({
+                name: String(item.name || "Položka").trim(),
+                grams: Math.round(Number(item.grams) || 0),
+                calories: Math.round(Number(item.calories) || 0),
+                protein: Math.round(Number(item.protein) || 0),
+                carbs: Math.round(Number(item.carbs) || 0),
+                fat: Math.round(Number(item.fat) || 0)
+            }));
+            Object.assign(result, this.sumItems(result.items));
+        }
+
+        // Alkohol - jen pro kontrolu kalorií (7 kcal/g), neukládá se samostatně
+        if (data.alcohol) {
+            result.alcohol = Math.round(Number(data.alcohol) || 0);
+        }
+
+        // Objem nápoje - volitelně se započítá do pitného režimu
+        if (data.waterMl) {
+            result.waterMl = Math.round(Number(data.waterMl) || 0);
+        }
+
+        // Jistota odhadu a rozsah kalorií (volitelné)
+        if (data.confidence) {
+            result.confidence = String(data.confidence).toLowerCase();
+        }
+        if (data.caloriesLow !== undefined && data.caloriesLow !== null &&
+            data.caloriesHigh !== undefined && data.caloriesHigh !== null) {
+            // Rozsah musí obsahovat samotný odhad (i po přepočtu z položek)
+            const low = Math.round(Number(data.caloriesLow) || 0);
+            const high = Math.round(Number(data.caloriesHigh) || 0);
+            result.caloriesLow = Math.min(low, high, result.calories);
+            result.caloriesHigh = Math.max(low, high, result.calories);
+        }
+
+        return result;
+    }
+
+    /**
+     * Sečte kalorie a makra položek jídla
+     * @param {Array<Object>} items - Položky (calories, protein, carbs, fat)
+     * @returns {{calories: number, protein: number, carbs: number, fat: number}}
+     */
+    static sumItems(items) {
+        const totals = { calories: 0, protein: 0, carbs: 0, fat: 0 };
+        for (const item of items) {
+            totals.calories += Number(item.calories) || 0;
+            totals.protein += Number(item.protein) || 0;
+            totals.carbs += Number(item.carbs) || 0;
+            totals.fat += Number(item.fat) || 0;
+        }
+
+        return {
+            calories: Math.round(totals.calories),
+            protein: Math.round(totals.protein),
+            carbs: Math.round(totals.carbs),
+            fat: Math.round(totals.fat)
+        };
     }
 
     /**
-     * Validuje hodnoty (rozumné rozsahy)
+     * Validuje hodnoty (rozumné rozsahy podle schématu)
      * @private
+     * @returns {Array<{field: string, message: string}>} Seznam chyb (prázdný = validní)
      */
     static _validateValues(data) {
-        const limits = this.LIMITS;
+        // Nápoj (voda, čaj, černá káva) smí mít nulové kalorie i makra
+        const isDrink = data.waterMl > 0;
 
-        // Minimální kalorie (ignoruje velmi nízké hodnoty)
-        if (data.calories < limits.minCalories) {
-            console.warn('⚠️ NutritionParser: Calories too low, likely not food:', data);
-            return false;
-        }
+        // Rozsahy ze schématu (min. kalorie chrání před "nejídlem", max. před chybami AI)
+        const errors = NutritionSchema.validateRanges(data).filter(error =>
+            !(isDrink && error.field === 'calories' && data.calories < NutritionSchema.FIELDS.calories.min)
+        );
 
         // Všechna makra nesmí být nula
-        if (data.protein === 0 && data.carbs === 0 && data.fat === 0) {
-            console.warn('⚠️ NutritionParser: All macros are zero, likely not food:', data);
-            return false;
+        if (!isDrink && data.protein === 0 && data.carbs === 0 && data.fat === 0) {
+            errors.push({ field: 'protein/carbs/fat', message: 'všechna makra jsou nulová, pravděpodobně nejde o jídlo' });
         }
 
-        // Maximální rozumné hodnoty (ochrana před chybami AI)
-        const exceedsLimits =
-            data.calories > limits.maxCalories ||
-            data.protein > limits.maxProtein ||
-            data.carbs > limits.maxCarbs ||
-            data.fat > limits.maxFat;
-
-        if (exceedsLimits) {
-            console.warn('⚠️ NutritionParser: Values too high, likely error:', data);
-            return false;
+        if (errors.length > 0) {
+            console.warn('⚠️ NutritionParser: Invalid values:', NutritionSchema.formatErrors(errors), data);
         }
 
-        return true;
+        return errors;
     }
 
     /**
@@ -234,6 +513,17 @@ class NutritionParser {
         return Math.max(0.7, Math.min(1.6, multiplier));
     }
 
+    /**
+     * Vrací popis cíle pro prompt (hodnoty cíle: loss-*, maintain, gain-*)
+     * @param {string} goal - Cíl z profilu
+     * @returns {string} Popis cíle
+     */
+    static _getGoalLabel(goal = 'maintain') {
+        if (goal.startsWith('gain')) return 'nabírání';
+        if (goal.startsWith('loss')) return 'hubnutí';
+        return 'udržení';
+    }
+
     /**
      * Vytvoří text s porcemi přizpůsobenými uživateli
      * @param {Object} userData - Uživatelský profil
@@ -249,7 +539,7 @@ class NutritionParser {
         let context = '';
         if (userData) {
             const gender = userData.gender === 'male' ? 'muž' : 'žena';
-            const goal = userData.goal === 'gain' ? 'nabírání' : userData.goal === 'lose' ? 'hubnutí' : 'udržení';
+            const goal = this._getGoalLabel(userData.goal);
             context = `\n(Uživatel: ${gender}, ${userData.weight || '?'}kg, cíl: ${goal})`;
         }
 
@@ -263,27 +553,165 @@ class NutritionParser {
   * Nápoje: standardní sklenice = 250ml`;
     }
 
+    /**
+     * Vytvoří instrukce pro jistotu odhadu a rozsah kalorií
+     * @returns {string} Text instrukcí
+     */
+    static _getConfidenceText() {
+        return `Jistota odhadu:
+- "confidence": "high" pokud je množství jasně dané (gramy, balení), "medium" pro běžný odhad porce, "low" pokud je porce nebo složení nejisté (např. fotka bez měřítka, omáčky, smažené)
+- "caloriesLow" a "caloriesHigh": realistický rozsah kalorií, ve kterém skutečná hodnota s vysokou pravděpodobností leží`;
+    }
+
+    /**
+     * Vytvoří instrukce pro rozpis jídla na položky
+     * @returns {string} Text instrukcí
+     */
+    static _getItemsText() {
+        return `Rozpis na položky:
+- Každou potravinu nebo nápoj uveď jako samostatnou položku v "items" (např. rohlík, máslo, káva s mlékem)
+- U každé položky odhadni hmotnost v gramech a její kalorie a makra
+- "name" je souhrnný název celého jídla, součty (calories, protein, carbs, fat) = součet položek
+- Kalorie musí odpovídat makrům: bílkoviny a sacharidy 4 kcal/g, tuky 9 kcal/g, alkohol 7 kcal/g`;
+    }
+
+    // Oprava odhadu se ukládá jen při znatelné změně kalorií (nebo gramáže položky)
+    static CORRECTION_MIN_CALORIES_DIFF = 20;
+    static CORRECTION_MIN_RATIO_DIFF = 0.05;
+    // Počet oprav vložených do promptu jako příklady
+    static CORRECTION_EXAMPLES_LIMIT = 3;
+
+    /**
+     * Vytvoří záznam opravy AI odhadu uživatelem (původní a opravené hodnoty)
+     * @param {Object} original - Odhad AI (name, calories, protein, carbs, fat, items?)
+     * @param {Object} corrected - Hodnoty uložené uživatelem
+     * @returns {Object|null} Oprava { original, corrected } nebo null, pokud se hodnoty znatelně nezměnily
+     */
+    static createCorrection(original, corrected) {
+        const caloriesDiff = Math.abs((corrected.calories || 0) - (original.calories || 0));
+        const caloriesChanged = caloriesDiff >= this.CORRECTION_MIN_CALORIES_DIFF &&
+            caloriesDiff >= (original.calories || 0) * this.CORRECTION_MIN_RATIO_DIFF;
+
+        const originalGrams = (original.items || []).map(item => `${item.name}:${item.grams}`).join('|');
+        const correctedGrams = (corrected.items || []).map(item => `${item.name}:${item.grams}`).join('|');
+
+        if (!caloriesChanged && originalGrams === correctedGrams) return null;
+
+        return {
+            original: this._getCorrectionValues(original),
+            corrected: this._getCorrectionValues(corrected)
+        };
+    }
+
+    /**
+     * Vybere hodnoty jídla pro záznam opravy (součty a gramáže položek)
+     * @private
+     */
+    static _getCorrectionValues(data) {
+        const values = {
+            name: data.name,
+            calories: Math.round(Number(data.calories) || 0),
+            protein: Math.round(Number(data.protein) || 0),
+            carbs: Math.round(Number(data.carbs) || 0),
+            fat: Math.round(Number(data.fat) || 0)
+        };
+
+        if (Array.isArray(data.items) && data.items.length > 0) {
+            // Položka bez hmotnosti (spojené jídlo ze známých potravin) zůstane bez gramáže
+            values.items = data.items.map(item => item.grams > 0
+                ? { name: item.name, grams: Math.round(Number(item.grams)) }
+                : { name: item.name });
+        }
+
+        return values;
+    }
+
+    /**
+     * Vybere opravy nejpodobnější popisu jídla (shoda slov, novější první)
+     * Bez popisu (fotka) vrací nejnovější opravy
+     * @param {Array<Object>} corrections - Opravy uživatele, nejnovější první
+     * @param {string} description - Popis jídla (optional)
+     * @returns {Array<Object>} Nejvýše CORRECTION_EXAMPLES_LIMIT oprav
+     */
+    static selectCorrections(corrections, description = '') {
+        if (!corrections || corrections.length === 0) return [];
+
+        const descriptionStems = this._getWordStems(description);
+        if (descriptionStems.size === 0) {
+            return corrections.slice(0, this.CORRECTION_EXAMPLES_LIMIT);
+        }
+
+        return corrections
+            .map((correction, index) => {
+                const correctionStems = this._getWordStems(`${correction.input || ''} ${correction.original.name} ${correction.corrected.name}`);
+                const shared = [...descriptionStems].filter(stem => correctionStems.has(stem)).length;
+                return { correction, shared, index };
+            })
+            .filter(({ shared }) => shared > 0)
+            .sort((a, b) => b.shared - a.shared || a.index - b.index)
+            .slice(0, this.CORRECTION_EXAMPLES_LIMIT)
+            .map(({ correction }) => correction);
+    }
+
+    /**
+     * Kmeny slov pro porovnání (bez diakritiky, první 4 znaky - "kaše" = "kaši")
+     * @private
+     */
+    static _getWordStems(text) {
+        const words = String(text || '')
+            .toLowerCase()
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .split(/[^a-z0-9]+/)
+            .filter(word => word.length >= 3);
+
+        return new Set(words.map(word => word.slice(0, 4)));
+    }
+
+    /**
+     * Vytvoří text s opravami uživatele jako příklady pro AI
+     * @param {Array<Object>} corrections - Vybrané opravy (viz selectCorrections)
+     * @returns {string} Text příkladů (prázdný bez oprav)
+     */
+    static _getCorrectionsText(corrections) {
+        if (!corrections || corrections.length === 0) return '';
+
+        const describe = (values) => {
+            const items = values.items
+                ? ` (${values.items.map(item => item.grams ? `${item.name} ${item.grams} g` : item.name).join(', ')})`
+                : '';
+            return `${values.calories} kcal${items}`;
+        };
+
+        const examples = corrections.map(({ input, original, corrected }) =>
+            `- "${input || original.name}": odhad ${describe(original)} → uživatel opravil na ${describe(corrected)}, B ${corrected.protein} g, S ${corrected.carbs} g, T ${corrected.fat} g`
+        ).join('\n');
+
+        return `\n\nPŘÍKLADY - opravy tohoto uživatele u dřívějších odhadů (jeho obvyklé porce, podobná jídla odhaduj stejně):
+${examples}`;
+    }
+
     /**
      * Vytvoří prompt pro AI analýzu jídla
      * @param {string} foodDescription - Popis jídla od uživatele
      * @param {Object} userData - Uživatelský profil (optional)
+     * @param {Array<Object>} corrections - Opravy dřívějších odhadů uživatelem (optional)
      * @returns {string} Formátovaný prompt
      */
-    static createFoodAnalysisPrompt(foodDescription, userData = null) {
+    static createFoodAnalysisPrompt(foodDescription, userData = null, corrections = []) {
         const portionText = this._getPortionText(userData);
+        const correctionsText = this._getCorrectionsText(this.selectCorrections(corrections, foodDescription));
 
         return `Analyzuj následující jídlo a vrať přesné nutriční hodnoty ve formátu JSON:
-{
-  "name": "název jídla",
-  "calories": celkové kalorie v kcal (číslo),
-  "protein": gramy bílkovin (číslo),
-  "carbs": gramy sacharidů (číslo),
-  "fat": gramy tuků (číslo)
-}
+${NutritionSchema.toPromptTemplate()}
 
 Jídlo: ${foodDescription}
 
-${portionText}
+${this._getItemsText()}
+
+${this._getConfidenceText()}
+
+${portionText}${correctionsText}
 
 Vrať POUZE validní JSON objekt, žádný další text.`;
     }
@@ -292,9 +720,10 @@ Vrať POUZE validní JSON objekt, žádný další text.`;
      * Vytvoří prompt pro AI analýzu obrázku jídla
      * @param {string} additionalContext - Dodatečný kontext od uživatele (optional)
      * @param {Object} userData - Uživatelský profil (optional)
+     * @param {Array<Object>} corrections - Opravy dřívějších odhadů uživatelem (optional)
      * @returns {string} Formátovaný prompt
      */
-    static createImageAnalysisPrompt(additionalContext = '', userData = null) {
+    static createImageAnalysisPrompt(additionalContext = '', userData = null, corrections = []) {
         const m = this._getPortionMultiplier(userData);
         const meat = Math.round(180 * m);
         const sideDish = Math.round(220 * m);
@@ -302,24 +731,21 @@ Vrať POUZE validní JSON objekt, žádný další text.`;
         let userContext = '';
         if (userData) {
             const gender = userData.gender === 'male' ? 'muž' : 'žena';
-            const goal = userData.goal === 'gain' ? 'nabírání' : userData.goal === 'lose' ? 'hubnutí' : 'udržení';
+            const goal = this._getGoalLabel(userData.goal);
             userContext = `\n- Uživatel: ${gender}, ${userData.weight || '?'}kg, cíl: ${goal}`;
             userContext += `\n- Očekávaná porce masa: ~${meat}g, přílohy: ~${sideDish}g`;
         }
 
         const basePrompt = `Analyzuj jídlo na tomto obrázku a vrať přesné nutriční hodnoty ve formátu JSON:
-{
-  "name": "název jídla",
-  "calories": celkové kalorie v kcal (číslo),
-  "protein": gramy bílkovin (číslo),
-  "carbs": gramy sacharidů (číslo),
-  "fat": gramy tuků (číslo)
-}
+${NutritionSchema.toPromptTemplate()}
 
 DŮLEŽITÉ:
 - Odhadni velikost porce na základě vizuální analýzy
-- Pokud je na obrázku více jídel, sečti všechny dohromady
-- Snaž se co nejpřesněji odhadnout množství${userContext}`;
+- Každou rozpoznanou potravinu uveď jako samostatnou položku v "items" a do součtů je sečti
+- Kalorie musí odpovídat makrům: bílkoviny a sacharidy 4 kcal/g, tuky 9 kcal/g, alkohol 7 kcal/g
+- Snaž se co nejpřesněji odhadnout množství${userContext}
+
+${this._getConfidenceText()}${this._getCorrectionsText(this.selectCorrections(corrections, additionalContext))}`;
 
         if (additionalContext) {
             return `${basePrompt}\n\nDodatečný kontext: ${additionalContext}\n\nVrať POUZE validní JSON objekt.`;
@@ -328,6 +754,54 @@ DŮLEŽITÉ:
         return `${basePrompt}\n\nVrať POUZE validní JSON objekt.`;
     }
 
+    /**
+     * Vytvoří prompt pro přečtení nutriční tabulky z fotky obalu
+     * @param {string} additionalContext - Dodatečný kontext od uživatele (optional)
+     * @returns {string} Formátovaný prompt
+     */
+    static createLabelAnalysisPrompt(additionalContext = '') {
+        const basePrompt = `Na obrázku je nutriční tabulka (výživové údaje) z obalu potraviny. Přečti hodnoty a vrať je ve formátu JSON:
+${NutritionSchema.toPromptTemplate(NutritionSchema.LABEL_FIELDS)}
+
+DŮLEŽITÉ:
+- Hodnoty NEODHADUJ, opiš je z tabulky - vždy ze sloupce "na 100 g" (u nápojů "na 100 ml")
+- Pokud tabulka uvádí jen hodnoty na porci, přepočti je na 100 g podle hmotnosti porce
+- Energie v kcal (pokud je uvedena jen v kJ, vyděl ji 4,184)
+- Pokud je uvedena jen sůl, sodík v mg = sůl v g × 400
+- "servingGrams" a "packageGrams" vyplň jen pokud jsou na obalu uvedeny, jinak je vynech
+- Název a značku přečti z obalu, pokud nejsou vidět, použij obecný popis (např. "Jogurt")`;
+
+        if (additionalContext) {
+            return `${basePrompt}\n\nDodatečný kontext: ${additionalContext}\n\nVrať POUZE validní JSON objekt.`;
+        }
+
+        return `${basePrompt}\n\nVrať POUZE validní JSON objekt.`;
+    }
+
+    /**
+     * Vytvoří prompt pro odhad pohybové aktivity z popisu
+     * @param {string} description - Popis aktivity od uživatele (prázdný = popis je v audiu)
+     * @returns {string} Formátovaný prompt
+     */
+    static createExerciseAnalysisPrompt(description = '') {
+        const source = description
+            ? `Uživatel popsal pohybovou aktivitu: "${description}"`
+            : 'Přepiš toto audio - uživatel v něm popisuje pohybovou aktivitu.';
+
+        return `${source}
+
+Urči aktivitu, dobu trvání a MET hodnotu a vrať je ve formátu JSON:
+${NutritionSchema.toPromptTemplate(NutritionSchema.EXERCISE_FIELDS)}
+
+DŮLEŽITÉ:
+- MET vyber podle Compendium of Physical Activities s ohledem na uvedenou intenzitu (tempo, rychlost, zátěž)
+- Pokud doba trvání není uvedena, odhadni ji z popisu (vzdálenost, počet sérií), jinak použij 30 minut
+- Kalorie NEPOČÍTEJ, dopočtou se z MET a váhy uživatele
+- Název aktivity piš česky a stručně (např. "Běh 10 km/h", "Posilovna")
+
+Vrať POUZE validní JSON objekt, žádný další text.`;
+    }
+
     /**
      * Vytvoří prompt pro AI analýzu audio vstupu
      * @param {Object} userData - Uživatelský profil (optional)
@@ -337,13 +811,11 @@ DŮLEŽITÉ:
         const portionText = this._getPortionText(userData);
 
         return `Přepiš toto audio a následně analyzuj zmíněné jídlo. Vrať výsledek ve formátu JSON:
-{
-  "name": "název jídla",
-  "calories": celkové kalorie v kcal (číslo),
-  "protein": gramy bílkovin (číslo),
-  "carbs": gramy sacharidů (číslo),
-  "fat": gramy tuků (číslo)
-}
+${NutritionSchema.toPromptTemplate()}
+
+${this._getItemsText()}
+
+${this._getConfidenceText()}
 
 ${portionText}
 
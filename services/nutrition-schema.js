@@ -0,0 +1,227 @@
+// =====================================
+// NUTRITION SCHEMA
+// =====================================
+// Jediná definice struktury výživových dat
+// Z ní se generuje JSON Schema pro providery, šablona v promptech i validace parseru
+
+/**
+ * Schéma výživových údajů vracených AI
+ */
+class NutritionSchema {
+    // Pole jedné položky jídla (rohlík, máslo, káva...) - kalorie mohou být téměř nulové (černá káva)
+    static ITEM_FIELDS = {
+        name: { type: 'string', required: true, description: 'název položky' },
+        grams: { type: 'number', required: true, min: 0, max: 5000, description: 'odhadovaná hmotnost v gramech' },
+        calories: { type: 'number', required: true, min: 0, max: 10000, description: 'kalorie položky v kcal' },
+        protein: { type: 'number', required: true, min: 0, max: 500, description: 'gramy bílkovin' },
+        carbs: { type: 'number', required: true, min: 0, max: 1000, description: 'gramy sacharidů' },
+        fat: { type: 'number', required: true, min: 0, max: 500, description: 'gramy tuků' }
+    };
+
+    // Definice polí: typ, povinnost, rozsah a popis (popis se používá v promptu i schématu)
+    // Součty (calories...) jsou povinné, rozpis položek je volitelný (textový fallback ho nemá)
+    // Mikroživiny (micronutrient: true) jsou volitelné - starší jídla a textový fallback je nemají
+    static FIELDS = {
+        name: { type: 'string', required: true, description: 'název jídla' },
+        calories: { type: 'number', required: true, min: 5, max: 10000, description: 'celkové kalorie v kcal' },
+        protein: { type: 'number', required: true, min: 0, max: 500, description: 'gramy bílkovin' },
+        carbs: { type: 'number', required: true, min: 0, max: 1000, description: 'gramy sacharidů' },
+        fat: { type: 'number', required: true, min: 0, max: 500, description: 'gramy tuků' },
+        fiber: { type: 'number', required: false, micronutrient: true, min: 0, max: 200, description: 'gramy vlákniny' },
+        sugar: { type: 'number', required: false, micronutrient: true, min: 0, max: 1000, description: 'gramy cukrů (součást sacharidů)' },
+        saturatedFat: { type: 'number', required: false, micronutrient: true, min: 0, max: 500, description: 'gramy nasycených tuků (součást tuků)' },
+        sodium: { type: 'number', required: false, micronutrient: true, min: 0, max: 50000, description: 'miligramy sodíku' },
+        alcohol: { type: 'number', required: false, min: 0, max: 500, description: 'gramy alkoholu (7 kcal/g), 0 pokud jídlo alkohol neobsahuje' },
+        waterMl: { type: 'number', required: false, min: 0, max: 5000, description: 'mililitry tekutiny u nápojů (káva, čaj, džus, pivo...), 0 u jídla' },
+        confidence: { type: 'string', required: false, enum: ['low', 'medium', 'high'], description: 'jistota odhadu: low | medium | high' },
+        caloriesLow: { type: 'number', required: false, min: 0, max: 10000, description: 'spodní hranice realistického rozsahu kalorií' },
+        caloriesHigh: { type: 'number', required: false, min: 0, max: 10000, description: 'horní hranice realistického rozsahu kalorií' },
+        items: { type: 'array', required: false, fields: this.ITEM_FIELDS, description: 'jednotlivé položky jídla' }
+    };
+
+    // Nutriční tabulka z obalu - hodnoty na 100 g (u nápojů na 100 ml) a velikost porce
+    static LABEL_FIELDS = {
+        name: { type: 'string', required: true, description: 'název produktu z obalu' },
+        brand: { type: 'string', required: false, description: 'značka výrobce' },
+        calories: { type: 'number', required: true, min: 0, max: 900, description: 'energie na 100 g v kcal' },
+        protein: { type: 'number', required: true, min: 0, max: 100, description: 'gramy bílkovin na 100 g' },
+        carbs: { type: 'number', required: true, min: 0, max: 100, description: 'gramy sacharidů na 100 g' },
+        fat: { type: 'number', required: true, min: 0, max: 100, description: 'gramy tuků na 100 g' },
+        fiber: { type: 'number', required: false, micronutrient: true, min: 0, max: 100, description: 'gramy vlákniny na 100 g' },
+        sugar: { type: 'number', required: false, micronutrient: true, min: 0, max: 100, description: 'gramy cukrů na 100 g' },
+        saturatedFat: { type: 'number', required: false, micronutrient: true, min: 0, max: 100, description: 'gramy nasycených mastných kyselin na 100 g' },
+        sodium: { type: 'number', required: false, micronutrient: true, min: 0, max: 40000, description: 'miligramy sodíku na 100 g' },
+        servingGrams: { type: 'number', required: false, min: 1, max: 5000, description: 'hmotnost jedné porce podle obalu v g' },
+        packageGrams: { type: 'number', required: false, min: 1, max: 10000, description: 'hmotnost celého balení v g' }
+    };
+
+    // Popis pohybové aktivity - kalorie se dopočtou z MET podle váhy uživatele
+    static EXERCISE_FIELDS = {
+        name: { type: 'string', required: true, description: 'krátký název aktivity' },
+        minutes: { type: 'number', required: true, min: 1, max: 1440, description: 'doba trvání v minutách' },
+        met: { type: 'number', required: true, min: 1, max: 25, description: 'MET hodnota aktivity podle Compendium of Physical Activities' }
+    };
+
+    /**
+     * Vrací názvy povinných polí
+     * @param {Object} fields - Definice polí (výchozí: celé jídlo)
+     * @returns {Array<string>}
+     */
+    static getRequiredFields(fields = this.FIELDS) {
+        return Object.keys(fields).filter(field => fields[field].required);
+    }
+
+    /**
+     * Vrací názvy číselných polí
+     * @param {Object} fields - Definice polí (výchozí: celé jídlo)
+     * @returns {Array<string>}
+     */
+    static getNumericFields(fields = this.FIELDS) {
+        return Object.keys(fields).filter(field => fields[field].type === 'number');
+    }
+
+    /**
+     * Vrací názvy volitelných mikroživin (vláknina, cukry, nasycené tuky, sodík)
+     * @returns {Array<string>}
+     */
+    static getMicronutrientFields() {
+        return Object.keys(this.FIELDS).filter(field => this.FIELDS[field].micronutrient);
+    }
+
+    /**
+     * Převede definici na standardní JSON Schema (pro response_format, Ollama format, atd.)
+     * @param {Object} fields - Definice polí (výchozí: celé jídlo)
+     * @returns {Object} JSON Schema
+     */
+    static toJSONSchema(fields = this.FIELDS) {
+        const properties = {};
+        for (const [field, def] of Object.entries(fields)) {
+            properties[field] = def.type === 'array'
+                ? { type: 'array', description: def.description, items: this.toJSONSchema(def.fields) }
+                : { type: def.type, description: def.description };
+
+            if (def.enum) {
+                properties[field].enum = def.enum;
+            }
+        }
+
+        return {
+            type: 'object',
+            properties,
+            required: this.getRequiredFields(fields),
+            additionalProperties: false
+        };
+    }
+
+    /**
+     * Vytvoří JSON šablonu pro prompt
+     * @param {Object} fields - Definice polí (výchozí: celé jídlo)
+     * @param {string} indent - Odsazení vnořené šablony
+     * @returns {string} Šablona ve tvaru { "name": "...", "calories": ... (číslo) }
+     */
+    static toPromptTemplate(fields = this.FIELDS, indent = '') {
+        const lines = Object.entries(fields).map(([field, def]) => {
+            let value;
+            if (def.type === 'array') {
+                value = `[\n${indent}    ${this.toPromptTemplate(def.fields, indent + '    ')}\n${indent}  ]`;
+            } else {
+                value = def.type === 'number' ? `${def.description} (číslo)` : `"${def.description}"`;
+            }
+            return `${indent}  "${field}": ${value}`;
+        });
+
+        return `{\n${lines.join(',\n')}\n${indent}}`;
+    }
+
+    /**
+     * Validuje strukturu dat (přítomnost a typy polí, u položek i jejich pole)
+     * @param {Object} data - Parsovaná data
+     * @param {Object} fields - Definice polí (výchozí: celé jídlo)
+     * @param {string} prefix - Prefix názvu pole v chybách (např. "items[0].")
+     * @returns {Array<{field: string, message: string}>} Seznam chyb (prázdný = validní)
+     */
+    static validateStructure(data, fields = this.FIELDS, prefix = '') {
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            return [{ field: prefix ? prefix.slice(0, -1) : null, message: 'odpověď není JSON objekt' }];
+        }
+
+        const errors = [];
+        for (const [field, def] of Object.entries(fields)) {
+            if (!(field in data) || data[field] === null) {
+                if (def.required) {
+                    errors.push({ field: prefix + field, message: 'chybí povinné pole' });
+                }
+                continue;
+            }
+
+            if (def.type === 'array') {
+                if (!Array.isArray(data[field])) {
+                    errors.push({ field: prefix + field, message: `očekáváno pole, přišlo ${JSON.stringify(data[field])}` });
+                    continue;
+                }
+                data[field].forEach((item, index) => {
+                    errors.push(...this.validateStructure(item, def.fields, `${prefix}${field}[${index}].`));
+                });
+                continue;
+            }
+
+            if (typeof data[field] !== def.type || (def.type === 'number' && !Number.isFinite(data[field]))) {
+                errors.push({ field: prefix + field, message: `očekáván typ ${def.type}, přišlo ${JSON.stringify(data[field])}` });
+                continue;
+            }
+
+            // Výčtové hodnoty - velikost písmen se toleruje, parser je normalizuje
+            if (def.enum && !def.enum.includes(data[field].toLowerCase())) {
+                errors.push({ field: prefix + field, message: `očekáváno ${def.enum.join(' | ')}, přišlo ${JSON.stringify(data[field])}` });
+            }
+        }
+
+        return errors;
+    }
+
+    /**
+     * Validuje rozsahy číselných hodnot (včetně položek)
+     * @param {Object} data - Normalizovaná data
+     * @param {Object} fields - Definice polí (výchozí: celé jídlo)
+     * @param {string} prefix - Prefix názvu pole v chybách
+     * @returns {Array<{field: string, message: string}>} Seznam chyb (prázdný = validní)
+     */
+    static validateRanges(data, fields = this.FIELDS, prefix = '') {
+        const errors = [];
+        for (const [field, def] of Object.entries(fields)) {
+            const value = data[field];
+            if (value === undefined) continue;
+
+            if (def.type === 'array' && Array.isArray(value)) {
+                value.forEach((item, index) => {
+                    errors.push(...this.validateRanges(item, def.fields, `${prefix}${field}[${index}].`));
+                });
+                continue;
+            }
+
+            if (def.type !== 'number') continue;
+
+            if ((def.min !== undefined && value < def.min) || (def.max !== undefined && value > def.max)) {
+                errors.push({ field: prefix + field, message: `hodnota ${value} je mimo rozsah ${def.min}–${def.max}` });
+            }
+        }
+
+        return errors;
+    }
+
+    /**
+     * Zformátuje chyby validace do čitelné zprávy
+     * @param {Array<{field: string, message: string}>} errors - Chyby validace
+     * @returns {string}
+     */
+    static formatErrors(errors) {
+        return errors
+            .map(error => error.field ? `pole "${error.field}": ${error.message}` : error.message)
+            .join('; ');
+    }
+}
+
+// Export pro použití v ostatních modulech
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = NutritionSchema;
+}
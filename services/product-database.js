@@ -0,0 +1,273 @@
+// =====================================
+// PRODUCT DATABASE
+// =====================================
+// Databáze balených produktů podle čárového kódu (Open Food Facts)
+// Hledá v produktech uživatele (Firestore) - naplní je import exportu Open Food Facts v Nastavení
+
+/**
+ * ProductDatabase třída pro vyhledání a import produktů
+ * Produkt: { barcode, name, brand, per100g: {calories, protein, carbs, fat, ...mikroživiny}, servingGrams }
+ */
+class ProductDatabase {
+    // Hodnoty na 100 g v Open Food Facts → naše pole (sodík je v OFF v gramech)
+    static OFF_NUTRIENTS = {
+        protein: 'proteins_100g',
+        carbs: 'carbohydrates_100g',
+        fat: 'fat_100g',
+        fiber: 'fiber_100g',
+        sugar: 'sugars_100g',
+        saturatedFat: 'saturated-fat_100g',
+        sodium: 'sodium_100g'
+    };
+
+    /**
+     * @param {string} userId - ID uživatele (vlastní databáze produktů)
+     */
+    constructor(userId) {
+        this.userId = userId;
+    }
+
+    /**
+     * Najde produkt podle čárového kódu
+     * @param {string} barcode - Číslice kódu
+     * @returns {Promise<Object|null>} Produkt nebo null, pokud není známý
+     */
+    async lookup(barcode) {
+        const variants = ProductDatabase.getBarcodeVariants(barcode);
+
+        for (const code of variants) {
+            const product = await getProductFromFirestore(this.userId, code);
+            if (product) {
+                console.log(`📦 ProductDatabase: Found ${code} in user products`);
+                return product;
+            }
+        }
+
+        console.log(`📦 ProductDatabase: Product ${barcode} not found`);
+        return null;
+    }
+
+    /**
+     * Importuje export Open Food Facts do produktů uživatele
+     * @param {string} text - Obsah souboru (JSON, JSONL nebo CSV s tabulátory)
+     * @returns {Promise<number>} Počet importovaných produktů
+     * @throws {Error} Pokud soubor neobsahuje žádný použitelný produkt
+     */
+    async importProducts(text) {
+        const products = ProductDatabase.parseImport(text);
+        if (products.length === 0) {
+            throw new Error('Soubor neobsahuje žádné produkty s čárovým kódem a kaloriemi');
+        }
+
+        return await saveProductsToFirestore(this.userId, products);
+    }
+
+    /**
+     * Vrací varianty kódu k vyhledání (UPC-A se ukládá s úvodní nulou i bez ní)
+     * @param {string} barcode - Kód
+     * @returns {Array<string>}
+     */
+    static getBarcodeVariants(barcode) {
+        const code = String(barcode).replace(/\D/g, '');
+        const variants = [code];
+
+        if (code.length === 12) {
+            variants.push('0' + code);
+        } else if (code.length === 13 && code.startsWith('0')) {
+            variants.push(code.slice(1));
+        }
+
+        return variants;
+    }
+
+    /**
+     * Parsuje soubor s produkty Open Food Facts
+     * Podporuje JSON pole, odpověď API ({ products: [...] }), JSONL dump a CSV export (tabulátory)
+     * @param {string} text - Obsah souboru
+     * @returns {Array<Object>} Platné produkty (neplatné záznamy se přeskočí)
+     */
+    static parseImport(text) {
+        const trimmed = text.trim();
+        let records;
+
+        if (trimmed.startsWith('[')) {
+            records = JSON.parse(trimmed);
+        } else if (trimmed.startsWith('{')) {
+            try {
+                const parsed = JSON.parse(trimmed);
+                records = Array.isArray(parsed.products) ? parsed.products : [parsed];
+            } catch (error) {
+                // Jeden JSON objekt na řádek
+                records = trimmed.split('\n')
+                    .filter(line => line.trim())
+                    .map(line => JSON.parse(line));
+            }
+        } else {
+            records = this._parseCSV(trimmed);
+        }
+
+        return records
+            .map(record => this.fromOpenFoodFacts(record))
+            .filter(product => product !== null);
+    }
+
+    /**
+     * Převede záznam Open Food Facts na produkt
+     * @param {Object} record - Záznam OFF (code, product_name, brands, nutriments, serving_quantity)
+     * @returns {Object|null} Produkt nebo null, pokud chybí kód, název nebo kalorie
+     */
+    static fromOpenFoodFacts(record) {
+        const barcode = String(record.code || '').replace(/\D/g, '');
+        const name = String(record.product_name_cs || record.product_name || '').trim();
+        const nutriments = record.nutriments || {};
+
+        // Energie v kcal, starší záznamy mají jen kJ
+        let calories = parseFloat(nutriments['energy-kcal_100g']);
+        if (!Number.isFinite(calories)) {
+            calories = parseFloat(nutriments['energy_100g']) / 4.184;
+        }
+
+        if (barcode.length < 8 || !name || !Number.isFinite(calories)) {
+            return null;
+        }
+
+        const per100g = { calories: Math.round(calories) };
+        for (const [field, key] of Object.entries(this.OFF_NUTRIENTS)) {
+            const value = parseFloat(nutriments[key]);
+            if (!Number.isFinite(value)) {
+                // Makra jsou povinná (0 = neuvedeno), mikroživiny jen pokud jsou známé
+                if (!NutritionSchema.FIELDS[field].micronutrient) per100g[field] = 0;
+                continue;
+            }
+            per100g[field] = field === 'sodium'
+                ? Math.round(value * 1000)
+                : Math.round(value * 10) / 10;
+        }
+
+        const product = {
+            barcode,
+            name,
+            brand: String(record.brands || '').split(',')[0].trim() || null,
+            per100g
+        };
+
+        const servingGrams = parseFloat(record.serving_quantity);
+        if (servingGrams > 0 && servingGrams <= NutritionSchema.ITEM_FIELDS.grams.max) {
+            product.servingGrams = Math.round(servingGrams);
+        }
+
+        return product;
+    }
+
+    /**
+     * Přepočte produkt na výživové údaje porce (stejný tvar jako výsledek AI analýzy)
+     * @param {Object} product - Produkt
+     * @param {number} grams - Hmotnost porce (výchozí: porce z obalu, jinak 100 g)
+     * @returns {Object} Výživové údaje s jednou položkou (gramy lze v modalu upravit, hodnoty se přepočtou z per100g)
+     */
+    static toNutritionData(product, grams = null) {
+        grams = grams || product.servingGrams || 100;
+        const factor = grams / 100;
+        const per100g = product.per100g;
+
+        const name = product.brand ? `${product.name} (${product.brand})` : product.name;
+        const data = {
+            name,
+            calories: Math.round(per100g.calories * factor),
+            protein: Math.round(per100g.protein * factor),
+            carbs: Math.round(per100g.carbs * factor),
+            fat: Math.round(per100g.fat * factor)
+        };
+
+        for (const field of NutritionSchema.getMicronutrientFields()) {
+            if (per100g[field] === undefined) continue;
+            const value = per100g[field] * factor;
+            data[field] = field === 'sodium' ? Math.round(value) : Math.round(value * 10) / 10;
+        }
+
+        data.items = [{
+            name,
+            grams,
+            calories: data.calories,
+            protein: data.protein,
+            carbs: data.carbs,
+            fat: data.fat,
+            per100g: { ...per100g }   // Základ pro přepočet při změně gramáže
+        }];
+
+        return data;
+    }
+
+    /**
+     * Parsuje CSV export Open Food Facts (oddělovač tabulátor nebo čárka, první řádek = názvy sloupců)
+     * Hodnoty na 100 g jsou ve sloupcích se stejnými názvy jako v nutriments
+     * @private
+     */
+    static _parseCSV(text) {
+        const firstLine = text.split(/\r?\n/, 1)[0];
+        const delimiter = firstLine.includes('\t') ? '\t' : ',';
+        const rows = this._splitCSV(text, delimiter).filter(values => values.some(value => value.trim()));
+        if (rows.length < 2) return [];
+
+        const headers = rows[0].map(header => header.trim());
+
+        return rows.slice(1).map(values => {
+            const row = {};
+            headers.forEach((header, i) => {
+                row[header] = (values[i] || '').trim();
+            });
+            return { ...row, nutriments: row };
+        });
+    }
+
+    /**
+     * Rozdělí CSV na řádky a hodnoty - hodnota v uvozovkách smí obsahovat oddělovač i nový řádek
+     * ("Jogurt, bílý"), zdvojené uvozovky jsou uvozovka
+     * @private
+     * @returns {Array<Array<string>>}
+     */
+    static _splitCSV(text, delimiter) {
+        const rows = [];
+        let row = [];
+        let value = '';
+        let quoted = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    value += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    value += char;
+                }
+            } else if (char === '"' && !value.trim()) {
+                quoted = true;
+                value = '';
+            } else if (char === delimiter) {
+                row.push(value);
+                value = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(value);
+                rows.push(row);
+                row = [];
+                value = '';
+            } else {
+                value += char;
+            }
+        }
+
+        row.push(value);
+        rows.push(row);
+        return rows;
+    }
+}
+
+// Export pro použití v ostatních modulech
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ProductDatabase;
+}
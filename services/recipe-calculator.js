@@ -0,0 +1,140 @@
+// =====================================
+// RECIPE CALCULATOR
+// =====================================
+// Výpočet výživových hodnot receptu z ingrediencí
+// Recept se přepočítá na hodnoty na 100 g hotového jídla, takže se loguje stejně jako vlastní potravina
+
+/**
+ * RecipeCalculator utility třída
+ * Recept: { name, ingredients: [ingredience], cookedGrams, servings }
+ * Ingredience: { name, grams, calories, protein, carbs, fat, ...mikroživiny, per100g? }
+ */
+class RecipeCalculator {
+    /**
+     * Vytvoří ingredienci z potraviny s hodnotami na 100 g (vlastní potravina, produkt)
+     * @param {Object} food - Potravina (name, brand, per100g)
+     * @param {number} grams - Množství v receptu
+     * @returns {Object} Ingredience
+     */
+    static ingredientFromFood(food, grams) {
+        const name = food.brand ? `${food.name} (${food.brand})` : food.name;
+        return this.scaleIngredient({ name, grams, per100g: { ...food.per100g } }, grams);
+    }
+
+    /**
+     * Vytvoří ingredienci z hotové porce (oblíbené jídlo, položka AI analýzy)
+     * Se známou hmotností si dopočte hodnoty na 100 g, jinak zůstane pevnou porcí
+     * @param {Object} portion - Porce (name, grams?, calories, protein, carbs, fat, ...mikroživiny)
+     * @returns {Object} Ingredience
+     */
+    static ingredientFromPortion(portion) {
+        const grams = Number(portion.grams) || 0;
+        const ingredient = { name: portion.name, grams };
+
+        for (const field of this._getNutrientFields()) {
+            if (portion[field] === undefined || portion[field] === null) continue;
+            ingredient[field] = Number(portion[field]) || 0;
+        }
+
+        if (grams > 0) {
+            ingredient.per100g = {};
+            for (const field of this._getNutrientFields()) {
+                if (ingredient[field] === undefined) continue;
+                ingredient.per100g[field] = ingredient[field] / grams * 100;
+            }
+        }
+
+        return ingredient;
+    }
+
+    /**
+     * Přepočte ingredienci na jinou hmotnost (jen pokud zná hodnoty na 100 g)
+     * @param {Object} ingredient - Ingredience
+     * @param {number} grams - Nová hmotnost
+     * @returns {Object} Nová ingredience
+     */
+    static scaleIngredient(ingredient, grams) {
+        const scaled = { ...ingredient, grams };
+        if (!ingredient.per100g) return scaled;
+
+        const factor = grams / 100;
+        for (const [field, value] of Object.entries(ingredient.per100g)) {
+            scaled[field] = this._round(field, value * factor);
+        }
+
+        return scaled;
+    }
+
+    /**
+     * Sečte hodnoty ingrediencí
+     * Mikroživiny se sčítají jen pokud je znají všechny ingredience (jinak by součet klamal)
+     * @param {Array<Object>} ingredients - Ingredience
+     * @returns {Object} Součty (calories, protein, carbs, fat, ...mikroživiny, rawGrams)
+     */
+    static getTotals(ingredients) {
+        const totals = { calories: 0, protein: 0, carbs: 0, fat: 0, rawGrams: 0 };
+
+        for (const ingredient of ingredients) {
+            totals.calories += Number(ingredient.calories) || 0;
+            totals.protein += Number(ingredient.protein) || 0;
+            totals.carbs += Number(ingredient.carbs) || 0;
+            totals.fat += Number(ingredient.fat) || 0;
+            totals.rawGrams += Number(ingredient.grams) || 0;
+        }
+
+        for (const field of NutritionSchema.getMicronutrientFields()) {
+            if (ingredients.length === 0 || !ingredients.every(ingredient => ingredient[field] !== undefined)) continue;
+            totals[field] = ingredients.reduce((sum, ingredient) => sum + ingredient[field], 0);
+        }
+
+        return totals;
+    }
+
+    /**
+     * Převede recept na potravinu s hodnotami na 100 g hotového jídla
+     * Hmotnost hotového jídla se liší od syrových ingrediencí (voda se odpaří nebo přibude),
+     * bez jejího zadání se použije součet ingrediencí
+     * @param {Object} recipe - Recept
+     * @returns {Object} Potravina { name, per100g, servingGrams } pro dialog porce
+     */
+    static toFood(recipe) {
+        const totals = this.getTotals(recipe.ingredients);
+        const cookedGrams = recipe.cookedGrams || totals.rawGrams;
+        const factor = cookedGrams > 0 ? 100 / cookedGrams : 0;
+
+        const per100g = {};
+        for (const field of this._getNutrientFields()) {
+            if (totals[field] === undefined) continue;
+            per100g[field] = this._round(field, totals[field] * factor);
+        }
+
+        return {
+            name: recipe.name,
+            per100g,
+            servingGrams: Math.round(cookedGrams / (recipe.servings || 1))
+        };
+    }
+
+    /**
+     * Pole, která se sčítají a přepočítávají (makra + mikroživiny, bez rozsahů a alkoholu)
+     * @private
+     */
+    static _getNutrientFields() {
+        return ['calories', 'protein', 'carbs', 'fat', ...NutritionSchema.getMicronutrientFields()];
+    }
+
+    /**
+     * Zaokrouhlí hodnotu podle pole (kalorie a sodík na celá čísla, ostatní na desetiny)
+     * @private
+     */
+    static _round(field, value) {
+        return field === 'calories' || field === 'sodium'
+            ? Math.round(value)
+            : Math.round(value * 10) / 10;
+    }
+}
+
+// Export pro použití v ostatních modulech
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RecipeCalculator;
+}
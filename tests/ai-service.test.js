@@ -0,0 +1,260 @@
+// =====================================
+// AI SERVICE TESTS
+// =====================================
+// Výběr providera, fallback a parsování odpovědí přes MockProvider s fixtures
+// Spuštění: npm test
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+// Moduly jsou psané pro <script> tagy - závislosti musí být globální před načtením
+global.BaseAIProvider = require('../ai-providers/base-provider.js');
+global.NutritionSchema = require('../services/nutrition-schema.js');
+global.NutritionParser = require('../services/nutrition-parser.js');
+global.AIProviderFactory = require('../ai-providers/provider-factory.js');
+const MockProvider = require('../ai-providers/mock-provider.js');
+const AIService = require('../services/ai-service.js').constructor;
+
+const FIXTURES_URL = path.join(__dirname, '..', 'ai-providers', 'fixtures', 'mock-responses.json');
+
+// Logy služby by zahltily výstup testů
+for (const method of ['log', 'warn', 'error']) {
+    console[method] = () => {};
+}
+
+/**
+ * Vytvoří mock providera se sekvencí fixtures
+ */
+function createMock(sequence, config = {}) {
+    return new MockProvider({ fixturesUrl: FIXTURES_URL, sequence, ...config });
+}
+
+/**
+ * Vytvoří AIService s danými providery (první je default)
+ */
+function createService(providers, config = {}) {
+    const service = new AIService();
+    service.config = config;
+    for (const [name, provider] of Object.entries(providers)) {
+        service.providers.set(name, provider);
+    }
+    service.defaultProvider = service.providers.values().next().value;
+    return service;
+}
+
+describe('AIService fallback', () => {
+    it('vrátí data z validní JSON odpovědi bez fallbacku', async () => {
+        const primary = createMock(['valid-json']);
+        const backup = createMock(['valid-json']);
+        const service = createService({ primary, backup });
+
+        const data = await service._analyzeWithFallback('text', 'prompt', null, null);
+
+        assert.equal(data.name, 'Kuřecí řízek s bramborovou kaší');
+        assert.equal(data.calories, 650);
+        assert.equal(primary.calls.length, 1);
+        assert.equal(backup.calls.length, 0);
+    });
+
+    it('předá providerovi JSON Schema pro structured output', async () => {
+        const primary = createMock(['valid-json']);
+        const service = createService({ primary });
+
+        await service._analyzeWithFallback('text', 'prompt', null, null);
+
+        assert.ok(primary.calls[0].schema);
+        assert.ok(primary.calls[0].schema.properties.calories);
+    });
+
+    it('naparsuje textovou odpověď bez JSON', async () => {
+        const service = createService({ primary: createMock(['prose']) });
+
+        const data = await service._analyzeWithFallback('text', 'prompt', null, null);
+
+        assert.equal(data.name, 'Svíčková na smetaně');
+        assert.equal(data.calories, 780);
+        assert.equal(data.fat, 36);
+    });
+
+    for (const fixture of ['malformed', 'timeout', 'rate-limit', 'server-error']) {
+        it(`při chybě "${fixture}" přepne na dalšího providera`, async () => {
+            const primary = createMock([fixture]);
+            const backup = createMock(['valid-json']);
+            const service = createService({ primary, backup });
+
+            const data = await service._analyzeWithFallback('text', 'prompt', null, null);
+
+            assert.equal(data.calories, 650);
+            assert.equal(primary.calls.length, 1);
+            assert.equal(backup.calls.length, 1);
+        });
+    }
+
+    it('přeskočí selhavší instanci, i když má jiný provider stejné jméno', async () => {
+        // Oba provideři se jmenují "Mock" - selhavší se musí poznat podle instance, ne podle jména
+        const primary = createMock(['server-error']);
+        const backup = createMock(['valid-json']);
+        assert.equal(primary.getName(), backup.getName());
+
+        const service = createService({ primary, backup });
+        const data = await service._analyzeWithFallback('text', 'prompt', null, 'primary');
+
+        assert.equal(data.calories, 650);
+        assert.equal(primary.calls.length, 1);
+        assert.equal(backup.calls.length, 1);
+    });
+
+    it('fallback vynechá providery bez potřebné capability', async () => {
+        const primary = createMock(['rate-limit']);
+        const textOnly = createMock(['valid-json'], { capabilities: { images: false } });
+        const backup = createMock(['valid-json']);
+        const service = createService({ primary, textOnly, backup });
+
+        const data = await service._tryFallbackProvider('image', 'prompt', 'base64', primary);
+
+        assert.equal(data.calories, 650);
+        assert.equal(textOnly.calls.length, 0);
+        assert.equal(backup.calls.length, 1);
+        assert.equal(backup.calls[0].hasMedia, true);
+    });
+
+    it('když selžou všichni, chyba obsahuje poslední důvod', async () => {
+        const primary = createMock(['rate-limit']);
+        const backup = createMock(['server-error']);
+        const service = createService({ primary, backup });
+
+        await assert.rejects(
+            service._analyzeWithFallback('text', 'prompt', null, null),
+            /selhala u všech dostupných providerů.*HTTP 500/
+        );
+        assert.equal(primary.calls.length, 1);
+        assert.equal(backup.calls.length, 1);
+    });
+
+    it('zrušený požadavek nezkouší fallback', async () => {
+        const primary = createMock(['timeout']);
+        const backup = createMock(['valid-json']);
+        const service = createService({ primary, backup });
+        const abortController = new AbortController();
+
+        const analysis = service._analyzeWithFallback('text', 'prompt', null, null, abortController);
+        abortController.abort();
+
+        await assert.rejects(analysis, { name: 'AbortError' });
+        assert.equal(backup.calls.length, 0);
+    });
+});
+
+describe('AIService kontrola kalorií vs. makra', () => {
+    it('reconcile dopočte kalorie z maker a nesoulad ponechá v datech', async () => {
+        const service = createService({ primary: createMock(['inconsistent']) });
+
+        const data = await service._analyzeWithFallback('text', 'prompt', null, null);
+
+        assert.equal(data.calories, 314);
+        assert.equal(data.atwaterMismatch.reportedCalories, 900);
+        assert.equal(data.atwaterMismatch.action, 'reconciled');
+    });
+
+    it('reask požádá stejného providera o opravu', async () => {
+        const primary = createMock(['inconsistent', 'valid-json']);
+        const service = createService({ primary }, { consistencyCheck: 'reask' });
+
+        const data = await service._analyzeWithFallback('text', 'Popis jídla', null, null);
+
+        assert.equal(primary.calls.length, 2);
+        assert.ok(primary.calls[1].prompt.includes('Popis jídla'));
+        assert.notEqual(primary.calls[1].prompt, 'Popis jídla');
+        assert.equal(data.calories, 650);
+        assert.equal(data.atwaterMismatch.action, 'reasked');
+    });
+
+    it('reask s opět nekonzistentní odpovědí kalorie dopočte', async () => {
+        const primary = createMock(['inconsistent']);
+        const service = createService({ primary }, { consistencyCheck: 'reask' });
+
+        const data = await service._analyzeWithFallback('text', 'prompt', null, null);
+
+        assert.equal(primary.calls.length, 2);
+        assert.equal(data.calories, 314);
+    });
+
+    it('reask s chybou při opravě dopočte kalorie z původní odpovědi', async () => {
+        const primary = createMock(['inconsistent', 'server-error']);
+        const backup = createMock(['valid-json']);
+        const service = createService({ primary, backup }, { consistencyCheck: 'reask' });
+
+        const data = await service._analyzeWithFallback('text', 'prompt', null, null);
+
+        assert.equal(data.calories, 314);
+        assert.equal(backup.calls.length, 0);
+    });
+});
+
+describe('NutritionParser', () => {
+    const fixtures = require(FIXTURES_URL);
+
+    it('parsuje JSON obalený textem a markdownem', () => {
+        const data = NutritionParser.parse(fixtures['valid-json-wrapped'].content);
+
+        assert.equal(data.name, 'Rohlík s máslem');
+        assert.equal(data.calories, 250);
+    });
+
+    it('parsuje položky jídla', () => {
+        const data = NutritionParser.parse(fixtures['valid-json-items'].content);
+
+        assert.ok(Array.isArray(data.items));
+        assert.equal(data.items[0].name, 'Rohlík');
+        assert.equal(data.items[0].grams, 60);
+    });
+
+    it('odmítne hodnotu mimo rozsah a vrátí název pole', () => {
+        const { data, errors } = NutritionParser.parseDetailed(fixtures['out-of-range'].content);
+
+        assert.equal(data, null);
+        assert.equal(errors[0].field, 'calories');
+    });
+
+    it('odmítne odpověď, která není jídlo', () => {
+        const { data, errors } = NutritionParser.parseDetailed(fixtures['not-food'].content);
+
+        assert.equal(data, null);
+        assert.ok(errors.some(error => error.field === 'protein/carbs/fat'));
+    });
+
+    it('přijme nápoj s nulovými kaloriemi i makry', () => {
+        const { data, errors } = NutritionParser.parseDetailed(fixtures['water-drink'].content);
+
+        assert.deepEqual(errors, []);
+        assert.equal(data.calories, 0);
+        assert.equal(data.waterMl, 300);
+    });
+
+    it('u nápoje dál hlídá maximum kalorií', () => {
+        const response = JSON.stringify({ name: 'Nápoj', calories: 20000, protein: 0, carbs: 0, fat: 0, waterMl: 500 });
+        const { data, errors } = NutritionParser.parseDetailed(response);
+
+        assert.equal(data, null);
+        assert.equal(errors[0].field, 'calories');
+    });
+
+    it('detect nesoulad jen označí, off ho ignoruje', () => {
+        const detected = NutritionParser.parseDetailed(fixtures.inconsistent.content, 'detect').data;
+        const ignored = NutritionParser.parseDetailed(fixtures.inconsistent.content, 'off').data;
+
+        assert.equal(detected.calories, 900);
+        assert.equal(detected.atwaterMismatch.expectedCalories, 314);
+        assert.equal(ignored.atwaterMismatch, undefined);
+    });
+
+    it('prompt pro opravu obsahuje původní zadání a nesoulad', () => {
+        const data = NutritionParser.parseDetailed(fixtures.inconsistent.content, 'detect').data;
+        const prompt = NutritionParser.createCorrectionPrompt('Popis jídla', data, data.atwaterMismatch);
+
+        assert.ok(prompt.includes('Popis jídla'));
+        assert.ok(prompt.includes('900'));
+        assert.ok(prompt.includes('314'));
+    });
+});
@@ -0,0 +1,112 @@
+// =====================================
+// BARCODE DECODER TESTS
+// =====================================
+// Kontrolní číslice a dekódování vykresleného EAN-13 / EAN-8 (JS dekodér bez BarcodeDetector)
+// Spuštění: npm test
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const BarcodeDecoder = require('../utils/barcode-decoder.js');
+
+// Standardní kódování číslic EAN (1 = čára), R je negace L, G je obrácené R
+const L_CODES = ['0001101', '0011001', '0010011', '0111101', '0100011', '0110001', '0101111', '0111011', '0110111', '0001011'];
+const R_CODES = L_CODES.map(code => code.split('').map(bit => bit === '1' ? '0' : '1').join(''));
+const G_CODES = R_CODES.map(code => code.split('').reverse().join(''));
+const EAN13_PARITY = ['LLLLLL', 'LLGLGG', 'LLGGLG', 'LLGGGL', 'LGLLGG', 'LGGLLG', 'LGGGLL', 'LGLGLG', 'LGLGGL', 'LGGLGL'];
+
+/**
+ * Vrátí moduly kódu (1 = čára) včetně tichých zón
+ */
+function encodeEan(code) {
+    const digits = code.split('').map(Number);
+    let parity;
+    if (digits.length === 13) {
+        parity = EAN13_PARITY[digits.shift()];
+    } else {
+        parity = 'LLLL';
+    }
+
+    const half = digits.length / 2;
+    const left = digits.slice(0, half).map((digit, i) => parity[i] === 'L' ? L_CODES[digit] : G_CODES[digit]);
+    const right = digits.slice(half).map(digit => R_CODES[digit]);
+    const quiet = '0'.repeat(11);
+
+    return quiet + '101' + left.join('') + '01010' + right.join('') + '101' + quiet;
+}
+
+/**
+ * Vykreslí moduly do pixelů ve formátu ImageData (RGBA)
+ */
+function renderImageData(modules, { moduleWidth = 3, height = 20, mirror = false } = {}) {
+    const bits = mirror ? modules.split('').reverse().join('') : modules;
+    const width = bits.length * moduleWidth;
+    const data = new Uint8ClampedArray(width * height * 4);
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const value = bits[Math.floor(x / moduleWidth)] === '1' ? 20 : 235;
+            const i = (y * width + x) * 4;
+            data[i] = data[i + 1] = data[i + 2] = value;
+            data[i + 3] = 255;
+        }
+    }
+
+    return { width, height, data };
+}
+
+describe('BarcodeDecoder.isValidChecksum', () => {
+    it('přijme platné EAN-13, EAN-8 a UPC-A', () => {
+        assert.equal(BarcodeDecoder.isValidChecksum('5901234123457'), true);
+        assert.equal(BarcodeDecoder.isValidChecksum('96385074'), true);
+        assert.equal(BarcodeDecoder.isValidChecksum('036000291452'), true);
+    });
+
+    it('odmítne špatnou kontrolní číslici', () => {
+        assert.equal(BarcodeDecoder.isValidChecksum('5901234123458'), false);
+        assert.equal(BarcodeDecoder.isValidChecksum('96385075'), false);
+    });
+
+    it('odmítne krátký kód a jiné znaky', () => {
+        assert.equal(BarcodeDecoder.isValidChecksum('1234565'), false);
+        assert.equal(BarcodeDecoder.isValidChecksum('59012341234a7'), false);
+    });
+});
+
+describe('BarcodeDecoder.decodeImageData', () => {
+    it('dekóduje EAN-13', () => {
+        const imageData = renderImageData(encodeEan('5901234123457'));
+
+        assert.equal(BarcodeDecoder.decodeImageData(imageData), '5901234123457');
+    });
+
+    it('dekóduje EAN-13 s nulou na začátku (UPC-A)', () => {
+        const imageData = renderImageData(encodeEan('0036000291452'));
+
+        assert.equal(BarcodeDecoder.decodeImageData(imageData), '0036000291452');
+    });
+
+    it('dekóduje EAN-8', () => {
+        const imageData = renderImageData(encodeEan('96385074'));
+
+        assert.equal(BarcodeDecoder.decodeImageData(imageData), '96385074');
+    });
+
+    it('dekóduje kód vzhůru nohama', () => {
+        const imageData = renderImageData(encodeEan('5901234123457'), { mirror: true });
+
+        assert.equal(BarcodeDecoder.decodeImageData(imageData), '5901234123457');
+    });
+
+    it('dekóduje kód s necelými šířkami modulů', () => {
+        // Zmenšený snímek - šířky čar se zaokrouhlí na celé pixely
+        const modules = encodeEan('5901234123457');
+        const stretched = modules.split('').map((bit, i) => bit.repeat(i % 3 === 0 ? 3 : 2)).join('');
+
+        assert.equal(BarcodeDecoder.decodeImageData(renderImageData(stretched, { moduleWidth: 1 })), '5901234123457');
+    });
+
+    it('bez kódu vrátí null', () => {
+        assert.equal(BarcodeDecoder.decodeImageData(renderImageData('0'.repeat(120))), null);
+    });
+});
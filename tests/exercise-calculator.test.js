@@ -0,0 +1,69 @@
+// =====================================
+// EXERCISE CALCULATOR TESTS
+// =====================================
+// Odhad výdeje aktivit z MET hodnot (jen výdej nad klidový, MET - 1)
+// Spuštění: npm test
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const ExerciseCalculator = require('../services/exercise-calculator.js');
+
+describe('ExerciseCalculator.estimateCalories', () => {
+    it('počítá (MET - 1) × váha × hodiny', () => {
+        // Běh 10 km/h: (9.8 - 1) × 70 kg × 0.5 h = 308 kcal
+        assert.equal(ExerciseCalculator.estimateCalories(9.8, 30, 70), 308);
+        // Chůze: (3.5 - 1) × 80 kg × 1 h = 200 kcal
+        assert.equal(ExerciseCalculator.estimateCalories(3.5, 60, 80), 200);
+        // (7.3 - 1) × 65 kg × 0.75 h = 307.125 kcal
+        assert.equal(ExerciseCalculator.estimateCalories(7.3, 45, 65), 307);
+    });
+
+    it('přijme čísla jako text z formuláře', () => {
+        assert.equal(ExerciseCalculator.estimateCalories('3.5', '60', '80'), 200);
+    });
+
+    it('MET do 1 nepřidá nic nad klidový výdej', () => {
+        assert.equal(ExerciseCalculator.estimateCalories(1, 60, 80), 0);
+        assert.equal(ExerciseCalculator.estimateCalories(0.8, 60, 80), 0);
+    });
+
+    it('chybějící, nulový, záporný nebo nečíselný vstup vrátí 0', () => {
+        for (const [met, minutes, weight] of [
+            [null, 30, 70], [8, undefined, 70], [8, 30, 0],
+            [8, -30, 70], [8, 30, -70], [-8, 30, 70],
+            ['abc', 30, 70], [8, NaN, 70], [8, Infinity, 70]
+        ]) {
+            assert.equal(ExerciseCalculator.estimateCalories(met, minutes, weight), 0, `${met}, ${minutes}, ${weight}`);
+        }
+    });
+});
+
+describe('ExerciseCalculator záznamy aktivit', () => {
+    it('aktivita z nabídky převezme název a MET', () => {
+        assert.deepEqual(ExerciseCalculator.fromActivity('running-10', 30, 70), {
+            name: 'Běh 10 km/h',
+            activity: 'running-10',
+            minutes: 30,
+            met: 9.8,
+            calories: 308,
+            source: 'met'
+        });
+    });
+
+    it('neznámá aktivita vrátí null', () => {
+        assert.equal(ExerciseCalculator.fromActivity('curling', 30, 70), null);
+    });
+
+    it('AI odhad spočítá kalorie z MET, ne z odhadu AI', () => {
+        const exercise = ExerciseCalculator.fromAnalysis({ name: 'Squash', minutes: 40, met: 7.3, calories: 900 }, 75);
+
+        assert.equal(exercise.calories, 315);
+        assert.equal(exercise.source, 'ai');
+    });
+
+    it('součet kalorií ignoruje chybějící hodnoty', () => {
+        assert.equal(ExerciseCalculator.getTotalCalories([{ calories: 308 }, { calories: '120' }, {}]), 428);
+        assert.equal(ExerciseCalculator.getTotalCalories([]), 0);
+    });
+});
@@ -0,0 +1,347 @@
+// =====================================
+// FIRESTORE SERVICE TESTS
+// =====================================
+// Pure calculations (goals, trends, food index) - no Firestore access
+// Run: npm test
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    calculateMacroTargets,
+    calculateDailyGoalsFromProfile,
+    mergeFoodIndexEntry,
+    unmergeFoodIndexEntry,
+    calculateWeightTrend,
+    estimateAdaptiveTdee,
+    calculateDayTargets,
+    getGoalsForDate,
+    calculateWeeklyBudget
+} = require('../firestore-service.js');
+
+const PROFILE = { age: 30, gender: 'male', weight: 80, height: 180, activity: '1.5', goal: 'maintain', proteinPerKg: 2.0 };
+
+describe('calculateMacroTargets', () => {
+    it('splits calories left after protein by preset', () => {
+        // 2000 kcal - 160 g protein * 4 = 1360 kcal for carbs and fat
+        assert.deepEqual(calculateMacroTargets(2000, PROFILE), { protein: 160, carbs: 187, fat: 68 });
+    });
+
+    it('keeps an override of 0 g carbs and gives the rest to fat', () => {
+        const macros = calculateMacroTargets(2000, { ...PROFILE, carbsOverride: 0 });
+
+        assert.equal(macros.carbs, 0);
+        assert.equal(macros.fat, 151);
+    });
+
+    it('keeps an override of 0 g fat and 0 g protein', () => {
+        assert.equal(calculateMacroTargets(2000, { ...PROFILE, fatOverride: 0 }).carbs, 340);
+        assert.equal(calculateMacroTargets(2000, { ...PROFILE, proteinOverride: 0 }).protein, 0);
+    });
+
+    it('treats null overrides as calculated', () => {
+        const macros = calculateMacroTargets(2000, { ...PROFILE, proteinOverride: null, carbsOverride: null, fatOverride: null });
+
+        assert.deepEqual(macros, { protein: 160, carbs: 187, fat: 68 });
+    });
+});
+
+describe('calculateDailyGoalsFromProfile', () => {
+    it('lists an override of 0 as a manual target', () => {
+        const goals = calculateDailyGoalsFromProfile({ ...PROFILE, caloriesOverride: 2000, carbsOverride: 0 });
+
+        assert.equal(goals.calories, 2000);
+        assert.equal(goals.carbs, 0);
+        assert.deepEqual(goals.manualTargets, ['calories', 'carbs']);
+    });
+
+    it('calculates calories from TDEE without override', () => {
+        const goals = calculateDailyGoalsFromProfile({ ...PROFILE, goal: 'loss-moderate' });
+
+        assert.equal(goals.calories, Math.round(goals.tdee * 0.85));
+        assert.deepEqual(goals.manualTargets, []);
+    });
+});
+
+describe('food index entries', () => {
+    const meal = (calories, protein) => ({ name: 'Rohlík ', calories, protein, carbs: 30, fat: 2 });
+
+    it('averages nutrients over uses', () => {
+        let entry = mergeFoodIndexEntry(null, meal(150, 5));
+        entry = mergeFoodIndexEntry(entry, meal(170, 6));
+
+        assert.equal(entry.name, 'Rohlík');
+        assert.equal(entry.nameLower, 'rohlík');
+        assert.equal(entry.useCount, 2);
+        assert.equal(entry.calories, 160);
+        assert.equal(entry.protein, 5.5);
+    });
+
+    it('removing a use restores the average of remaining uses', () => {
+        let entry = mergeFoodIndexEntry(null, meal(150, 5));
+        entry = mergeFoodIndexEntry(entry, meal(170, 6));
+        entry = mergeFoodIndexEntry(entry, meal(400, 20));
+
+        const unmerged = unmergeFoodIndexEntry(entry, meal(400, 20));
+
+        assert.equal(unmerged.useCount, 2);
+        assert.equal(unmerged.calories, 160);
+        assert.equal(unmerged.protein, 5.5);
+    });
+
+    it('removing the last use drops the entry', () => {
+        const entry = mergeFoodIndexEntry(null, meal(150, 5));
+
+        assert.equal(unmergeFoodIndexEntry(entry, meal(150, 5)), null);
+    });
+});
+
+describe('calculateWeightTrend', () => {
+    const trends = entries => calculateWeightTrend(entries).map(entry => entry.trend);
+
+    it('returns no entries for an empty log', () => {
+        assert.deepEqual(calculateWeightTrend([]), []);
+    });
+
+    it('starts the trend at the first weight', () => {
+        assert.deepEqual(calculateWeightTrend([{ date: '2024-03-01', weight: 80.44 }]), [{ date: '2024-03-01', weight: 80.44, trend: 80.4 }]);
+    });
+
+    it('moves 10 % of the difference per day', () => {
+        // 80 → 80 + 0.1 * (82 - 80) = 80.2 → 80.2 + 0.1 * (82 - 80.2) = 80.38
+        assert.deepEqual(trends([
+            { date: '2024-03-01', weight: 80 },
+            { date: '2024-03-02', weight: 82 },
+            { date: '2024-03-03', weight: 82 }
+        ]), [80, 80.2, 80.4]);
+    });
+
+    it('moves further after a gap of several days', () => {
+        // 10 days: 1 - 0.9^10 = 65 % of the difference
+        assert.deepEqual(trends([
+            { date: '2024-03-01', weight: 80 },
+            { date: '2024-03-11', weight: 82 }
+        ]), [80, 81.3]);
+    });
+
+    it('does not treat two entries on one date as a gap', () => {
+        assert.deepEqual(trends([
+            { date: '2024-03-01', weight: 80 },
+            { date: '2024-03-01', weight: 82 }
+        ]), [80, 80.2]);
+    });
+});
+
+describe('estimateAdaptiveTdee', () => {
+    const WINDOW_START = '2024-03-01';
+    const WINDOW_END = '2024-03-28';
+
+    // Days of March 2024 from the 1st, each with the given intake
+    const logDays = (count, totalCalories = 2500) => Array.from({ length: count }, (_, i) => ({
+        date: `2024-03-${String(i + 1).padStart(2, '0')}`,
+        totalCalories,
+        mealCount: 3
+    }));
+
+    // Trend lost 2 kg over 28 days (2024-02-29 → 2024-03-28)
+    const WEIGHT = [
+        { date: '2024-02-20', weight: 82.5, trend: 82.5 },
+        { date: '2024-02-29', weight: 82, trend: 82 },
+        { date: '2024-03-15', weight: 81, trend: 81 },
+        { date: '2024-03-28', weight: 80, trend: 80 },
+        { date: '2024-03-29', weight: 70, trend: 70 }
+    ];
+
+    it('needs at least 14 logged days', () => {
+        const result = estimateAdaptiveTdee(logDays(13), WEIGHT, WINDOW_START, WINDOW_END);
+
+        assert.deepEqual(result, { tdee: null, reason: 'few-logged-days', loggedDays: 13 });
+    });
+
+    it('does not count days under 800 kcal or without meals as logged', () => {
+        const summaries = [
+            ...logDays(12),
+            { date: '2024-03-13', totalCalories: 500, mealCount: 1 },
+            { date: '2024-03-14', totalCalories: 2500, mealCount: 0 },
+            { date: '2024-03-15', totalCalories: 2500, mealCount: 2 }
+        ];
+
+        assert.equal(estimateAdaptiveTdee(summaries, WEIGHT, WINDOW_START, WINDOW_END).loggedDays, 13);
+    });
+
+    it('needs weighings at least 14 days apart', () => {
+        const shortSpan = WEIGHT.filter(entry => entry.date >= '2024-03-15');
+
+        assert.equal(estimateAdaptiveTdee(logDays(20), shortSpan, WINDOW_START, WINDOW_END).reason, 'few-weighings');
+        assert.equal(estimateAdaptiveTdee(logDays(20), [], WINDOW_START, WINDOW_END).reason, 'few-weighings');
+    });
+
+    it('adds energy of lost weight to average intake', () => {
+        // 2500 kcal + 2 kg * 7700 kcal / 28 days = 3050 kcal
+        const result = estimateAdaptiveTdee(logDays(20), WEIGHT, WINDOW_START, WINDOW_END);
+
+        assert.deepEqual(result, { tdee: 3050, loggedDays: 20, averageIntake: 2500, weightChange: -2, weightDays: 28 });
+    });
+
+    it('subtracts energy of gained weight and rounds to 10 kcal', () => {
+        // 2400 kcal - 1 kg * 7700 kcal / 28 days = 2125 kcal
+        const gaining = [{ date: '2024-02-29', trend: 80 }, { date: '2024-03-28', trend: 81 }];
+
+        assert.equal(estimateAdaptiveTdee(logDays(14, 2400), gaining, WINDOW_START, WINDOW_END).tdee, 2130);
+    });
+
+    it('rejects an estimate outside 0.6-1.5 × formula TDEE', () => {
+        assert.equal(estimateAdaptiveTdee(logDays(20), WEIGHT, WINDOW_START, WINDOW_END, 2000).reason, 'out-of-range');
+        assert.equal(estimateAdaptiveTdee(logDays(20), WEIGHT, WINDOW_START, WINDOW_END, 5200).reason, 'out-of-range');
+        assert.equal(estimateAdaptiveTdee(logDays(20), WEIGHT, WINDOW_START, WINDOW_END, 2100).tdee, 3050);
+    });
+});
+
+describe('calculateDayTargets', () => {
+    // Monday, Wednesday, Friday (Date.getDay() numbers)
+    const TRAINING = { ...PROFILE, trainingWeekdays: [1, 3, 5], trainingDayCalories: 300 };
+
+    it('returns null without training days', () => {
+        assert.equal(calculateDayTargets(2000, PROFILE), null);
+        assert.equal(calculateDayTargets(2000, { ...PROFILE, trainingWeekdays: [] }), null);
+    });
+
+    it('rest days give back training day extra so the weekly total stays the same', () => {
+        // 3 × 300 kcal extra spread over 4 rest days = 225 kcal less per rest day
+        const { training, rest } = calculateDayTargets(2000, TRAINING);
+
+        assert.equal(training.calories, 2300);
+        assert.equal(rest.calories, 1775);
+        assert.equal(3 * training.calories + 4 * rest.calories, 7 * 2000);
+    });
+
+    it('keeps the profile macro preset without carb cycling', () => {
+        const { training, rest } = calculateDayTargets(2000, { ...TRAINING, macroPreset: 'keto' });
+
+        assert.deepEqual(training, { calories: 2300, ...calculateMacroTargets(2300, { ...PROFILE, macroPreset: 'keto' }) });
+        assert.deepEqual(rest, { calories: 1775, ...calculateMacroTargets(1775, { ...PROFILE, macroPreset: 'keto' }) });
+    });
+
+    it('carb cycling uses high-carb on training days and low-carb on rest days', () => {
+        const { training, rest } = calculateDayTargets(2000, { ...TRAINING, carbCycling: true });
+
+        // 2300 - 640 = 1660 kcal: 70 % carbs / 30 % fat; 1775 - 640 = 1135 kcal: 30 % carbs / 70 % fat
+        assert.deepEqual(training, { calories: 2300, protein: 160, carbs: 291, fat: 55 });
+        assert.deepEqual(rest, { calories: 1775, protein: 160, carbs: 85, fat: 88 });
+    });
+
+    it('keeps protein and carb overrides on both day types', () => {
+        const { training, rest } = calculateDayTargets(2000, { ...TRAINING, carbCycling: true, proteinOverride: 150, carbsOverride: 0 });
+
+        assert.deepEqual([training.protein, training.carbs, rest.protein, rest.carbs], [150, 0, 150, 0]);
+    });
+});
+
+describe('getGoalsForDate', () => {
+    const goals = calculateDailyGoalsFromProfile({ ...PROFILE, trainingWeekdays: [1, 3, 5], trainingDayCalories: 300, carbCycling: true });
+
+    it('returns daily goals unchanged without training days', () => {
+        const plain = calculateDailyGoalsFromProfile(PROFILE);
+
+        assert.equal(getGoalsForDate(plain, '2024-03-04'), plain);
+        assert.equal(getGoalsForDate(null, '2024-03-04'), null);
+    });
+
+    it('picks training or rest targets by weekday', () => {
+        const monday = getGoalsForDate(goals, '2024-03-04');
+        const tuesday = getGoalsForDate(goals, '2024-03-05');
+
+        assert.equal(monday.dayType, 'training');
+        assert.equal(monday.calories, goals.dayTargets.training.calories);
+        assert.equal(monday.carbs, goals.dayTargets.training.carbs);
+        assert.equal(tuesday.dayType, 'rest');
+        assert.equal(tuesday.calories, goals.dayTargets.rest.calories);
+    });
+
+    it('day type set for the date wins over weekday', () => {
+        const monday = getGoalsForDate(goals, '2024-03-04', 'rest');
+        const sunday = getGoalsForDate(goals, '2024-03-10', 'training');
+
+        assert.equal(monday.dayType, 'rest');
+        assert.equal(monday.fat, goals.dayTargets.rest.fat);
+        assert.equal(sunday.dayType, 'training');
+    });
+
+    it('deficit is relative to TDEE of the day target', () => {
+        const monday = getGoalsForDate(goals, '2024-03-04');
+
+        assert.equal(monday.deficit, goals.dayTargets.training.calories - goals.tdee);
+        assert.equal(monday.tdee, goals.tdee);
+    });
+});
+
+describe('calculateWeeklyBudget', () => {
+    const GOALS = { calories: 2000, protein: 150, carbs: 200, fat: 70, tdee: 2300, bmr: 1700 };
+
+    // Previous 6 days with the given intake, then today (2024-03-10)
+    const week = (previous, today = 0) => [
+        ...previous.map((totalCalories, i) => ({ date: `2024-03-0${i + 4}`, totalCalories })),
+        { date: '2024-03-10', totalCalories: today }
+    ];
+
+    it('moves calories left on previous days to today', () => {
+        const budget = calculateWeeklyBudget(week([1800, 1800, 1800, 1800, 1800, 1800], 500), GOALS);
+
+        assert.deepEqual(budget, {
+            date: '2024-03-10',
+            weekBudget: 14000,
+            weekConsumed: 11300,
+            remaining: 2700,
+            bank: 1200,
+            todayGoal: 2000,
+            adjustedToday: 3200,
+            loggedDays: 6
+        });
+    });
+
+    it('takes overeaten calories from today but not below BMR', () => {
+        const slightly = calculateWeeklyBudget(week([2100, 2000, 2000, 2000, 2000, 2000]), GOALS);
+        const heavily = calculateWeeklyBudget(week([2600, 2600, 2000, 2000, 2000, 2000]), GOALS);
+
+        assert.equal(slightly.bank, -100);
+        assert.equal(slightly.adjustedToday, 1900);
+        assert.equal(heavily.bank, -1200);
+        assert.equal(heavily.adjustedToday, 1700);
+        assert.equal(heavily.remaining, -1200 + 2000);
+    });
+
+    it('skips days under 800 kcal as not logged', () => {
+        const budget = calculateWeeklyBudget(week([0, 600, 1800, 1800, 1800, 1800]), GOALS);
+
+        assert.equal(budget.loggedDays, 4);
+        assert.equal(budget.bank, 800);
+        assert.equal(budget.weekBudget, 10000);
+    });
+
+    it('today only counts towards consumed, not the bank', () => {
+        const budget = calculateWeeklyBudget(week([2000, 2000, 2000, 2000, 2000, 2000], 2600), GOALS);
+
+        assert.equal(budget.bank, 0);
+        assert.equal(budget.adjustedToday, 2000);
+        assert.equal(budget.remaining, -600);
+    });
+
+    it('works with today as the only day', () => {
+        const budget = calculateWeeklyBudget([{ date: '2024-03-10', totalCalories: 1200 }], GOALS);
+
+        assert.deepEqual(
+            [budget.weekBudget, budget.weekConsumed, budget.remaining, budget.bank, budget.adjustedToday, budget.loggedDays],
+            [2000, 1200, 800, 0, 2000, 0]
+        );
+    });
+
+    it('uses the goal of each day including its exercise', () => {
+        const summaries = week([2000, 2000, 2000, 2000, 2000, 2000]);
+        summaries[0].exerciseCalories = 400;
+
+        const budget = calculateWeeklyBudget(summaries, GOALS);
+
+        assert.equal(budget.bank, 400);
+        assert.equal(budget.weekBudget, 14400);
+    });
+});
@@ -0,0 +1,85 @@
+// =====================================
+// FOOD SEARCH TESTS
+// =====================================
+// Hledání v historii jídel - shoda, překlepy, diakritika a řazení podle oblíbenosti
+// Spuštění: npm test
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const FoodSearch = require('../services/food-search.js');
+
+const DAY = 86400000;
+const NOW = Date.now();
+
+const names = results => results.map(entry => entry.name);
+
+describe('FoodSearch.normalize', () => {
+    it('odstraní diakritiku a velká písmena', () => {
+        assert.equal(FoodSearch.normalize('  Žluťoučký Kůň  '), 'zlutoucky kun');
+        assert.equal(FoodSearch.normalize(null), '');
+    });
+});
+
+describe('FoodSearch.search', () => {
+    const entries = [
+        { name: 'Rohlík s máslem', useCount: 3, lastUsed: NOW - DAY },
+        { name: 'Máslo', useCount: 1, lastUsed: NOW - 10 * DAY },
+        { name: 'Kuřecí řízek', useCount: 5, lastUsed: NOW - 2 * DAY },
+        { name: 'Chléb', useCount: 1 }
+    ];
+
+    it('najde jídlo bez diakritiky v dotazu', () => {
+        assert.deepEqual(names(FoodSearch.search(entries, 'kureci')), ['Kuřecí řízek']);
+        assert.deepEqual(names(FoodSearch.search(entries, 'chleb')), ['Chléb']);
+    });
+
+    it('prefix názvu má přednost před shodou slova', () => {
+        // "masl" - prefix "Máslo" vs. začátek slova v "Rohlík s máslem" (oblíbenější)
+        assert.deepEqual(names(FoodSearch.search(entries, 'masl')), ['Máslo', 'Rohlík s máslem']);
+    });
+
+    it('najde slova dotazu v libovolném pořadí', () => {
+        assert.deepEqual(names(FoodSearch.search(entries, 'masl rohl')), ['Rohlík s máslem']);
+    });
+
+    it('toleruje překlepy i prohozená písmena', () => {
+        assert.deepEqual(names(FoodSearch.search(entries, 'rohlik s maslme')), ['Rohlík s máslem']);
+        assert.deepEqual(names(FoodSearch.search(entries, 'kurcei')), ['Kuřecí řízek']);
+    });
+
+    it('krátké slovo musí sedět přesně', () => {
+        assert.deepEqual(FoodSearch.search(entries, 'xy'), []);
+    });
+
+    it('prázdný dotaz vrátí vše podle oblíbenosti s limitem', () => {
+        assert.deepEqual(names(FoodSearch.search(entries, '', 2)), ['Kuřecí řízek', 'Rohlík s máslem']);
+    });
+});
+
+describe('FoodSearch.rank', () => {
+    it('častější jídlo je výš při stejném stáří', () => {
+        const ranked = FoodSearch.rank([
+            { name: 'Občas', useCount: 1, lastUsed: NOW },
+            { name: 'Často', useCount: 20, lastUsed: NOW }
+        ]);
+
+        assert.deepEqual(names(ranked), ['Často', 'Občas']);
+    });
+
+    it('nedávné jídlo předběhne stejně časté staré', () => {
+        const ranked = FoodSearch.rank([
+            { name: 'Staré', useCount: 3, lastUsed: NOW - 120 * DAY },
+            { name: 'Nedávné', useCount: 3, lastUsed: NOW - DAY }
+        ]);
+
+        assert.deepEqual(names(ranked), ['Nedávné', 'Staré']);
+    });
+
+    it('nemění původní pole', () => {
+        const entries = [{ name: 'A', useCount: 1 }, { name: 'B', useCount: 9 }];
+        FoodSearch.rank(entries);
+
+        assert.deepEqual(names(entries), ['A', 'B']);
+    });
+});
@@ -0,0 +1,114 @@
+// =====================================
+// PRODUCT DATABASE TESTS
+// =====================================
+// Import exportu Open Food Facts (CSV, JSON, JSONL) a přepočet produktu na porci
+// Spuštění: npm test
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Moduly jsou psané pro <script> tagy - závislosti musí být globální před načtením
+global.NutritionSchema = require('../services/nutrition-schema.js');
+const ProductDatabase = require('../services/product-database.js');
+
+const CSV_HEADER = 'code,product_name,brands,energy-kcal_100g,proteins_100g,carbohydrates_100g,fat_100g';
+
+describe('ProductDatabase.parseImport - CSV', () => {
+    it('hodnota v uvozovkách smí obsahovat čárku', () => {
+        const products = ProductDatabase.parseImport(`${CSV_HEADER}\n8590000000001,"Jogurt, bílý","Madeta, a.s.",60,4,5,3`);
+
+        assert.equal(products.length, 1);
+        assert.equal(products[0].name, 'Jogurt, bílý');
+        assert.equal(products[0].brand, 'Madeta');
+        assert.deepEqual(products[0].per100g, { calories: 60, protein: 4, carbs: 5, fat: 3 });
+    });
+
+    it('zdvojené uvozovky a nový řádek uvnitř hodnoty', () => {
+        const csv = `${CSV_HEADER}\r\n8590000000001,"Sýr ""Eidam""\n30 %",,250,26,0,16\r\n8590000000002,Chléb,,240,8,48,1`;
+        const products = ProductDatabase.parseImport(csv);
+
+        assert.deepEqual(products.map(product => product.name), ['Sýr "Eidam"\n30 %', 'Chléb']);
+        assert.equal(products[0].brand, null);
+        assert.equal(products[1].per100g.carbs, 48);
+    });
+
+    it('export s tabulátory', () => {
+        const tsv = [CSV_HEADER.replace(/,/g, '\t'), '8590000000001\tJogurt, bílý\tMadeta\t60\t4\t5\t3'].join('\n');
+        const products = ProductDatabase.parseImport(tsv);
+
+        assert.equal(products[0].name, 'Jogurt, bílý');
+        assert.equal(products[0].per100g.calories, 60);
+    });
+
+    it('přeskočí řádky bez kódu, názvu nebo kalorií', () => {
+        const csv = [
+            CSV_HEADER,
+            '123,Krátký kód,,100,1,1,1',
+            '8590000000001,,,100,1,1,1',
+            '8590000000002,Bez kalorií,,,1,1,1',
+            '8590000000003,Platný,,100,1,1,1'
+        ].join('\n');
+
+        assert.deepEqual(ProductDatabase.parseImport(csv).map(product => product.name), ['Platný']);
+    });
+});
+
+describe('ProductDatabase.parseImport - JSON', () => {
+    const record = code => ({
+        code,
+        product_name: 'Müsli',
+        nutriments: { 'energy-kcal_100g': 380, proteins_100g: 9.64, carbohydrates_100g: 62, fat_100g: 8, sodium_100g: 0.12 },
+        serving_quantity: '40'
+    });
+
+    it('JSON pole i odpověď API', () => {
+        assert.equal(ProductDatabase.parseImport(JSON.stringify([record('8590000000001')])).length, 1);
+        assert.equal(ProductDatabase.parseImport(JSON.stringify({ products: [record('8590000000001')] })).length, 1);
+    });
+
+    it('JSONL - jeden objekt na řádek', () => {
+        const jsonl = [record('8590000000001'), record('8590000000002')].map(item => JSON.stringify(item)).join('\n');
+
+        assert.deepEqual(ProductDatabase.parseImport(jsonl).map(product => product.barcode), ['8590000000001', '8590000000002']);
+    });
+
+    it('zaokrouhlí hodnoty, sodík převede na mg a převezme porci', () => {
+        const [product] = ProductDatabase.parseImport(JSON.stringify([record('8590000000001')]));
+
+        assert.equal(product.per100g.protein, 9.6);
+        assert.equal(product.per100g.sodium, 120);
+        assert.equal(product.servingGrams, 40);
+    });
+});
+
+describe('ProductDatabase.fromOpenFoodFacts', () => {
+    it('dopočte kalorie z kJ', () => {
+        const product = ProductDatabase.fromOpenFoodFacts({ code: '8590000000001', product_name: 'Starý záznam', nutriments: { energy_100g: 1046 } });
+
+        assert.equal(product.per100g.calories, 250);
+        assert.equal(product.per100g.protein, 0);
+        assert.equal(product.per100g.fiber, undefined);
+    });
+});
+
+describe('ProductDatabase.getBarcodeVariants', () => {
+    it('UPC-A hledá s úvodní nulou i bez ní', () => {
+        assert.deepEqual(ProductDatabase.getBarcodeVariants('036000291452'), ['036000291452', '0036000291452']);
+        assert.deepEqual(ProductDatabase.getBarcodeVariants('0036000291452'), ['0036000291452', '036000291452']);
+        assert.deepEqual(ProductDatabase.getBarcodeVariants('8590000000001'), ['8590000000001']);
+    });
+});
+
+describe('ProductDatabase.toNutritionData', () => {
+    it('přepočte hodnoty na porci z obalu', () => {
+        const product = { name: 'Müsli', brand: 'Emco', per100g: { calories: 380, protein: 9.6, carbs: 62, fat: 8, sodium: 120 }, servingGrams: 40 };
+        const data = ProductDatabase.toNutritionData(product);
+
+        assert.equal(data.name, 'Müsli (Emco)');
+        assert.equal(data.calories, 152);
+        assert.equal(data.protein, 4);
+        assert.equal(data.sodium, 48);
+        assert.equal(data.items[0].grams, 40);
+        assert.deepEqual(data.items[0].per100g, product.per100g);
+    });
+});
@@ -0,0 +1,114 @@
+// =====================================
+// RECIPE CALCULATOR TESTS
+// =====================================
+// Přepočet ingrediencí, součty a hodnoty receptu na 100 g hotového jídla
+// Spuštění: npm test
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Moduly jsou psané pro <script> tagy - závislosti musí být globální před načtením
+global.NutritionSchema = require('../services/nutrition-schema.js');
+const RecipeCalculator = require('../services/recipe-calculator.js');
+
+const RICE = { name: 'Rýže', per100g: { calories: 350, protein: 7, carbs: 78, fat: 0.6 } };
+const CHICKEN = { name: 'Kuřecí prsa', brand: 'Vodňanské', per100g: { calories: 110, protein: 23.3, carbs: 0, fat: 1.7, sodium: 65 } };
+
+describe('RecipeCalculator ingredience', () => {
+    it('přepočte potravinu na hmotnost a zaokrouhlí', () => {
+        const ingredient = RecipeCalculator.ingredientFromFood(CHICKEN, 333);
+
+        assert.equal(ingredient.name, 'Kuřecí prsa (Vodňanské)');
+        assert.equal(ingredient.calories, 366);
+        assert.equal(ingredient.protein, 77.6);
+        assert.equal(ingredient.fat, 5.7);
+        assert.equal(ingredient.sodium, 216);
+    });
+
+    it('změna hmotnosti přepočte hodnoty z per100g', () => {
+        const ingredient = RecipeCalculator.ingredientFromFood(RICE, 100);
+        const scaled = RecipeCalculator.scaleIngredient(ingredient, 250);
+
+        assert.equal(scaled.grams, 250);
+        assert.equal(scaled.calories, 875);
+        assert.equal(scaled.fat, 1.5);
+        assert.equal(ingredient.calories, 350);
+    });
+
+    it('porce se známou hmotností si dopočte hodnoty na 100 g', () => {
+        const ingredient = RecipeCalculator.ingredientFromPortion({ name: 'Omáčka', grams: 200, calories: 300, protein: 10, carbs: 20, fat: 20 });
+
+        assert.equal(ingredient.per100g.calories, 150);
+        assert.equal(RecipeCalculator.scaleIngredient(ingredient, 50).calories, 75);
+    });
+
+    it('porce bez hmotnosti zůstane pevnou porcí', () => {
+        for (const grams of [undefined, 0, 'abc']) {
+            const ingredient = RecipeCalculator.ingredientFromPortion({ name: 'Oblíbené', grams, calories: 400, protein: 20, carbs: 40, fat: 15 });
+            const scaled = RecipeCalculator.scaleIngredient(ingredient, 300);
+
+            assert.equal(ingredient.grams, 0);
+            assert.equal(ingredient.per100g, undefined);
+            assert.equal(scaled.calories, 400);
+        }
+    });
+});
+
+describe('RecipeCalculator.getTotals', () => {
+    it('sečte makra a syrovou hmotnost', () => {
+        const totals = RecipeCalculator.getTotals([
+            RecipeCalculator.ingredientFromFood(RICE, 200),
+            RecipeCalculator.ingredientFromFood(CHICKEN, 300)
+        ]);
+
+        assert.equal(totals.calories, 1030);
+        assert.equal(totals.rawGrams, 500);
+    });
+
+    it('mikroživinu sečte jen když ji znají všechny ingredience', () => {
+        const totals = RecipeCalculator.getTotals([
+            RecipeCalculator.ingredientFromFood(RICE, 200),
+            RecipeCalculator.ingredientFromFood(CHICKEN, 300)
+        ]);
+        const chickenOnly = RecipeCalculator.getTotals([RecipeCalculator.ingredientFromFood(CHICKEN, 300)]);
+
+        assert.equal(totals.sodium, undefined);
+        assert.equal(chickenOnly.sodium, 195);
+    });
+
+    it('prázdný recept má nulové součty', () => {
+        assert.deepEqual(RecipeCalculator.getTotals([]), { calories: 0, protein: 0, carbs: 0, fat: 0, rawGrams: 0 });
+    });
+});
+
+describe('RecipeCalculator.toFood', () => {
+    const ingredients = [
+        RecipeCalculator.ingredientFromFood(RICE, 200),
+        RecipeCalculator.ingredientFromFood(CHICKEN, 300)
+    ];
+
+    it('bez hmotnosti hotového jídla použije součet ingrediencí', () => {
+        const food = RecipeCalculator.toFood({ name: 'Rizoto', ingredients, servings: 4 });
+
+        assert.equal(food.per100g.calories, 206);
+        assert.equal(food.per100g.protein, 16.8);
+        assert.equal(food.servingGrams, 125);
+    });
+
+    it('hmotnost hotového jídla zředí hodnoty na 100 g', () => {
+        // Rýže nasákne vodu - 500 g syrových ingrediencí dá 800 g jídla
+        const food = RecipeCalculator.toFood({ name: 'Rizoto', ingredients, cookedGrams: 800, servings: 3 });
+
+        assert.equal(food.per100g.calories, 129);
+        assert.equal(food.per100g.carbs, 19.5);
+        assert.equal(food.servingGrams, 267);
+    });
+
+    it('recept bez hmotnosti má nulové hodnoty místo dělení nulou', () => {
+        const portion = RecipeCalculator.ingredientFromPortion({ name: 'Oblíbené', calories: 400, protein: 20, carbs: 40, fat: 15 });
+        const food = RecipeCalculator.toFood({ name: 'Bez vážení', ingredients: [portion] });
+
+        assert.deepEqual(food.per100g, { calories: 0, protein: 0, carbs: 0, fat: 0 });
+        assert.equal(food.servingGrams, 0);
+    });
+});
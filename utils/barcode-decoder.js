@@ -0,0 +1,287 @@
+// =====================================
+// BARCODE DECODER
+// =====================================
+// Čtení čárových kódů EAN-13 / EAN-8 / UPC-A z obrázku nebo snímku kamery
+// Primárně nativní BarcodeDetector, jinak vlastní dekodér nad řádky pixelů
+
+/**
+ * BarcodeDecoder utility třída
+ * Vrací kód jako řetězec číslic (UPC-A z JS dekodéru jako 13místný EAN s úvodní nulou)
+ */
+class BarcodeDecoder {
+    // Formáty pro nativní BarcodeDetector
+    static FORMATS = ['ean_13', 'ean_8', 'upc_a', 'upc_e'];
+
+    // Šířky modulů číslic v kódování L (mezera-čára-mezera-čára)
+    // Kódování R má stejné šířky (začíná čárou), G je obrácené L
+    static DIGIT_PATTERNS = [
+        [3, 2, 1, 1], [2, 2, 2, 1], [2, 1, 2, 2], [1, 4, 1, 1], [1, 1, 3, 2],
+        [1, 2, 3, 1], [1, 1, 1, 4], [1, 3, 1, 2], [1, 2, 1, 3], [3, 1, 1, 2]
+    ];
+
+    // Parita levé poloviny EAN-13 (0 = L, 1 = G) určuje první číslici
+    static FIRST_DIGIT_PARITY = [
+        '000000', '001011', '001101', '001110', '010011',
+        '011001', '011100', '010101', '010110', '011010'
+    ];
+
+    static SCAN_LINES = 15;          // Počet zkoušených řádků obrázku
+    static MAX_WIDTH = 1280;         // Větší obrázky se před dekódováním zmenší
+    static MAX_DIGIT_ERROR = 1.5;    // Max. součet odchylek šířek od vzoru (v modulech)
+
+    /**
+     * Zda prohlížeč podporuje nativní BarcodeDetector
+     * @returns {boolean}
+     */
+    static isNativeSupported() {
+        return typeof window !== 'undefined' && 'BarcodeDetector' in window;
+    }
+
+    /**
+     * Najde čárový kód v obrázku
+     * @param {Blob|HTMLVideoElement|HTMLCanvasElement|ImageBitmap} source - Obrázek nebo snímek kamery
+     * @returns {Promise<string|null>} Číslice kódu nebo null, pokud kód nebyl nalezen
+     */
+    static async detect(source) {
+        if (source instanceof Blob) {
+            source = await createImageBitmap(source);
+        }
+
+        if (this.isNativeSupported()) {
+            try {
+                const detector = await this._getNativeDetector();
+                if (detector) {
+                    const barcodes = await detector.detect(source);
+                    return barcodes.length > 0 ? barcodes[0].rawValue.replace(/\D/g, '') : null;
+                }
+            } catch (error) {
+                console.warn('⚠️ BarcodeDecoder: Native detector failed, using JS decoder:', error);
+            }
+        }
+
+        return this.decodeImageData(this._toImageData(source));
+    }
+
+    /**
+     * Dekóduje kód z pixelů (JS fallback)
+     * Zkouší řádky od středu ke krajům (kód může být i vzhůru nohama)
+     * @param {ImageData} imageData - Pixely obrázku
+     * @returns {string|null} Číslice kódu nebo null
+     */
+    static decodeImageData(imageData) {
+        const { width, height, data } = imageData;
+        const step = height / (this.SCAN_LINES + 1);
+
+        for (let i = 0; i < this.SCAN_LINES; i++) {
+            const offset = Math.ceil(i / 2) * (i % 2 ? 1 : -1);
+            const y = Math.round(height / 2 + offset * step);
+            if (y < 0 || y >= height) continue;
+
+            const runs = this._getRuns(data, width, y);
+            const code = this._decodeRuns(runs);
+            if (code) {
+                return code;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Ověří kontrolní číslici (EAN-13, EAN-8, UPC-A)
+     * @param {string} code - Číslice kódu
+     * @returns {boolean}
+     */
+    static isValidChecksum(code) {
+        if (!/^\d{8,14}$/.test(code)) return false;
+
+        const digits = code.split('').map(Number);
+        const checkDigit = digits.pop();
+        const sum = digits.reverse().reduce((total, digit, i) => total + digit * (i % 2 === 0 ? 3 : 1), 0);
+
+        return (10 - sum % 10) % 10 === checkDigit;
+    }
+
+    /**
+     * Vytvoří (a zapamatuje) nativní detektor s podporovanými formáty
+     * @private
+     * @returns {Promise<BarcodeDetector|null>}
+     */
+    static async _getNativeDetector() {
+        if (!this._nativeDetector) {
+            const supported = await BarcodeDetector.getSupportedFormats();
+            const formats = this.FORMATS.filter(format => supported.includes(format));
+            if (formats.length === 0) return null;
+
+            this._nativeDetector = new BarcodeDetector({ formats });
+        }
+        return this._nativeDetector;
+    }
+
+    /**
+     * Vykreslí zdroj do canvasu a vrátí jeho pixely
+     * @private
+     */
+    static _toImageData(source) {
+        const sourceWidth = source.videoWidth || source.width;
+        const sourceHeight = source.videoHeight || source.height;
+        const scale = Math.min(1, this.MAX_WIDTH / sourceWidth);
+
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(sourceWidth * scale);
+        canvas.height = Math.round(sourceHeight * scale);
+
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(source, 0, 0, canvas.width, canvas.height);
+        return ctx.getImageData(0, 0, canvas.width, canvas.height);
+    }
+
+    /**
+     * Převede řádek pixelů na úseky tmavé/světlé (čáry a mezery)
+     * Práh je uprostřed mezi nejtmavším a nejsvětlejším pixelem řádku
+     * @private
+     * @returns {Array<{dark: boolean, width: number}>}
+     */
+    static _getRuns(data, width, y) {
+        const luminance = new Array(width);
+        let min = 255;
+        let max = 0;
+
+        for (let x = 0; x < width; x++) {
+            const i = (y * width + x) * 4;
+            const value = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+            luminance[x] = value;
+            min = Math.min(min, value);
+            max = Math.max(max, value);
+        }
+
+        // Řádek bez kontrastu nemůže obsahovat kód
+        if (max - min < 40) return [];
+
+        const threshold = (min + max) / 2;
+        const runs = [];
+        for (let x = 0; x < width; x++) {
+            const dark = luminance[x] < threshold;
+            const last = runs[runs.length - 1];
+            if (last && last.dark === dark) {
+                last.width++;
+            } else {
+                runs.push({ dark, width: 1 });
+            }
+        }
+
+        return runs;
+    }
+
+    /**
+     * Najde v úsecích startovní znak a zkusí dekódovat EAN-13, pak EAN-8
+     * @private
+     */
+    static _decodeRuns(runs) {
+        for (let i = 1; i < runs.length - 2; i++) {
+            if (!runs[i].dark) continue;
+
+            // Startovní znak: čára-mezera-čára, každá 1 modul, před ním tichá zóna
+            const unit = (runs[i].width + runs[i + 1].width + runs[i + 2].width) / 3;
+            const isGuard = [0, 1, 2].every(j => Math.abs(runs[i + j].width - unit) <= unit * 0.5);
+            if (!isGuard || runs[i - 1].width < unit * 3) continue;
+
+            const code = this._decodeEan(runs, i + 3, 6) || this._decodeEan(runs, i + 3, 4);
+            if (code) {
+                return code;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Dekóduje EAN od pozice za startovním znakem
+     * Kód čtený pozpátku má v první polovině jen G kódování - pak se poloviny prohodí
+     * @private
+     * @param {Array} runs - Úseky řádku
+     * @param {number} start - Index prvního úseku první číslice
+     * @param {number} half - Počet číslic v polovině (6 = EAN-13, 4 = EAN-8)
+     * @returns {string|null}
+     */
+    static _decodeEan(runs, start, half) {
+        // Číslice po 4 úsecích, prostřední znak 5 úseků, koncový 3 úseky
+        if (start + half * 8 + 5 + 3 > runs.length) return null;
+
+        const left = this._decodeDigits(runs, start, half);
+        if (!left || runs[start + half * 4].dark) return null;   // Prostřední znak začíná mezerou
+
+        const right = this._decodeDigits(runs, start + half * 4 + 5, half);
+        if (!right) return null;
+
+        let digits;
+        let parity;
+        if (/^0+$/.test(right.parity)) {
+            digits = left.digits + right.digits;
+            parity = left.parity;
+        } else if (/^1+$/.test(left.parity)) {
+            // Čteno pozpátku: obrácené pořadí číslic, obrácený vzor = opačná parita
+            digits = right.digits.split('').reverse().join('') + left.digits.split('').reverse().join('');
+            parity = right.parity.split('').reverse().map(bit => bit === '1' ? '0' : '1').join('');
+        } else {
+            return null;
+        }
+
+        if (half === 6) {
+            const firstDigit = this.FIRST_DIGIT_PARITY.indexOf(parity);
+            if (firstDigit === -1) return null;
+            digits = firstDigit + digits;
+        } else if (!/^0+$/.test(parity)) {
+            return null;   // EAN-8 používá jen kódování L a R
+        }
+
+        return this.isValidChecksum(digits) ? digits : null;
+    }
+
+    /**
+     * Dekóduje řadu číslic (po 4 úsecích)
+     * @private
+     * @returns {{digits: string, parity: string}|null}
+     */
+    static _decodeDigits(runs, start, count) {
+        let digits = '';
+        let parity = '';
+
+        for (let pos = start; pos < start + count * 4; pos += 4) {
+            const match = this._matchDigit(runs.slice(pos, pos + 4));
+            if (!match) return null;
+            digits += match.digit;
+            parity += match.parity;
+        }
+
+        return { digits, parity };
+    }
+
+    /**
+     * Najde číslici, jejíž vzor nejlépe odpovídá šířkám 4 úseků
+     * @private
+     * @param {Array} runs - 4 úseky číslice (celkem 7 modulů)
+     * @returns {{digit: number, parity: number}|null} parity 0 = L/R, 1 = G
+     */
+    static _matchDigit(runs) {
+        const total = runs.reduce((sum, run) => sum + run.width, 0);
+        const widths = runs.map(run => run.width * 7 / total);
+
+        let best = null;
+        this.DIGIT_PATTERNS.forEach((pattern, digit) => {
+            [pattern, pattern.slice().reverse()].forEach((variant, parity) => {
+                const error = variant.reduce((sum, modules, i) => sum + Math.abs(widths[i] - modules), 0);
+                if (!best || error < best.error) {
+                    best = { digit, parity, error };
+                }
+            });
+        });
+
+        return best && best.error <= this.MAX_DIGIT_ERROR ? best : null;
+    }
+}
+
+// Export pro použití v ostatních modulech
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BarcodeDecoder;
+}
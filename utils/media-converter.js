@@ -198,6 +198,25 @@ class MediaConverter {
         });
     }
 
+    /**
+     * Zachytí aktuální snímek videa (kamery) jako base64 JPEG
+     * @param {HTMLVideoElement} video - Přehrávané video
+     * @param {number} maxWidth - Maximální šířka (default: 1024)
+     * @param {number} quality - Kvalita (0-1, default: 0.8)
+     * @returns {string} Base64 snímku (bez data URL prefixu)
+     */
+    static videoFrameToBase64(video, maxWidth = 1024, quality = 0.8) {
+        const scale = Math.min(1, maxWidth / video.videoWidth);
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(video.videoWidth * scale);
+        canvas.height = Math.round(video.videoHeight * scale);
+
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
+
+        return canvas.toDataURL('image/jpeg', quality).split(',')[1];
+    }
+
     /**
      * Získá informace o souboru
      * @param {File} file - File objekt